@@ -0,0 +1,77 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { AudioSegmenter } from '../services/AudioSegmenter';
+
+describe('AudioSegmenter', () => {
+  const SAMPLE_RATE = 100;
+
+  // Loud signal with silent gaps at the given second offsets
+  const signal = (seconds: number, silences: number[]) => {
+    const samples = new Float32Array(seconds * SAMPLE_RATE).fill(0.5);
+    for (const at of silences) {
+      samples.fill(0, at * SAMPLE_RATE, (at + 1) * SAMPLE_RATE);
+    }
+    return samples;
+  };
+
+  it('keeps short audio in one piece', () => {
+    const ranges = AudioSegmenter.planCuts(signal(30, []), SAMPLE_RATE, { maxSegmentSeconds: 60 });
+    expect(ranges).toEqual([{ start: 0, end: 3000 }]);
+  });
+
+  it('cuts inside silences near the limit with overlap', () => {
+    const ranges = AudioSegmenter.planCuts(signal(250, [90, 180]), SAMPLE_RATE, {
+      maxSegmentSeconds: 100,
+      overlapSeconds: 2,
+      searchWindowSeconds: 20,
+      frameMs: 100,
+    });
+
+    expect(ranges).toHaveLength(3);
+    expect(ranges[0].end).toBeGreaterThanOrEqual(90 * SAMPLE_RATE);
+    expect(ranges[0].end).toBeLessThanOrEqual(91 * SAMPLE_RATE);
+    expect(ranges[1].start).toBe(ranges[0].end - 2 * SAMPLE_RATE);
+    expect(ranges[1].end).toBeGreaterThanOrEqual(180 * SAMPLE_RATE);
+    expect(ranges[1].end).toBeLessThanOrEqual(181 * SAMPLE_RATE);
+    expect(ranges[2].end).toBe(250 * SAMPLE_RATE);
+  });
+
+  it('never exceeds the limit when there is no silence', () => {
+    const ranges = AudioSegmenter.planCuts(signal(300, []), SAMPLE_RATE, { maxSegmentSeconds: 100 });
+    for (const range of ranges) {
+      expect(range.end - range.start).toBeLessThanOrEqual(100 * SAMPLE_RATE);
+    }
+    expect(ranges[ranges.length - 1].end).toBe(300 * SAMPLE_RATE);
+  });
+
+  it('removes words repeated across piece boundaries', () => {
+    const text = AudioSegmenter.stitch([
+      'We covered the first law of thermodynamics.',
+      'Law of thermodynamics, and then the second law.',
+      'then the second law states entropy increases',
+    ]);
+    expect(text).toBe(
+      'We covered the first law of thermodynamics. and then the second law. states entropy increases'
+    );
+  });
+
+  it('keeps a single repeated word at a boundary', () => {
+    expect(AudioSegmenter.stitch(['go to the', 'the store'])).toBe('go to the the store');
+  });
+
+  it('keeps the gap marker of a failed piece', () => {
+    expect(AudioSegmenter.stitch(['first part', '[…]', 'last part'])).toBe('first part […] last part');
+  });
+
+  it('encodes a 16-bit mono WAV header', async () => {
+    const blob = AudioSegmenter.encodeWav(new Float32Array([0, 1, -1]), 16000);
+    const view = new DataView(await blob.arrayBuffer());
+    expect(blob.size).toBe(44 + 6);
+    expect(String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3))).toBe('RIFF');
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getInt16(46, true)).toBe(0x7fff);
+    expect(view.getInt16(48, true)).toBe(-0x8000);
+  });
+});
@@ -0,0 +1,49 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { BM25Index } from '../utils/BM25Index';
+import { RankFusion } from '../utils/RankFusion';
+
+describe('BM25Index', () => {
+  const build = () => {
+    const index = new BM25Index();
+    index.add('spec', 'X-500 pump\nThe X-500 runs at 40 psi.');
+    index.add('meeting', 'Weekly meeting about pumps and budgets.');
+    index.add('trip', 'Notes from the trip to Lisbon.');
+    return index;
+  };
+
+  it('matches compound identifiers in any spelling', () => {
+    const index = build();
+    for (const query of ['X-500', 'x500', 'the x 500 spec']) {
+      expect(index.search(query, 1)[0].key).toBe('spec');
+    }
+  });
+
+  it('forgets removed documents', () => {
+    const index = build();
+    index.remove('trip');
+    expect(index.search('Lisbon', 5)).toEqual([]);
+    expect(index.size).toBe(2);
+  });
+});
+
+describe('RankFusion', () => {
+  it('favours keys ranked well in both lists', () => {
+    const fused = RankFusion.reciprocalRank([
+      ['a', 'b', 'c'],
+      ['d', 'b', 'c'],
+    ]);
+    expect(fused[0].key).toBe('b');
+  });
+
+  it('boosts exact identifier matches above similar-sounding chunks', () => {
+    const ranked = RankFusion.rerank('pressure of the X-500', [
+      { key: 'other', title: 'Pumps', text: 'X-400 pressure is 35 psi', vectorSimilarity: 0.8 },
+      { key: 'spec', title: 'X500 pump', text: 'Runs at 40 psi', vectorSimilarity: 0.72 },
+    ]);
+    expect(ranked[0].key).toBe('spec');
+    expect(ranked[0].score).toBeLessThanOrEqual(1);
+  });
+});
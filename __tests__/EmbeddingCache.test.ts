@@ -0,0 +1,47 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+jest.mock('obsidian', () => ({ normalizePath: (path: string) => path }), { virtual: true });
+
+import { EmbeddingCache } from '../services/EmbeddingCache';
+import { VaultChunk } from '../utils/Types';
+
+describe('EmbeddingCache', () => {
+  const chunk = (path: string, chunkIndex: number, values: number[]): VaultChunk => ({
+    path,
+    chunkIndex,
+    text: `Chunk ${chunkIndex} of ${path} — ünïcode`,
+    embedding: { values, dimensions: values.length },
+    lastModified: 1700000000000,
+    tokens: 12,
+  });
+
+  it('round-trips chunks and vectors through the binary shard format', () => {
+    const chunks = [
+      chunk('Notes/a.md', 0, [0.25, -0.5, 1]),
+      chunk('Notes/a.md', 1, [0.125, 0, -1]),
+      chunk('Notes/b.md', 0, []), // Skipped while offline
+    ];
+
+    const decoded = EmbeddingCache.decodeShard(EmbeddingCache.encodeShard(chunks));
+
+    expect(decoded).toEqual(chunks);
+  });
+
+  it('stores vectors as 4-byte floats', () => {
+    const buffer = EmbeddingCache.encodeShard([chunk('a.md', 0, new Array(1536).fill(0.1))]);
+    const headerBytes = new DataView(buffer).getUint32(8, true);
+    expect(buffer.byteLength).toBe(Math.ceil((12 + headerBytes) / 4) * 4 + 1536 * 4);
+  });
+
+  it('rejects buffers that are not shards', () => {
+    expect(() => EmbeddingCache.decodeShard(new ArrayBuffer(16))).toThrow('Unrecognised shard format');
+  });
+
+  it('assigns a note to the same shard every time', () => {
+    const shard = EmbeddingCache.shardOf('Projects/X-500 spec.md');
+    expect(shard).toMatch(/^[0-9a-f]{2}$/);
+    expect(EmbeddingCache.shardOf('Projects/X-500 spec.md')).toBe(shard);
+  });
+});
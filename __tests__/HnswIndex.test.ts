@@ -0,0 +1,98 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { HnswIndex } from '../utils/HnswIndex';
+import { VectorMath } from '../utils/VectorMath';
+
+describe('HnswIndex', () => {
+  const DIMENSIONS = 16;
+
+  // Small deterministic PRNG so graph shape and data are stable across runs
+  const prng = (seed: number) => () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+
+  const randomVectors = (count: number, random: () => number) =>
+    Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1));
+
+  const exactTopK = (vectors: number[][], query: number[], k: number) =>
+    VectorMath.topKSimilar(
+      { values: query, dimensions: DIMENSIONS },
+      vectors.map((values, i) => ({ embedding: { values, dimensions: DIMENSIONS }, metadata: `v${i}` })),
+      k
+    ).map((result) => result.metadata);
+
+  const build = (vectors: number[][]) => {
+    const index = new HnswIndex({ M: 8, efConstruction: 64, efSearch: 48, random: prng(7) });
+    vectors.forEach((vector, i) => index.insert(`v${i}`, vector));
+    return index;
+  };
+
+  it('finds nearly the same top-k as an exact scan', () => {
+    const random = prng(42);
+    const vectors = randomVectors(400, random);
+    const index = build(vectors);
+
+    let hits = 0;
+    const queries = randomVectors(20, random);
+    for (const query of queries) {
+      const expected = new Set(exactTopK(vectors, query, 5));
+      hits += index.search(query, 5).filter((match) => expected.has(match.key)).length;
+    }
+
+    expect(hits / (queries.length * 5)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('returns cosine similarity and the exact vector first', () => {
+    const vectors = randomVectors(100, prng(3));
+    const [best] = build(vectors).search(vectors[17], 1);
+    expect(best.key).toBe('v17');
+    expect(best.similarity).toBeCloseTo(1);
+  });
+
+  it('never returns removed vectors', () => {
+    const vectors = randomVectors(100, prng(5));
+    const index = build(vectors);
+    index.remove('v17');
+
+    expect(index.search(vectors[17], 10).map((match) => match.key)).not.toContain('v17');
+    expect(index.size).toBe(99);
+    expect(index.deletedRatio()).toBeCloseTo(0.01);
+  });
+
+  it('compacts away tombstones and rejected keys', () => {
+    const vectors = randomVectors(100, prng(7));
+    const index = build(vectors);
+    for (let i = 0; i < 40; i++) index.remove(`v${i}`);
+
+    const compacted = index.compact((key) => key !== 'v50');
+    expect(compacted.size).toBe(59);
+    expect(compacted.deletedRatio()).toBe(0);
+    const [best] = compacted.search(vectors[60], 1);
+    expect(best.key).toBe('v60');
+    expect(compacted.search(vectors[50], 10).map((match) => match.key)).not.toContain('v50');
+  });
+
+  it('restores a serialized graph with vectors supplied by key', () => {
+    const vectors = randomVectors(150, prng(9));
+    const index = build(vectors);
+    index.remove('v3');
+
+    const byKey = new Map(vectors.map((vector, i) => [`v${i}`, vector] as [string, number[]]));
+    byKey.delete('v4'); // Chunk deleted after the graph was saved
+    const restored = HnswIndex.deserialize(index.serialize(), (key) => byKey.get(key), { M: 8 });
+
+    expect(restored).not.toBeNull();
+    expect(restored!.size).toBe(148);
+    expect(restored!.has('v3')).toBe(false);
+    expect(restored!.has('v4')).toBe(false);
+    expect(restored!.search(vectors[60], 1)[0].key).toBe('v60');
+  });
+
+  it('rejects snapshots built with different link settings', () => {
+    const index = build(randomVectors(10, prng(1)));
+    expect(HnswIndex.deserialize(index.serialize(), () => undefined, { M: 16 })).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { MCPContextRanker } from '../utils/MCPContextRanker';
+
+describe('MCPContextRanker', () => {
+  it('picks a search tool it can call with the query alone', () => {
+    const tool = MCPContextRanker.findSearchTool([
+      { name: 'create_page', inputSchema: { properties: { title: { type: 'string' } } } },
+      {
+        name: 'search_docs',
+        annotations: { readOnlyHint: true },
+        inputSchema: {
+          properties: { space: { type: 'string' }, query: { type: 'string' } },
+          required: ['space', 'query'],
+        },
+      },
+      {
+        name: 'search_notes',
+        annotations: { readOnlyHint: true },
+        inputSchema: {
+          properties: { query: { type: 'string' }, limit: { type: 'integer' } },
+          required: ['query'],
+        },
+      },
+    ]);
+
+    expect(tool).toEqual({ name: 'search_notes', argument: 'query', limitArgument: 'limit' });
+  });
+
+  it('never picks tools that may change something or take other input', () => {
+    const text = { type: 'string' };
+    const tool = MCPContextRanker.findSearchTool([
+      // Not marked read-only
+      { name: 'search_issues', inputSchema: { properties: { query: text } } },
+      // Only the description mentions searching
+      {
+        name: 'create_issue',
+        description: 'Create an issue; use search first to avoid duplicates',
+        annotations: { readOnlyHint: true },
+        inputSchema: { properties: { title: text } },
+      },
+      // Single string argument that is not a query
+      { name: 'query', annotations: { readOnlyHint: true }, inputSchema: { properties: { sql: text } } },
+    ]);
+
+    expect(tool).toBeNull();
+  });
+
+  it('returns null when no tool searches', () => {
+    expect(MCPContextRanker.findSearchTool([{ name: 'get_time', inputSchema: {} }])).toBeNull();
+  });
+
+  it('reads only resources related to the transcript', () => {
+    const resources = [
+      { uri: 'file:///docs/onboarding.md', name: 'Onboarding' },
+      { uri: 'file:///docs/x-500-pump.md', name: 'X-500 pump specs' },
+      { uri: 'file:///docs/holidays.md', name: 'Holiday calendar' },
+    ];
+
+    const ranked = MCPContextRanker.rankResources('The X500 pump pressure dropped again', resources, 3);
+    expect(ranked.map((resource) => resource.name)).toEqual(['X-500 pump specs']);
+  });
+
+  it('reduces a transcript to its most frequent terms', () => {
+    const query = MCPContextRanker.searchQuery('Budget review: the budget for the pump, and the pump vendor.', 2);
+    expect(query).toBe('budget pump');
+  });
+});
@@ -0,0 +1,54 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { MCPServerHealth } from '../utils/MCPServerHealth';
+
+describe('MCPServerHealth', () => {
+  it('degrades on a failure and fails after enough in a row', () => {
+    const health = new MCPServerHealth({ failuresBeforeFailed: 3 });
+    health.connected();
+
+    expect(health.recordFailure('timeout')).toBe('degraded');
+    expect(health.recordFailure('timeout')).toBe('degraded');
+    expect(health.recordFailure('timeout')).toBe('failed');
+    expect(health.lastError).toBe('timeout');
+  });
+
+  it('recovers from degraded on the next success', () => {
+    const health = new MCPServerHealth({ failuresBeforeFailed: 2 });
+    health.connected();
+
+    health.recordFailure('timeout');
+    health.recordSuccess();
+    expect(health.state).toBe('connected');
+
+    // The streak was reset, so one more failure only degrades
+    expect(health.recordFailure('timeout')).toBe('degraded');
+  });
+
+  it('doubles the reconnect delay up to the cap and resets once connected', () => {
+    let now = 1000;
+    const health = new MCPServerHealth({ baseRetryMs: 100, maxRetryMs: 350 }, () => now);
+
+    expect(health.scheduleRetry()).toBe(100);
+    expect(health.retryAt).toBe(1100);
+    expect(health.scheduleRetry()).toBe(200);
+    expect(health.scheduleRetry()).toBe(350);
+    expect(health.scheduleRetry()).toBe(350);
+
+    health.connected();
+    now = 5000;
+    expect(health.retryAt).toBeNull();
+    expect(health.scheduleRetry()).toBe(100);
+    expect(health.retryAt).toBe(5100);
+  });
+
+  it('keeps only the newest non-empty stderr lines', () => {
+    const health = new MCPServerHealth({ logLines: 3 });
+    health.appendLog('one\ntwo\n\n');
+    health.appendLog('three\r\nfour\n');
+
+    expect(health.getLog()).toEqual(['two', 'three', 'four']);
+  });
+});
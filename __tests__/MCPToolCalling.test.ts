@@ -0,0 +1,50 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { MCPToolCalling } from '../utils/MCPToolCalling';
+
+describe('MCPToolCalling', () => {
+  it('gives every tool a valid, unique function name that maps back to it', () => {
+    const tools = [
+      { serverId: 'a', serverName: 'Team Jira', name: 'get.issue' },
+      { serverId: 'b', serverName: 'Team Jira', name: 'get.issue' },
+      { serverId: 'c', serverName: 'Calendar', name: 'x'.repeat(80) },
+    ];
+
+    const { functions, byName } = MCPToolCalling.toFunctions(tools);
+    const names = functions.map((fn) => fn.function.name);
+
+    expect(names[0]).toBe('Team_Jira__get_issue');
+    expect(names[1]).toBe('Team_Jira__get_issue_2');
+    expect(names[2]).toHaveLength(64);
+    names.forEach((name) => expect(name).toMatch(/^[a-zA-Z0-9_-]{1,64}$/));
+    expect(byName.get(names[1])).toBe(tools[1]);
+  });
+
+  it('always offers an object schema', () => {
+    const { functions } = MCPToolCalling.toFunctions([
+      { serverId: 'a', serverName: 'A', name: 'now' },
+      {
+        serverId: 'a',
+        serverName: 'A',
+        name: 'get_issue',
+        inputSchema: { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] },
+      },
+    ]);
+
+    expect(functions[0].function.parameters).toEqual({ type: 'object', properties: {} });
+    expect(functions[1].function.parameters).toEqual({
+      type: 'object',
+      properties: { key: { type: 'string' } },
+      required: ['key'],
+    });
+  });
+
+  it('accepts only JSON objects as arguments', () => {
+    expect(MCPToolCalling.parseArguments('')).toEqual({});
+    expect(MCPToolCalling.parseArguments('{"key":"OPS-42"}')).toEqual({ key: 'OPS-42' });
+    expect(() => MCPToolCalling.parseArguments('["OPS-42"]')).toThrow('JSON object');
+    expect(() => MCPToolCalling.parseArguments('{key')).toThrow();
+  });
+});
@@ -0,0 +1,59 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { MarkdownChunker } from '../utils/MarkdownChunker';
+
+describe('MarkdownChunker', () => {
+  const note = [
+    '---',
+    'tags: [project, "#hardware"]',
+    'aliases:',
+    '  - X500',
+    '  - "Pump spec"',
+    '---',
+    '# X-500',
+    'Intro paragraph.',
+    '',
+    '## Setup',
+    '- step one',
+    '- step two',
+    '',
+    '```bash',
+    'pump --start',
+    '',
+    'pump --status',
+    '```',
+    '',
+    '### Pressure',
+    'Runs at 40 psi.',
+  ].join('\n');
+
+  it('reads frontmatter tags and aliases and strips them from the text', () => {
+    const { frontmatter, chunks } = MarkdownChunker.chunk(note, { chunkSize: 500, overlap: 50 });
+    expect(frontmatter).toEqual({ tags: ['project', 'hardware'], aliases: ['X500', 'Pump spec'] });
+    expect(chunks.some((chunk) => chunk.text.includes('aliases'))).toBe(false);
+  });
+
+  it('never crosses a heading and records the breadcrumb', () => {
+    const { chunks } = MarkdownChunker.chunk(note, { chunkSize: 500, overlap: 50 });
+    expect(chunks.map((chunk) => chunk.headingPath)).toEqual([
+      ['X-500'],
+      ['X-500', 'Setup'],
+      ['X-500', 'Setup', 'Pressure'],
+    ]);
+    expect(chunks[1].text).toContain('pump --start\n\npump --status\n```');
+    expect(note.slice(chunks[2].startChar, chunks[2].endChar)).toBe('### Pressure\nRuns at 40 psi.');
+  });
+
+  it('splits an oversized code fence into valid fenced pieces', () => {
+    const code = ['```js', ...Array.from({ length: 40 }, (_, i) => `const value${i} = ${i};`), '```'].join('\n');
+    const { chunks } = MarkdownChunker.chunk(`# Code\n${code}`, { chunkSize: 50, overlap: 10 });
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      const body = chunk.text.replace(/^# Code\n\n/, '');
+      expect(body.startsWith('```js\n')).toBe(true);
+      expect(body.endsWith('\n```')).toBe(true);
+    }
+  });
+});
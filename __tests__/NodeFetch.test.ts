@@ -0,0 +1,126 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { randomUUID } from 'crypto';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { NodeFetch } from '../utils/NodeFetch';
+
+describe('NodeFetch', () => {
+  const TOKEN = 'secret';
+  let server: http.Server;
+  let baseUrl: string;
+  const seen: http.IncomingHttpHeaders[] = [];
+
+  const mcpServer = () => {
+    const mcp = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    mcp.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [{ name: 'search_notes', inputSchema: { type: 'object' as const, properties: {} } }],
+    }));
+    return mcp;
+  };
+
+  // Like most MCP servers: no CORS headers, no OPTIONS handling, and
+  // anything carrying an Origin (i.e. from a browser) is refused
+  beforeAll(async () => {
+    const sessions = new Map<string, StreamableHTTPServerTransport>();
+    const sseSessions = new Map<string, SSEServerTransport>();
+
+    server = http.createServer(async (req, res) => {
+      seen.push(req.headers);
+      if (req.headers.origin || req.method === 'OPTIONS') {
+        res.writeHead(403).end('Forbidden');
+        return;
+      }
+      if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+        res.writeHead(401).end('Unauthorized');
+        return;
+      }
+
+      const url = new URL(req.url ?? '/', baseUrl);
+      if (url.pathname === '/sse') {
+        const transport = new SSEServerTransport('/messages', res);
+        sseSessions.set(transport.sessionId, transport);
+        await mcpServer().connect(transport);
+        return;
+      }
+      if (url.pathname === '/messages') {
+        await sseSessions.get(url.searchParams.get('sessionId') ?? '')?.handlePostMessage(req, res);
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'] as string | undefined;
+      let transport = sessionId ? sessions.get(sessionId) : undefined;
+      if (!transport) {
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            sessions.set(id, transport!);
+          },
+        });
+        await mcpServer().connect(transport);
+      }
+      await transport.handleRequest(req, res);
+    });
+
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    seen.length = 0;
+  });
+
+  const listTools = async (transport: StreamableHTTPClientTransport | SSEClientTransport) => {
+    const client = new Client({ name: 'zeddal', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(transport);
+    try {
+      return (await client.listTools()).tools.map((tool) => tool.name);
+    } finally {
+      await client.close();
+    }
+  };
+
+  const requestInit = { headers: { Authorization: `Bearer ${TOKEN}` } };
+
+  it('talks streamable HTTP with auth and session headers to a server without CORS', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), {
+      requestInit,
+      fetch: NodeFetch.fetch,
+    });
+
+    expect(await listTools(transport)).toEqual(['search_notes']);
+    expect(seen.some((headers) => headers['mcp-session-id'])).toBe(true);
+    expect(seen.every((headers) => !headers.origin)).toBe(true);
+  });
+
+  it('talks SSE to a server without CORS', async () => {
+    const transport = new SSEClientTransport(new URL(`${baseUrl}/sse`), { requestInit, fetch: NodeFetch.fetch });
+
+    expect(await listTools(transport)).toEqual(['search_notes']);
+    expect(seen.every((headers) => !headers.origin)).toBe(true);
+  });
+
+  it('errors an open stream when the request is aborted', async () => {
+    const controller = new AbortController();
+    const response = await NodeFetch.fetch(`${baseUrl}/sse`, { ...requestInit, signal: controller.signal });
+    const reader = response.body!.getReader();
+    await reader.read(); // The endpoint event
+
+    controller.abort();
+    await expect(reader.read()).rejects.toThrow('aborted');
+  });
+});
@@ -0,0 +1,26 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { RankFusion } from '../utils/RankFusion';
+
+describe('RankFusion', () => {
+  it('merges rankings so keys found by both lists come first', () => {
+    const fused = RankFusion.reciprocalRank([
+      ['a', 'b', 'c'],
+      ['c', 'd'],
+    ]);
+    expect(fused[0].key).toBe('c');
+  });
+
+  it('orders identifier matches first without changing their cosine similarity', () => {
+    const ranked = RankFusion.rerank('X-500 pump budget', [
+      { key: 'generic', text: 'Notes about pumps in general', title: 'Pumps', vectorSimilarity: 0.6 },
+      { key: 'exact', text: 'The X500 budget was approved', title: 'Budget', vectorSimilarity: 0.5 },
+    ]);
+
+    expect(ranked.map((candidate) => candidate.key)).toEqual(['exact', 'generic']);
+    expect(ranked[0].vectorSimilarity).toBe(0.5);
+    expect(ranked[0].score).toBeGreaterThan(0.6);
+  });
+});
@@ -0,0 +1,47 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { RateLimiter } from '../utils/RateLimiter';
+
+describe('RateLimiter', () => {
+  const build = (requestsPerMinute: number, tokensPerMinute: number) => {
+    const clock = { now: 0 };
+    const limiter = new RateLimiter(
+      () => ({ requestsPerMinute, tokensPerMinute }),
+      () => clock.now,
+      async (ms) => {
+        clock.now += ms;
+      }
+    );
+    return { clock, limiter };
+  };
+
+  it('waits for the oldest request to leave the window', () => {
+    const { clock, limiter } = build(2, 0);
+    limiter.record(1);
+    clock.now = 10000;
+    limiter.record(1);
+    clock.now = 20000;
+    expect(limiter.delayFor(1)).toBe(40000);
+  });
+
+  it('waits until enough tokens have expired', async () => {
+    const { clock, limiter } = build(0, 1000);
+    await limiter.acquire(600);
+    clock.now = 5000;
+    await limiter.acquire(600);
+    expect(clock.now).toBe(60000);
+  });
+
+  it('lets an oversized call through once the window is empty', () => {
+    const { limiter } = build(0, 100);
+    expect(limiter.delayFor(500)).toBe(0);
+  });
+
+  it('groups items by token budget', () => {
+    const groups = RateLimiter.batchByTokens([40, 40, 40, 300, 10], (n) => n, 100);
+    expect(groups).toEqual([[40, 40], [40], [300], [10]]);
+    expect(RateLimiter.batchByTokens([1, 2], (n) => n, 0)).toEqual([[1, 2]]);
+  });
+});
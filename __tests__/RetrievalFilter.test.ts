@@ -0,0 +1,50 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { RetrievalFilters } from '../utils/RetrievalFilter';
+import { VaultChunk } from '../utils/Types';
+
+describe('RetrievalFilters', () => {
+  const chunk = (path: string, tags?: string[], lastModified = 1000): VaultChunk => ({
+    path,
+    chunkIndex: 0,
+    text: '',
+    embedding: { values: [], dimensions: 0 },
+    lastModified,
+    tokens: 0,
+    tags,
+  });
+
+  it('treats plain folders as the folder and everything below it', () => {
+    const filter = { includeFolders: ['Projects/Acme'], excludeFolders: ['**/Drafts'] };
+    expect(RetrievalFilters.matchesPath('Projects/Acme/Specs/X-500.md', filter)).toBe(true);
+    expect(RetrievalFilters.matchesPath('Projects/Acme/Drafts/idea.md', filter)).toBe(false);
+    expect(RetrievalFilters.matchesPath('Projects/AcmeCorp/plan.md', filter)).toBe(false);
+  });
+
+  it('matches single-folder and recursive globs', () => {
+    expect(RetrievalFilters.globToRegExp('Journal/*.md').test('Journal/2025-01-01.md')).toBe(true);
+    expect(RetrievalFilters.globToRegExp('Journal/*.md').test('Journal/2025/01.md')).toBe(false);
+    expect(RetrievalFilters.globToRegExp('**/Templates/**').test('Templates/Meeting.md')).toBe(true);
+  });
+
+  it('excludes nested tags and applies every filter given', () => {
+    const settings = { excludeTags: ['journal'] };
+    const override = { includeTags: ['#client'], modifiedAfter: 500 };
+    expect(RetrievalFilters.matchesChunk(chunk('a.md', ['client']), settings, override)).toBe(true);
+    expect(RetrievalFilters.matchesChunk(chunk('a.md', ['client', 'journal/private']), settings, override)).toBe(false);
+    expect(RetrievalFilters.matchesChunk(chunk('a.md', ['client'], 100), settings, override)).toBe(false);
+  });
+
+  it('parses a one-line per-recording scope', () => {
+    expect(RetrievalFilters.parseScope('Projects/Acme, #client, -#private, -Archive')).toEqual({
+      includeFolders: ['Projects/Acme'],
+      includeTags: ['client'],
+      excludeTags: ['private'],
+      excludeFolders: ['Archive'],
+    });
+    expect(RetrievalFilters.parseScope('  ')).toBeNull();
+    expect(RetrievalFilters.parseScope('after:2025-01-01')?.modifiedAfter).toBe(new Date('2025-01-01T00:00:00').getTime());
+  });
+});
@@ -0,0 +1,51 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { TranscriptConfidence } from '../utils/TranscriptConfidence';
+import { TranscriptSegment } from '../utils/Types';
+
+describe('TranscriptConfidence', () => {
+  it('maps avg_logprob and no_speech_prob to 0-1', () => {
+    expect(TranscriptConfidence.fromLogprob(0)).toBe(1);
+    expect(TranscriptConfidence.fromLogprob(Math.log(0.8), 0.5)).toBeCloseTo(0.4);
+    expect(TranscriptConfidence.fromLogprob(0.3, 2)).toBe(0);
+  });
+
+  it('weights segment confidence by duration', () => {
+    const segments: TranscriptSegment[] = [
+      { start: 0, end: 9, text: 'long', confidence: 0.9 },
+      { start: 9, end: 10, text: 'short', confidence: 0.1 },
+      { start: 10, end: 12, text: 'unknown' },
+    ];
+    expect(TranscriptConfidence.overall(segments)).toBeCloseTo(0.82);
+    expect(TranscriptConfidence.overall([{ start: 0, end: 1, text: 'x' }])).toBeNull();
+  });
+
+  it('merges consecutive low-probability words into spans', () => {
+    const segments: TranscriptSegment[] = [
+      {
+        start: 0,
+        end: 3,
+        text: 'run kubectl apply now',
+        words: [
+          { word: 'run', start: 0, end: 0.5, probability: 0.95 },
+          { word: 'kubectl', start: 0.5, end: 1.2, probability: 0.3 },
+          { word: 'apply', start: 1.2, end: 2, probability: 0.5 },
+          { word: 'now', start: 2, end: 3, probability: 0.9 },
+        ],
+      },
+    ];
+
+    const spans = TranscriptConfidence.findLowConfidenceSpans(segments);
+    expect(spans).toEqual([{ text: 'kubectl apply', confidence: 0.4, start: 0.5, end: 2 }]);
+  });
+
+  it('falls back to whole segments without word probabilities', () => {
+    const segments: TranscriptSegment[] = [
+      { start: 0, end: 2, text: 'clear speech', confidence: 0.95 },
+      { start: 2, end: 4, text: 'mumbled part', confidence: 0.3, words: [{ word: 'mumbled', start: 2, end: 3 }] },
+    ];
+    expect(TranscriptConfidence.findLowConfidenceSpans(segments).map((s) => s.text)).toEqual(['mumbled part']);
+  });
+});
@@ -0,0 +1,100 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { VoiceActivityDetector, VadSegment } from '../services/VoiceActivityDetector';
+import { RecordingTelemetry } from '../services/RecordingTelemetry';
+
+describe('VoiceActivityDetector', () => {
+  const FRAME_MS = 50;
+
+  // Square wave with the given RMS level
+  const frame = (level: number, size = 256) => {
+    const samples = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      samples[i] = i % 2 === 0 ? level : -level;
+    }
+    return samples;
+  };
+
+  const run = (vad: VoiceActivityDetector, level: number, count: number) =>
+    Array.from({ length: count }, () => vad.process(frame(level), FRAME_MS));
+
+  it('computes RMS of a frame', () => {
+    expect(VoiceActivityDetector.rms(frame(0.2))).toBeCloseTo(0.2);
+    expect(VoiceActivityDetector.rms(new Float32Array(0))).toBe(0);
+  });
+
+  it('holds speech through hangover frames before switching to silence', () => {
+    const vad = new VoiceActivityDetector({ threshold: 0.01, hangoverFrames: 3 });
+    run(vad, 0.1, 5);
+    const tail = run(vad, 0, 5).map((d) => d.isSpeech);
+    expect(tail).toEqual([true, true, true, false, false]);
+  });
+
+  it('uses hysteresis so levels between exit and enter thresholds keep the current state', () => {
+    const vad = new VoiceActivityDetector({ threshold: 0.03, enterRatio: 3, exitRatio: 2, hangoverFrames: 0 });
+    // 0.025 is below the enter level (0.03) but above the exit level (0.02)
+    expect(run(vad, 0.025, 3).every((d) => !d.isSpeech)).toBe(true);
+    run(vad, 0.1, 2);
+    expect(run(vad, 0.025, 3).every((d) => d.isSpeech)).toBe(true);
+  });
+
+  it('adapts the noise floor so steady background noise is not speech', () => {
+    const vad = new VoiceActivityDetector({ threshold: 0.01, hangoverFrames: 0 });
+    const decisions = run(vad, 0.02, 600);
+    expect(decisions[0].isSpeech).toBe(true);
+    expect(decisions[decisions.length - 1].isSpeech).toBe(false);
+    expect(vad.getNoiseFloor()).toBeGreaterThan(0.015);
+    // Speech well above the hum is still detected
+    expect(vad.process(frame(0.2), FRAME_MS).isSpeech).toBe(true);
+  });
+
+  it('keeps sustained loud speech as speech without raising the noise floor', () => {
+    const vad = new VoiceActivityDetector({ threshold: 0.01 });
+    run(vad, 0.002, 20); // Quiet room
+
+    // 8 s of unbroken speech at the recorder's frame rate
+    const decisions = Array.from({ length: 500 }, () => vad.process(frame(0.1), 16));
+    expect(decisions.every((d) => d.isSpeech && !d.longSilence)).toBe(true);
+    expect(vad.getNoiseFloor()).toBeLessThan(0.003);
+  });
+
+  it('reports segments and flags long silences as skippable', () => {
+    const segments: VadSegment[] = [];
+    const vad = new VoiceActivityDetector(
+      { threshold: 0.01, hangoverFrames: 0, silenceDurationMs: 1000 },
+      (segment) => segments.push(segment)
+    );
+
+    run(vad, 0.1, 10); // 500ms speech
+    const silence = run(vad, 0, 30); // 1500ms silence
+    run(vad, 0.1, 4); // 200ms speech
+    vad.flush();
+
+    expect(silence[19].longSilence).toBe(true);
+    expect(segments.map((s) => s.type)).toEqual(['speech', 'silence', 'speech']);
+    expect(segments[1]).toEqual({ type: 'silence', startMs: 500, endMs: 2000, skippable: true });
+    expect(segments[2].endMs).toBe(2200);
+  });
+
+  it('feeds speech and skipped silence into RecordingTelemetry', () => {
+    const telemetry = new RecordingTelemetry(() => 0);
+    telemetry.start();
+    const vad = new VoiceActivityDetector(
+      { threshold: 0.01, hangoverFrames: 0, silenceDurationMs: 1000 },
+      (segment) => telemetry.ingestSegment(segment)
+    );
+
+    for (const level of [...Array(10).fill(0.1), ...Array(30).fill(0), ...Array(4).fill(0.1)]) {
+      const decision = vad.process(frame(level), FRAME_MS);
+      telemetry.ingestFrame({ isSpeech: decision.isSpeech, durationMs: FRAME_MS });
+    }
+    vad.flush();
+
+    const snap = telemetry.snapshot();
+    expect(snap.speakingTimeMs).toBe(700);
+    expect(snap.speechSegments).toBe(2);
+    expect(snap.skippedSilenceMs).toBe(1500);
+  });
+});
@@ -0,0 +1,35 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+import { WordPieceTokenizer } from '../utils/WordPieceTokenizer';
+
+describe('WordPieceTokenizer', () => {
+  const vocab = ['[PAD]', '[UNK]', '[CLS]', '[SEP]', 'the', 'pump', '##s', 'x', '-', '500', 'cafe', ',', 'run'].join('\n');
+  const ids = (tokens: string[]) => tokens.map((token) => vocab.split('\n').indexOf(token));
+
+  it('wraps word pieces in [CLS] ... [SEP]', () => {
+    const tokenizer = WordPieceTokenizer.fromVocabText(vocab);
+    expect(tokenizer.encode('The pumps').inputIds).toEqual(ids(['[CLS]', 'the', 'pump', '##s', '[SEP]']));
+  });
+
+  it('splits punctuation, strips accents and maps unknown words to [UNK]', () => {
+    const tokenizer = WordPieceTokenizer.fromVocabText(vocab);
+    expect(tokenizer.encode('Café, X-500 zebra').inputIds).toEqual(
+      ids(['[CLS]', 'cafe', ',', 'x', '-', '500', '[UNK]', '[SEP]'])
+    );
+  });
+
+  it('truncates to the maximum length and keeps [SEP]', () => {
+    const tokenizer = WordPieceTokenizer.fromVocabText(vocab, { maxLength: 4 });
+    const encoded = tokenizer.encode('run run run run');
+    expect(encoded.inputIds).toEqual(ids(['[CLS]', 'run', 'run', '[SEP]']));
+    expect(encoded.attentionMask).toEqual([1, 1, 1, 1]);
+  });
+
+  it('reads the vocabulary from tokenizer.json', () => {
+    const json = { model: { type: 'WordPiece', vocab: { '[UNK]': 0, '[CLS]': 1, '[SEP]': 2, Run: 3 } }, normalizer: { lowercase: false } };
+    expect(WordPieceTokenizer.fromTokenizerJson(json).encode('Run').inputIds).toEqual([1, 3, 2]);
+    expect(() => WordPieceTokenizer.fromTokenizerJson({ model: { type: 'BPE' } })).toThrow('WordPiece');
+  });
+});
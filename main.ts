@@ -12,14 +12,19 @@ import { Plugin, PluginSettingTab, Setting, App, TFile } from 'obsidian';
 import * as fs from 'fs';
 import * as path from 'path';
 import { Config, DEFAULT_SETTINGS } from './utils/Config';
-import { ZeddalSettings } from './utils/Types';
+import { ZeddalSettings, MCPServerConfig, MCPTransportType, MCPConnectionState, MCPToolApproval } from './utils/Types';
 import { RecorderService } from './services/RecorderService';
 import { WhisperService } from './services/WhisperService';
 import { LLMRefineService } from './services/LLMRefineService';
-import { VaultRAGService } from './services/VaultRAGService';
+import { VaultRAGService, EmbeddingIndexInfo } from './services/VaultRAGService';
 import { MCPClientService } from './services/MCPClientService';
+import { MCPServerService } from './services/MCPServerService';
 import { AudioFileService } from './services/AudioFileService';
 import { VaultOps } from './services/VaultOps';
+import { HistoryService } from './services/HistoryService';
+import { MergeService } from './services/MergeService';
+import { AudioProcessingQueue } from './services/AudioProcessingQueue';
+import { WatchFolderService } from './services/WatchFolderService';
 import { MicButton } from './ui/MicButton';
 import { RecordModal } from './ui/RecordModal';
 import { Toast } from './ui/Toast';
@@ -27,13 +32,16 @@ import { eventBus } from './utils/EventBus';
 import { OnboardingModal } from './ui/OnboardingModal';
 import { ContextLinkService } from './services/ContextLinkService';
 import { LinkInspectorModal } from './ui/LinkInspectorModal';
+import { AskVaultModal } from './ui/AskVaultModal';
 import { RecordingHistoryModal } from './ui/RecordingHistoryModal';
 import { StatusBar } from './ui/StatusBar';
 import { MCPWarningModal } from './ui/MCPWarningModal';
+import { NoteHistoryModal } from './ui/NoteHistoryModal';
 import { QASessionService } from './services/QASessionService';
 import { TranscriptFormatter } from './services/TranscriptFormatter';
 import { CorrectionDatabase } from './services/CorrectionDatabase';
 import { UnifiedRefinementService } from './services/UnifiedRefinementService';
+import { RetrievalFilters } from './utils/RetrievalFilter';
 
 export default class ZeddalPlugin extends Plugin {
   settings: ZeddalSettings;
@@ -43,12 +51,17 @@ export default class ZeddalPlugin extends Plugin {
   llmRefineService: LLMRefineService; // Public for RecordingHistoryModal
   vaultRAGService: VaultRAGService; // Public for RecordingHistoryModal
   mcpClientService: MCPClientService; // Public for RecordModal
+  mcpServerService: MCPServerService; // Public for settings
   vaultOps: VaultOps; // Public for RecordingHistoryModal
+  historyService: HistoryService; // Public for RecordModal undo
+  mergeService: MergeService; // Public for RecordModal
   contextLinkService: ContextLinkService; // Public for RecordingHistoryModal
   qaSessionService: QASessionService; // Public for RecordModal
   transcriptFormatter: TranscriptFormatter; // Public for RecordModal
   correctionDb: CorrectionDatabase; // Public for RecordModal and settings
   unifiedRefinement: UnifiedRefinementService; // Public for RecordModal
+  audioQueue: AudioProcessingQueue; // Outlives modals so batches keep running
+  watchFolderService: WatchFolderService; // Public for settings
   private config: Config;
   private audioFileService: AudioFileService;
   private micButton: MicButton;
@@ -67,10 +80,16 @@ export default class ZeddalPlugin extends Plugin {
     this.whisperService = new WhisperService(this.config);
     this.recorderService = new RecorderService(this.config);
     this.llmRefineService = new LLMRefineService(this.config);
-    this.vaultRAGService = new VaultRAGService(this.app, this.config);
-    this.mcpClientService = new MCPClientService(this.config);
+    this.vaultRAGService = new VaultRAGService(this.app, this.config, (progress) =>
+      this.statusBar?.setIndexingProgress(progress)
+    );
+    this.mcpClientService = new MCPClientService(this.config, (status) =>
+      this.statusBar?.setMCPStatus(status)
+    );
     this.audioFileService = new AudioFileService(this.app, this.config);
-    this.vaultOps = new VaultOps(this.app);
+    this.historyService = new HistoryService(this.app);
+    this.vaultOps = new VaultOps(this.app, this.historyService);
+    this.mergeService = new MergeService(this.config, this.vaultRAGService, this.vaultOps);
     this.toast = new Toast();
     this.contextLinkService = new ContextLinkService(
       this.app,
@@ -88,12 +107,48 @@ export default class ZeddalPlugin extends Plugin {
     // Initialize unified refinement service
     this.unifiedRefinement = new UnifiedRefinementService(this.config, this.correctionDb);
 
+    // Batch queue for dropped audio files
+    this.audioQueue = new AudioProcessingQueue(
+      this.config,
+      {
+        audioFileService: this.audioFileService,
+        whisperService: this.whisperService,
+        unifiedRefinement: this.unifiedRefinement,
+        vaultRAGService: this.vaultRAGService,
+        vaultOps: this.vaultOps,
+        toast: this.toast,
+      },
+      (jobs) => this.statusBar.setAudioQueue(jobs)
+    );
+    this.watchFolderService = new WatchFolderService(
+      this.app,
+      this.config,
+      this.audioFileService,
+      this.audioQueue
+    );
+    this.mcpServerService = new MCPServerService(this.config, {
+      whisperService: this.whisperService,
+      vaultRAGService: this.vaultRAGService,
+      audioFileService: this.audioFileService,
+      vaultOps: this.vaultOps,
+    });
+
+    // Prune old pre-write snapshots (async, don't block plugin load)
+    this.historyService
+      .cleanup(this.settings.historyRetentionDays)
+      .catch((error) => console.warn('Failed to clean up note history:', error));
+
     // Initialize RAG index (async, don't block plugin load)
     this.initializeRAGIndex();
 
     // Initialize MCP connections (async, don't block plugin load)
     this.initializeMCP();
 
+    // Serve Zeddal's own tools to other agents, if enabled
+    this.mcpServerService
+      .start()
+      .catch((error) => console.warn('Zeddal MCP server not started:', error));
+
     // Setup vault file listeners for incremental RAG updates
     this.setupVaultListeners();
 
@@ -133,6 +188,15 @@ export default class ZeddalPlugin extends Plugin {
       },
     });
 
+    this.addCommand({
+      id: 'ask-vault',
+      name: 'Zeddal: Ask vault',
+      callback: () => {
+        const modal = new AskVaultModal(this.app, this);
+        modal.open();
+      },
+    });
+
     this.addCommand({
       id: 'recording-history',
       name: 'Zeddal: Browse recording history',
@@ -147,6 +211,63 @@ export default class ZeddalPlugin extends Plugin {
       },
     });
 
+    this.addCommand({
+      id: 'note-history',
+      name: 'Zeddal: Restore previous version of current note',
+      checkCallback: (checking: boolean) => {
+        const file = this.app.workspace.getActiveFile();
+        if (!file) {
+          return false;
+        }
+        if (!checking) {
+          const modal = new NoteHistoryModal(this.app, this.historyService, this.toast, file.path);
+          modal.open();
+        }
+        return true;
+      },
+    });
+
+    // Vault indexing job controls
+    const indexingCommands: Array<{ id: string; name: string; available: () => boolean; run: () => void }> = [
+      {
+        id: 'pause-rag-indexing',
+        name: 'Zeddal: Pause vault indexing',
+        available: () => this.vaultRAGService.getIndexingProgress()?.paused === false,
+        run: () => this.vaultRAGService.pauseIndexing(),
+      },
+      {
+        id: 'resume-rag-indexing',
+        name: 'Zeddal: Resume vault indexing',
+        available: () => this.vaultRAGService.getIndexingProgress()?.paused === true,
+        run: () => this.vaultRAGService.resumeIndexing(),
+      },
+      {
+        id: 'cancel-rag-indexing',
+        name: 'Zeddal: Cancel vault indexing',
+        available: () => this.vaultRAGService.getIndexingProgress() !== null,
+        run: () => {
+          this.vaultRAGService.cancelIndexing();
+          this.toast.info('Indexing cancelled. Use Rebuild Index in settings to start again.');
+        },
+      },
+    ];
+
+    for (const command of indexingCommands) {
+      this.addCommand({
+        id: command.id,
+        name: command.name,
+        checkCallback: (checking: boolean) => {
+          if (!command.available()) {
+            return false;
+          }
+          if (!checking) {
+            command.run();
+          }
+          return true;
+        },
+      });
+    }
+
     // Register file menu for audio files
     this.registerEvent(
       this.app.workspace.on('file-menu', (menu, file) => {
@@ -183,11 +304,31 @@ export default class ZeddalPlugin extends Plugin {
       this.recorderService.stop();
     }
 
+    // Stop scheduled watch folder retries
+    if (this.watchFolderService) {
+      this.watchFolderService.destroy();
+    }
+
+    // Drop queued audio files that have not started
+    if (this.audioQueue) {
+      this.audioQueue.destroy();
+    }
+
+    // Stop indexing; a build in progress resumes from its checkpoint next time
+    if (this.vaultRAGService) {
+      this.vaultRAGService.destroy();
+    }
+
     // Disconnect MCP clients
     if (this.mcpClientService) {
       await this.mcpClientService.disconnect();
     }
 
+    // Stop serving other agents
+    if (this.mcpServerService) {
+      await this.mcpServerService.stop();
+    }
+
     // Cleanup correction database
     if (this.correctionDb) {
       await this.correctionDb.destroy();
@@ -302,9 +443,38 @@ export default class ZeddalPlugin extends Plugin {
   }
 
   /**
-   * Setup vault listeners for incremental RAG updates
+   * Setup vault listeners for watch-folder ingestion and incremental RAG updates
    */
   private setupVaultListeners(): void {
+    // Watch folder: wait for layout so the startup 'create' burst for every
+    // existing file is not mistaken for new recordings
+    this.app.workspace.onLayoutReady(() => {
+      this.registerEvent(
+        this.app.vault.on('create', (file) => {
+          if (file instanceof TFile) {
+            this.watchFolderService.handleCreate(file).catch((error) =>
+              console.error('Watch folder ingestion failed:', error)
+            );
+          }
+        })
+      );
+
+      this.registerEvent(
+        this.app.vault.on('rename', (file, oldPath) => {
+          if (file instanceof TFile && this.audioFileService.isAudioFile(file.path)) {
+            this.watchFolderService.handleRename(file, oldPath).catch((error) =>
+              console.warn('Failed to update watch folder ledger:', error)
+            );
+          }
+        })
+      );
+
+      // Pick up recordings that synced while Obsidian was closed
+      this.watchFolderService.scan().catch((error) =>
+        console.error('Watch folder scan failed:', error)
+      );
+    });
+
     if (!this.settings.enableRAG) {
       return;
     }
@@ -378,26 +548,30 @@ export default class ZeddalPlugin extends Plugin {
       evt.preventDefault();
       evt.stopPropagation();
 
-      // Process the first audio file
-      const audioFile = audioFiles[0];
+      // Check API key
+      if (!this.whisperService.isReady()) {
+        this.toast.warning('Please configure OpenAI API key in settings');
+        return;
+      }
 
-      try {
-        // Check API key
-        if (!this.whisperService.isReady()) {
-          this.toast.warning('Please configure OpenAI API key in settings');
-          return;
-        }
+      // Several files: queue them all; the queue imports, transcribes and saves each one
+      if (audioFiles.length > 1) {
+        this.audioQueue.enqueue(audioFiles);
+        this.toast.info(`Queued ${audioFiles.length} audio files for transcription`);
+        return;
+      }
 
-        // Show toast for multiple files
-        if (audioFiles.length > 1) {
-          this.toast.warning(`Processing first audio file: ${audioFile.name}`);
-        }
+      // A single file opens the interactive review flow
+      const audioFile = audioFiles[0];
 
+      try {
         // Save the dropped audio file to the recordings folder
         this.toast.info(`Importing audio file: ${audioFile.name}`);
 
         // Convert File to Blob
-        const blob = new Blob([await audioFile.arrayBuffer()], { type: audioFile.type });
+        const blob = new Blob([await audioFile.arrayBuffer()], {
+          type: audioFile.type || this.audioFileService.getMimeTypeFromPath(audioFile.name.toLowerCase()),
+        });
 
         // Create AudioChunk
         const audioChunk = {
@@ -627,7 +801,7 @@ class ZeddalSettingTab extends PluginSettingTab {
     // Silence Duration
     new Setting(containerEl)
       .setName('Silence Duration')
-      .setDesc('Milliseconds of silence before auto-pause')
+      .setDesc('Milliseconds of silence that are skipped instead of transcribed (live transcription)')
       .addSlider((slider) =>
         slider
           .setLimits(500, 5000, 100)
@@ -639,6 +813,34 @@ class ZeddalSettingTab extends PluginSettingTab {
           })
       );
 
+    // Live Transcription
+    new Setting(containerEl)
+      .setName('Live Transcription')
+      .setDesc('Transcribe audio in segments while recording so the transcript is ready when you stop')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.liveTranscription)
+          .onChange(async (value) => {
+            this.plugin.settings.liveTranscription = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    // Live Segment Length
+    new Setting(containerEl)
+      .setName('Live Segment Length')
+      .setDesc('Seconds of audio per live segment (cut at the next pause in speech)')
+      .addSlider((slider) =>
+        slider
+          .setLimits(5, 60, 5)
+          .setValue(this.plugin.settings.liveSegmentSeconds)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.liveSegmentSeconds = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     // Recordings Path
     new Setting(containerEl)
       .setName('Recordings Path')
@@ -653,6 +855,69 @@ class ZeddalSettingTab extends PluginSettingTab {
           })
       );
 
+    // Batch import concurrency
+    new Setting(containerEl)
+      .setName('Batch Import Concurrency')
+      .setDesc('How many dropped audio files are transcribed at the same time (1 = one after another)')
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 4, 1)
+          .setValue(this.plugin.settings.audioQueueConcurrency)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.audioQueueConcurrency = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    // Watch folder
+    new Setting(containerEl)
+      .setName('Watch Folder')
+      .setDesc('Automatically transcribe, refine and save audio that syncs into the watch folder (e.g. from your phone). Notes go to the default save location; each file is processed once.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.watchFolderEnabled)
+          .onChange(async (value) => {
+            this.plugin.settings.watchFolderEnabled = value;
+            await this.plugin.saveSettings();
+            if (value) {
+              // Only recordings that arrive from now on are picked up
+              await this.plugin.watchFolderService.markWatchingStarted();
+            }
+          })
+      );
+
+    // Watch folder path
+    new Setting(containerEl)
+      .setName('Watch Folder Path')
+      .setDesc('Vault folder to watch for new recordings (subfolders included)')
+      .addText((text) =>
+        text
+          .setPlaceholder('Voice Notes/Inbox')
+          .setValue(this.plugin.settings.watchFolderPath)
+          .onChange(async (value) => {
+            this.plugin.settings.watchFolderPath = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    // Recordings that failed (offline, API errors) are retried with backoff
+    const failedRecordings = this.plugin.watchFolderService.getFailed();
+    if (failedRecordings.length > 0) {
+      const latest = failedRecordings[failedRecordings.length - 1].entry;
+      new Setting(containerEl)
+        .setName(`Failed recordings: ${failedRecordings.length}`)
+        .setDesc(`Retried automatically a few times. Last error: ${latest.error || 'unknown'}`)
+        .addButton((button) =>
+          button.setButtonText('Retry now').onClick(async () => {
+            button.setDisabled(true);
+            const count = await this.plugin.watchFolderService.retryFailed();
+            this.plugin.toast.info(`Retrying ${count} recording(s)`);
+            this.display();
+          })
+        );
+    }
+
     containerEl.createEl('h3', { text: 'Merge Settings' });
 
     // Auto-merge Threshold
@@ -741,6 +1006,21 @@ class ZeddalSettingTab extends PluginSettingTab {
           })
       );
 
+    // Snapshot retention
+    new Setting(containerEl)
+      .setName('Snapshot retention (days)')
+      .setDesc('Zeddal snapshots a note before every write so you can restore it. Older snapshots are pruned on startup.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 365, 1)
+          .setValue(this.plugin.settings.historyRetentionDays)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.historyRetentionDays = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     containerEl.createEl('h3', { text: 'RAG Settings (Retrieval-Augmented Generation)' });
     containerEl.createEl('p', {
       text: 'Use vault context to inform GPT-4 refinement style and tone. Requires embedding generation (~$0.13 one-time cost for 1000 notes).',
@@ -758,22 +1038,64 @@ class ZeddalSettingTab extends PluginSettingTab {
         })
       );
 
-    // Custom Embedding URL
+    // Embedding backend
     new Setting(containerEl)
-      .setName('Custom embedding endpoint')
-      .setDesc(
-        'Optional: URL for local/self-hosted embedding server (e.g., for DOD/DOJ walled infrastructure). Leave blank to use OpenAI.'
-      )
-      .addText((text) =>
-        text
-          .setPlaceholder('https://my-embedding-server.example.com/embeddings')
-          .setValue(this.plugin.settings.customEmbeddingUrl || '')
+      .setName('Embedding backend')
+      .setDesc('Where note embeddings are computed. The local model runs inside Obsidian with no API key or server.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('api', 'OpenAI / custom endpoint')
+          .addOption('local-onnx', 'Local ONNX model (offline)')
+          .setValue(this.plugin.settings.embeddingBackend || 'api')
           .onChange(async (value) => {
-            this.plugin.settings.customEmbeddingUrl = value;
+            this.plugin.settings.embeddingBackend = value as 'api' | 'local-onnx';
             await this.plugin.saveSettings();
+            this.plugin.vaultRAGService.applyEmbeddingSettings();
+            this.display();
           })
       );
 
+    if (this.plugin.settings.embeddingBackend === 'local-onnx') {
+      // Local ONNX model folder
+      new Setting(containerEl)
+        .setName('Local embedding model folder')
+        .setDesc(
+          'Folder with model.onnx, vocab.txt (or tokenizer.json) and ort-wasm-simd-threaded.wasm, e.g. an ONNX export of all-MiniLM-L6-v2. Changing models rebuilds the index in the background.'
+        )
+        .addText((text) => {
+          text
+            .setPlaceholder('/path/to/all-MiniLM-L6-v2')
+            .setValue(this.plugin.settings.localEmbeddingModelDir || '')
+            .onChange(async (value) => {
+              this.plugin.settings.localEmbeddingModelDir = value;
+              await this.plugin.saveSettings();
+            });
+          text.inputEl.addEventListener('blur', () => {
+            this.plugin.vaultRAGService.applyEmbeddingSettings();
+          });
+        });
+    } else {
+      // Custom Embedding URL
+      new Setting(containerEl)
+        .setName('Custom embedding endpoint')
+        .setDesc(
+          'Optional: URL for local/self-hosted embedding server (e.g., for DOD/DOJ walled infrastructure). Leave blank to use OpenAI.'
+        )
+        .addText((text) => {
+          text
+            .setPlaceholder('https://my-embedding-server.example.com/embeddings')
+            .setValue(this.plugin.settings.customEmbeddingUrl || '')
+            .onChange(async (value) => {
+              this.plugin.settings.customEmbeddingUrl = value;
+              await this.plugin.saveSettings();
+            });
+          // A new endpoint may serve a different model; re-index once editing is done
+          text.inputEl.addEventListener('blur', () => {
+            this.plugin.vaultRAGService.applyEmbeddingSettings();
+          });
+        });
+    }
+
     // RAG Top-K
     new Setting(containerEl)
       .setName('Context chunks')
@@ -789,10 +1111,107 @@ class ZeddalSettingTab extends PluginSettingTab {
           })
       );
 
+    // RAG scope: what may be embedded and sent along as context
+    const scopeLists: Array<{
+      key: 'ragIncludeFolders' | 'ragExcludeFolders' | 'ragIncludeTags' | 'ragExcludeTags';
+      name: string;
+      desc: string;
+      placeholder: string;
+    }> = [
+      {
+        key: 'ragIncludeFolders',
+        name: 'Only index folders',
+        desc: 'One folder or glob per line (e.g. Projects, Areas/**/Specs). Leave empty to index the whole vault.',
+        placeholder: 'Projects\nAreas',
+      },
+      {
+        key: 'ragExcludeFolders',
+        name: 'Never index folders',
+        desc: 'One folder or glob per line. Notes here are never embedded or sent as context.',
+        placeholder: 'Templates\nArchive\nJournal',
+      },
+      {
+        key: 'ragIncludeTags',
+        name: 'Only index tags',
+        desc: 'Frontmatter tags, one per line. Leave empty to ignore tags.',
+        placeholder: 'work',
+      },
+      {
+        key: 'ragExcludeTags',
+        name: 'Never index tags',
+        desc: 'Frontmatter tags, one per line (nested tags included).',
+        placeholder: 'private',
+      },
+    ];
+
+    for (const list of scopeLists) {
+      new Setting(containerEl)
+        .setName(list.name)
+        .setDesc(list.desc)
+        .addTextArea((text) => {
+          text
+            .setPlaceholder(list.placeholder)
+            .setValue(this.plugin.settings[list.key].join('\n'))
+            .onChange(async (value) => {
+              this.plugin.settings[list.key] = RetrievalFilters.parseList(value);
+              await this.plugin.saveSettings();
+            });
+          text.inputEl.rows = 3;
+          // Re-scope the index once editing is done, not on every keystroke
+          text.inputEl.addEventListener('blur', () => {
+            this.plugin.vaultRAGService.reconcileScope();
+          });
+        });
+    }
+
+    new Setting(containerEl)
+      .setName('Only use recent notes')
+      .setDesc('Retrieve context only from notes edited in the last N days (0 = any time)')
+      .addText((text) =>
+        text
+          .setPlaceholder('0')
+          .setValue(String(this.plugin.settings.ragModifiedWithinDays))
+          .onChange(async (value) => {
+            const days = parseInt(value, 10);
+            this.plugin.settings.ragModifiedWithinDays = isNaN(days) || days < 0 ? 0 : days;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    // Embedding API rate limits (read live by a running indexing job)
+    const rateLimits: Array<{ key: 'ragRequestsPerMinute' | 'ragTokensPerMinute'; name: string; desc: string }> = [
+      {
+        key: 'ragRequestsPerMinute',
+        name: 'Embedding requests per minute',
+        desc: 'Throttle indexing to stay under your embedding API rate limit (0 = unlimited)',
+      },
+      {
+        key: 'ragTokensPerMinute',
+        name: 'Embedding tokens per minute',
+        desc: 'Token budget per minute while indexing; large batches are split to fit (0 = unlimited)',
+      },
+    ];
+
+    for (const limit of rateLimits) {
+      new Setting(containerEl)
+        .setName(limit.name)
+        .setDesc(limit.desc)
+        .addText((text) =>
+          text
+            .setPlaceholder('0')
+            .setValue(String(this.plugin.settings[limit.key]))
+            .onChange(async (value) => {
+              const parsed = parseInt(value, 10);
+              this.plugin.settings[limit.key] = isNaN(parsed) || parsed < 0 ? 0 : parsed;
+              await this.plugin.saveSettings();
+            })
+        );
+    }
+
     // RAG rebuild button
     new Setting(containerEl)
       .setName('Rebuild RAG index')
-      .setDesc('Force rebuild of the vector index (use after changing embedding settings)')
+      .setDesc('Re-embed every note. The current index keeps answering queries until the new one is ready.')
       .addButton((button) =>
         button
           .setButtonText('Rebuild Index')
@@ -813,9 +1232,15 @@ class ZeddalSettingTab extends PluginSettingTab {
               button.setDisabled(false);
               this.plugin.toast.error('Failed to rebuild index: ' + error.message);
             }
+            this.renderEmbeddingIndexes(indexContainer);
           })
       );
 
+    // One index per embedding model; the active one answers queries
+    containerEl.createEl('h4', { text: 'Embedding Indexes' });
+    const indexContainer = containerEl.createDiv();
+    this.renderEmbeddingIndexes(indexContainer);
+
     containerEl.createEl('h3', { text: 'MCP Settings (Model Context Protocol)' });
     containerEl.createEl('p', {
       text: 'Connect to external MCP servers to fetch additional context during refinement. MCP provides access to external data sources, APIs, and services.',
@@ -851,6 +1276,36 @@ class ZeddalSettingTab extends PluginSettingTab {
 
     // Only show server management if MCP is enabled
     if (this.plugin.settings.enableMCP) {
+      // Agentic tool use during refinement
+      new Setting(containerEl)
+        .setName('Let refinement call MCP tools')
+        .setDesc(
+          'Offer connected servers\' tools to GPT-4 while refining, e.g. to look up a ticket or calendar entry you mention. Each call is shown and needs approval unless the server is set to always allow.'
+        )
+        .addToggle((toggle) =>
+          toggle.setValue(this.plugin.settings.enableMCPToolUse).onChange(async (value) => {
+            this.plugin.settings.enableMCPToolUse = value;
+            await this.plugin.saveSettings();
+            this.display();
+          })
+        );
+
+      if (this.plugin.settings.enableMCPToolUse) {
+        new Setting(containerEl)
+          .setName('Max tool calls per note')
+          .setDesc('Refinement stops calling tools after this many calls (1-10)')
+          .addSlider((slider) =>
+            slider
+              .setLimits(1, 10, 1)
+              .setValue(this.plugin.settings.mcpMaxToolCalls)
+              .setDynamicTooltip()
+              .onChange(async (value) => {
+                this.plugin.settings.mcpMaxToolCalls = value;
+                await this.plugin.saveSettings();
+              })
+          );
+      }
+
       containerEl.createEl('h4', { text: 'MCP Servers' });
 
       // Display existing servers
@@ -860,10 +1315,39 @@ class ZeddalSettingTab extends PluginSettingTab {
           cls: 'setting-item-description',
         });
       } else {
+        const statusById = new Map(
+          this.plugin.mcpClientService.getStatus().map((status) => [status.serverId, status] as [string, typeof status])
+        );
+
         this.plugin.settings.mcpServers.forEach((server, index) => {
-          const serverSetting = new Setting(containerEl)
-            .setName(server.name)
-            .setDesc(`Command: ${server.command}${server.args ? ' ' + server.args.join(' ') : ''}`)
+          const status = statusById.get(server.id);
+          const description = [this.describeMCPServer(server)];
+          if (status?.error) {
+            description.push(`Last error: ${status.error}`);
+          }
+          if (status?.retryAt) {
+            description.push(`Retrying at ${new Date(status.retryAt).toLocaleTimeString()}`);
+          }
+          const serverSetting = new Setting(containerEl).setName(server.name).setDesc(description.join(' · '));
+
+          // Connection state sits just left of the enabled toggle
+          this.renderMCPConnectionState(serverSetting.controlEl, status?.state ?? 'disabled', status?.error);
+
+          // Per-server approval for tool calls; also gates the automatic
+          // search-tool call, so it is shown even without refinement tool use
+          serverSetting.addDropdown((dropdown) =>
+            dropdown
+              .addOption('ask', 'Tools: ask each time')
+              .addOption('allow', 'Tools: always allow')
+              .addOption('off', 'Tools: off')
+              .setValue(server.toolApproval ?? 'ask')
+              .onChange(async (value) => {
+                this.plugin.settings.mcpServers[index].toolApproval = value as MCPToolApproval;
+                await this.plugin.saveSettings();
+              })
+          );
+
+          serverSetting
             .addToggle((toggle) =>
               toggle.setValue(server.enabled).onChange(async (value) => {
                 this.plugin.settings.mcpServers[index].enabled = value;
@@ -872,6 +1356,7 @@ class ZeddalSettingTab extends PluginSettingTab {
                 this.plugin.toast.info(
                   value ? `Server "${server.name}" enabled` : `Server "${server.name}" disabled`
                 );
+                this.display();
               })
             )
             .addButton((button) =>
@@ -886,6 +1371,17 @@ class ZeddalSettingTab extends PluginSettingTab {
                   this.display();
                 })
             );
+
+          // stderr of stdio servers, for diagnosing crashes and bad configs
+          const log = this.plugin.mcpClientService.getLog(server.id);
+          if (log.length > 0) {
+            const details = containerEl.createEl('details');
+            details.createEl('summary', { text: `${server.name} log (${log.length} lines)` });
+            const logEl = details.createEl('pre', { text: log.join('\n') });
+            logEl.style.maxHeight = '200px';
+            logEl.style.overflow = 'auto';
+            logEl.style.fontSize = '0.8em';
+          }
         });
       }
 
@@ -893,9 +1389,26 @@ class ZeddalSettingTab extends PluginSettingTab {
       containerEl.createEl('h4', { text: 'Add New MCP Server' });
 
       let newServerName = '';
+      let newServerTransport: MCPTransportType = 'stdio';
       let newServerCommand = '';
       let newServerArgs = '';
       let newServerEnv = '';
+      let newServerUrl = '';
+      let newServerHeaders = '';
+      let newServerAuthToken = '';
+      let newServerTimeout = 0;
+
+      // Only the fields for the chosen transport are shown
+      const stdioSettings: Setting[] = [];
+      const httpSettings: Setting[] = [];
+      const updateTransportFields = () => {
+        stdioSettings.forEach((setting) => {
+          setting.settingEl.style.display = newServerTransport === 'stdio' ? '' : 'none';
+        });
+        httpSettings.forEach((setting) => {
+          setting.settingEl.style.display = newServerTransport === 'stdio' ? 'none' : '';
+        });
+      };
 
       new Setting(containerEl)
         .setName('Server Name')
@@ -909,38 +1422,114 @@ class ZeddalSettingTab extends PluginSettingTab {
         );
 
       new Setting(containerEl)
-        .setName('Command')
-        .setDesc('Command to run the MCP server (e.g., "npx", "python", "/path/to/server")')
-        .addText((text) =>
-          text
-            .setPlaceholder('npx')
+        .setName('Transport')
+        .setDesc('Local process started by Zeddal, or a running server reached over HTTP')
+        .addDropdown((dropdown) =>
+          dropdown
+            .addOption('stdio', 'Local process (stdio)')
+            .addOption('http', 'Streamable HTTP')
+            .addOption('sse', 'HTTP + SSE (legacy)')
+            .setValue(newServerTransport)
             .onChange((value) => {
-              newServerCommand = value;
+              newServerTransport = value as MCPTransportType;
+              updateTransportFields();
             })
         );
 
+      stdioSettings.push(
+        new Setting(containerEl)
+          .setName('Command')
+          .setDesc('Command to run the MCP server (e.g., "npx", "python", "/path/to/server")')
+          .addText((text) =>
+            text
+              .setPlaceholder('npx')
+              .onChange((value) => {
+                newServerCommand = value;
+              })
+          )
+      );
+
+      stdioSettings.push(
+        new Setting(containerEl)
+          .setName('Arguments')
+          .setDesc('Space-separated command arguments (e.g., "-r @modelcontextprotocol/server-everything")')
+          .addText((text) =>
+            text
+              .setPlaceholder('-r @modelcontextprotocol/server-everything')
+              .onChange((value) => {
+                newServerArgs = value;
+              })
+          )
+      );
+
+      stdioSettings.push(
+        new Setting(containerEl)
+          .setName('Environment Variables')
+          .setDesc('Optional: JSON object of environment variables (e.g., {"API_KEY": "xyz"})')
+          .addTextArea((text) => {
+            text
+              .setPlaceholder('{"API_KEY": "your-key"}')
+              .onChange((value) => {
+                newServerEnv = value;
+              });
+            text.inputEl.rows = 3;
+          })
+      );
+
+      httpSettings.push(
+        new Setting(containerEl)
+          .setName('Server URL')
+          .setDesc('MCP endpoint of the running server (e.g., "http://localhost:3000/mcp", or ".../sse" for SSE servers)')
+          .addText((text) =>
+            text
+              .setPlaceholder('http://localhost:3000/mcp')
+              .onChange((value) => {
+                newServerUrl = value.trim();
+              })
+          )
+      );
+
+      httpSettings.push(
+        new Setting(containerEl)
+          .setName('Auth Token')
+          .setDesc('Optional: sent as "Authorization: Bearer <token>"')
+          .addText((text) => {
+            text
+              .setPlaceholder('token')
+              .onChange((value) => {
+                newServerAuthToken = value.trim();
+              });
+            text.inputEl.type = 'password';
+          })
+      );
+
+      httpSettings.push(
+        new Setting(containerEl)
+          .setName('Headers')
+          .setDesc('Optional: JSON object of extra request headers (e.g., {"X-Team": "research"})')
+          .addTextArea((text) => {
+            text
+              .setPlaceholder('{"X-Api-Key": "your-key"}')
+              .onChange((value) => {
+                newServerHeaders = value;
+              });
+            text.inputEl.rows = 3;
+          })
+      );
+
       new Setting(containerEl)
-        .setName('Arguments')
-        .setDesc('Space-separated command arguments (e.g., "-r @modelcontextprotocol/server-everything")')
+        .setName('Timeout (seconds)')
+        .setDesc('How long to wait for each reply before treating the server as unresponsive (default 15)')
         .addText((text) =>
           text
-            .setPlaceholder('-r @modelcontextprotocol/server-everything')
+            .setPlaceholder('15')
             .onChange((value) => {
-              newServerArgs = value;
+              const seconds = parseInt(value, 10);
+              newServerTimeout = !isNaN(seconds) && seconds > 0 ? seconds : 0;
             })
         );
 
-      new Setting(containerEl)
-        .setName('Environment Variables')
-        .setDesc('Optional: JSON object of environment variables (e.g., {"API_KEY": "xyz"})')
-        .addTextArea((text) => {
-          text
-            .setPlaceholder('{"API_KEY": "your-key"}')
-            .onChange((value) => {
-              newServerEnv = value;
-            });
-          text.inputEl.rows = 3;
-        });
+      updateTransportFields();
 
       new Setting(containerEl)
         .setName('Add Server')
@@ -949,7 +1538,44 @@ class ZeddalSettingTab extends PluginSettingTab {
             .setButtonText('Add MCP Server')
             .setCta()
             .onClick(async () => {
-              if (!newServerName || !newServerCommand) {
+              if (!newServerName) {
+                this.plugin.toast.warning('Server name is required');
+                return;
+              }
+
+              if (newServerTransport !== 'stdio') {
+                try {
+                  new URL(newServerUrl);
+                } catch (error) {
+                  this.plugin.toast.warning('A valid server URL is required');
+                  return;
+                }
+
+                let headers: Record<string, string> = {};
+                if (newServerHeaders) {
+                  try {
+                    headers = JSON.parse(newServerHeaders);
+                  } catch (error) {
+                    this.plugin.toast.error('Invalid JSON for headers');
+                    return;
+                  }
+                }
+
+                await this.addMCPServer({
+                  id: `mcp-${Date.now()}`,
+                  name: newServerName,
+                  transport: newServerTransport,
+                  command: '',
+                  url: newServerUrl,
+                  headers: Object.keys(headers).length > 0 ? headers : undefined,
+                  authToken: newServerAuthToken || undefined,
+                  timeoutSeconds: newServerTimeout || undefined,
+                  enabled: true,
+                });
+                return;
+              }
+
+              if (!newServerCommand) {
                 this.plugin.toast.warning('Server name and command are required');
                 return;
               }
@@ -972,49 +1598,91 @@ class ZeddalSettingTab extends PluginSettingTab {
               }
 
               // Add new server
-              const newServer = {
+              await this.addMCPServer({
                 id: `mcp-${Date.now()}`,
                 name: newServerName,
+                transport: 'stdio',
                 command: newServerCommand,
                 args: args.length > 0 ? args : undefined,
                 env: Object.keys(env).length > 0 ? env : undefined,
+                timeoutSeconds: newServerTimeout || undefined,
                 enabled: true,
-              };
+              });
+            })
+        );
+    }
+
+    // Zeddal as an MCP server for other agents
+    containerEl.createEl('h4', { text: 'Zeddal MCP Server' });
+    containerEl.createEl('p', {
+      text: 'Let local agents search your vault, transcribe recordings, list recordings and append to your daily note over MCP.',
+      cls: 'setting-item-description',
+    });
+
+    new Setting(containerEl)
+      .setName('Enable Zeddal MCP Server')
+      .setDesc('Serve Zeddal tools on this computer only (127.0.0.1); agents must send the access token below')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.enableMCPServer).onChange(async (value) => {
+          this.plugin.settings.enableMCPServer = value;
+          if (value && !this.plugin.settings.mcpServerToken) {
+            this.plugin.settings.mcpServerToken = MCPServerService.generateToken();
+          }
+          await this.plugin.saveSettings();
+          await this.applyMCPServerSetting();
+          this.display();
+        })
+      );
 
-              this.plugin.settings.mcpServers.push(newServer);
+    if (this.plugin.settings.enableMCPServer) {
+      new Setting(containerEl)
+        .setName('Port')
+        .setDesc('Applied when you leave the field')
+        .addText((text) => {
+          text.setValue(String(this.plugin.settings.mcpServerPort)).onChange(async (value) => {
+            const port = parseInt(value, 10);
+            if (!isNaN(port) && port > 0 && port < 65536) {
+              this.plugin.settings.mcpServerPort = port;
               await this.plugin.saveSettings();
-              await this.plugin.mcpClientService.reconnect();
-              this.plugin.toast.success(`MCP server "${newServerName}" added`);
+            }
+          });
+          text.inputEl.addEventListener('blur', async () => {
+            await this.applyMCPServerSetting();
+            this.display();
+          });
+        });
+
+      new Setting(containerEl)
+        .setName('Access Token')
+        .setDesc('Agents send this as "Authorization: Bearer <token>"')
+        .addText((text) => {
+          text.setValue(this.plugin.settings.mcpServerToken).setDisabled(true);
+          text.inputEl.type = 'password';
+        })
+        .addButton((button) =>
+          button.setButtonText('Copy').onClick(async () => {
+            await navigator.clipboard.writeText(this.plugin.settings.mcpServerToken);
+            this.plugin.toast.success('Access token copied');
+          })
+        )
+        .addButton((button) =>
+          button
+            .setButtonText('Regenerate')
+            .setWarning()
+            .onClick(async () => {
+              this.plugin.settings.mcpServerToken = MCPServerService.generateToken();
+              await this.plugin.saveSettings();
+              this.plugin.toast.info('New access token generated; update your agents');
               this.display();
             })
         );
 
-      // Connection status
-      containerEl.createEl('h4', { text: 'Connection Status' });
-      const statusContainer = containerEl.createDiv();
-      const status = this.plugin.mcpClientService.getStatus();
-
-      if (status.length === 0) {
-        statusContainer.createEl('p', {
-          text: 'No servers configured',
-          cls: 'setting-item-description',
-        });
+      const server = this.plugin.mcpServerService;
+      const serverStatus = containerEl.createEl('p', { cls: 'setting-item-description' });
+      if (server.isRunning()) {
+        serverStatus.setText(`✓ Listening on ${server.getEndpoint()} (streamable HTTP)`);
       } else {
-        status.forEach((server) => {
-          const statusEl = statusContainer.createDiv();
-          statusEl.style.padding = '8px 12px';
-          statusEl.style.marginBottom = '8px';
-          statusEl.style.borderRadius = '4px';
-          statusEl.style.backgroundColor = server.connected
-            ? 'rgba(61, 213, 152, 0.12)'
-            : 'rgba(167, 169, 172, 0.12)';
-
-          const statusText = statusEl.createEl('span');
-          statusText.style.color = server.connected ? '#3dd598' : 'var(--text-muted)';
-          statusText.textContent = `${server.connected ? '✓' : '✗'} ${server.serverName}: ${
-            server.connected ? 'Connected' : 'Disconnected'
-          }`;
-        });
+        serverStatus.setText(`✗ Not running${server.getLastError() ? `: ${server.getLastError()}` : ''}`);
       }
     }
 
@@ -1800,6 +2468,126 @@ class ZeddalSettingTab extends PluginSettingTab {
     }
   }
 
+  private async renderEmbeddingIndexes(container: HTMLElement): Promise<void> {
+    let indexes: EmbeddingIndexInfo[] = [];
+    try {
+      indexes = await this.plugin.vaultRAGService.getIndexes();
+    } catch (error) {
+      console.warn('[Zeddal] Unable to list embedding indexes:', error);
+    }
+
+    container.empty();
+    if (indexes.length === 0) {
+      container.createEl('p', {
+        text: 'No index built yet',
+        cls: 'setting-item-description',
+      });
+      return;
+    }
+
+    const providerLabels: Record<EmbeddingIndexInfo['provider'], string> = {
+      openai: 'OpenAI',
+      custom: 'Custom endpoint',
+      'local-onnx': 'Local ONNX',
+    };
+
+    for (const index of indexes) {
+      const details = [providerLabels[index.provider]];
+      if (index.status === 'building') {
+        const progress = index.progress;
+        details.push(progress && progress.total > 0 ? `building: ${progress.done}/${progress.total} notes` : 'building');
+      } else {
+        details.push(
+          `${index.dimensions} dimensions`,
+          `${index.chunks.toLocaleString()} chunks`,
+          `${(index.bytes / (1024 * 1024)).toFixed(1)} MB`,
+          `updated ${new Date(index.updatedAt).toLocaleString()}`
+        );
+      }
+
+      const setting = new Setting(container)
+        .setName(index.status === 'inactive' ? index.model : `${index.model} (${index.status})`)
+        .setDesc(details.join(' · '));
+
+      if (index.status === 'building') {
+        setting.addButton((button) =>
+          button.setButtonText('Refresh').onClick(() => this.renderEmbeddingIndexes(container))
+        );
+      } else if (index.status === 'inactive' || index.status === 'incomplete') {
+        // Kept so switching back to this model is instant (or resumes)
+        setting.addButton((button) =>
+          button
+            .setButtonText('Delete')
+            .setWarning()
+            .onClick(async () => {
+              try {
+                await this.plugin.vaultRAGService.deleteIndex(index.dir);
+                this.plugin.toast.success(`Deleted ${index.model} index`);
+              } catch (error) {
+                this.plugin.toast.error('Failed to delete index: ' + error.message);
+              }
+              this.renderEmbeddingIndexes(container);
+            })
+        );
+      }
+    }
+  }
+
+  private describeMCPServer(server: MCPServerConfig): string {
+    const timeout = server.timeoutSeconds ? ` (timeout ${server.timeoutSeconds}s)` : '';
+    switch (server.transport ?? 'stdio') {
+      case 'http':
+        return `Streamable HTTP: ${server.url}${timeout}`;
+      case 'sse':
+        return `SSE: ${server.url}${timeout}`;
+      default:
+        return `Command: ${server.command}${server.args ? ' ' + server.args.join(' ') : ''}${timeout}`;
+    }
+  }
+
+  private renderMCPConnectionState(container: HTMLElement, state: MCPConnectionState, error?: string): void {
+    const labels: Record<MCPConnectionState, { text: string; color: string }> = {
+      connected: { text: '● Connected', color: '#3dd598' },
+      connecting: { text: '● Connecting…', color: 'var(--text-muted)' },
+      degraded: { text: '● Degraded', color: 'var(--text-warning)' },
+      failed: { text: '● Failed', color: 'var(--text-error)' },
+      disabled: { text: '○ Off', color: 'var(--text-faint)' },
+    };
+
+    const stateEl = container.createEl('span', { text: labels[state].text });
+    stateEl.style.color = labels[state].color;
+    stateEl.style.fontSize = '0.85em';
+    stateEl.style.marginRight = '8px';
+    if (error) {
+      stateEl.title = error;
+    }
+  }
+
+  private async addMCPServer(server: MCPServerConfig): Promise<void> {
+    this.plugin.settings.mcpServers.push(server);
+    await this.plugin.saveSettings();
+    await this.plugin.mcpClientService.reconnect();
+    this.plugin.toast.success(`MCP server "${server.name}" added`);
+    this.display();
+  }
+
+  private async applyMCPServerSetting(): Promise<void> {
+    const server = this.plugin.mcpServerService;
+    const previous = server.isRunning() ? server.getEndpoint() : null;
+
+    try {
+      await server.start();
+      const current = server.isRunning() ? server.getEndpoint() : null;
+      if (current && current !== previous) {
+        this.plugin.toast.success(`Zeddal MCP server on ${current}`);
+      } else if (!current && previous) {
+        this.plugin.toast.info('Zeddal MCP server stopped');
+      }
+    } catch (error) {
+      this.plugin.toast.error(`Zeddal MCP server failed to start: ${error?.message || error}`);
+    }
+  }
+
   private async applyMCPSetting(value: boolean): Promise<void> {
     this.plugin.settings.enableMCP = value;
     await this.plugin.saveSettings();
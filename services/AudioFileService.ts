@@ -20,6 +20,7 @@ import { AudioChunk, SavedAudioFile } from '../utils/Types';
 export class AudioFileService {
   private app: App;
   private config: Config;
+  private ownRecordings = new Set<string>(); // Written by this session (not synced in)
 
   constructor(app: App, config: Config) {
     this.app = app;
@@ -44,13 +45,19 @@ export class AudioFileService {
 
     // Determine file extension from mime type
     const extension = this.getExtensionFromMimeType(audioChunk.blob.type);
-    const filename = `recording-${dateStr}-${timeStr}.${extension}`;
-    const filePath = normalizePath(`${recordingsPath}/${filename}`);
+    const baseName = `recording-${dateStr}-${timeStr}`;
+    let filePath = normalizePath(`${recordingsPath}/${baseName}.${extension}`);
+
+    // Batch imports can share a second; never overwrite an earlier recording
+    for (let n = 2; await this.app.vault.adapter.exists(filePath); n++) {
+      filePath = normalizePath(`${recordingsPath}/${baseName}-${n}.${extension}`);
+    }
 
     // Convert blob to ArrayBuffer
     const arrayBuffer = await audioChunk.blob.arrayBuffer();
 
     // Write audio file
+    this.ownRecordings.add(filePath);
     await this.app.vault.adapter.writeBinary(filePath, arrayBuffer);
 
     console.log(`Saved audio recording: ${filePath} (${audioChunk.blob.size} bytes)`);
@@ -165,9 +172,9 @@ export class AudioFileService {
    */
   private getExtensionFromMimeType(mimeType: string): string {
     if (mimeType.includes('webm')) return 'webm';
-    if (mimeType.includes('mp3')) return 'mp3';
+    if (mimeType.includes('mp3') || mimeType.includes('mpeg')) return 'mp3';
     if (mimeType.includes('wav')) return 'wav';
-    if (mimeType.includes('m4a')) return 'm4a';
+    if (mimeType.includes('m4a') || mimeType.includes('mp4')) return 'm4a';
     if (mimeType.includes('ogg')) return 'ogg';
     return 'webm'; // Default fallback
   }
@@ -175,7 +182,7 @@ export class AudioFileService {
   /**
    * Get MIME type from file path
    */
-  private getMimeTypeFromPath(path: string): string {
+  getMimeTypeFromPath(path: string): string {
     if (path.endsWith('.webm')) return 'audio/webm;codecs=opus';
     if (path.endsWith('.mp3')) return 'audio/mpeg';
     if (path.endsWith('.wav')) return 'audio/wav';
@@ -192,6 +199,13 @@ export class AudioFileService {
     return audioExtensions.some(ext => path.toLowerCase().endsWith(ext));
   }
 
+  /**
+   * Whether Zeddal itself saved this recording (so watchers can skip it)
+   */
+  isOwnRecording(path: string): boolean {
+    return this.ownRecordings.has(normalizePath(path));
+  }
+
   /**
    * List all recordings in the recordings folder
    */
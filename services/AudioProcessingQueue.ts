@@ -0,0 +1,326 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * AudioProcessingQueue: Batch import → transcribe → refine → save
+ * Architecture: Plugin-owned job queue (outlives any modal) that runs up to
+ * `audioQueueConcurrency` jobs at once and reports every state change
+ *
+ * Jobs come from dropped files (imported into the recordings folder first) or
+ * from audio already in the vault (watch folder). Each job saves its note via
+ * `defaultSaveLocation` without opening RecordModal; locations that need
+ * someone at the keyboard ('ask', 'cursor') fall back to a new note.
+ */
+
+import { Config } from '../utils/Config';
+import { LinkResolver } from '../utils/LinkResolver';
+import { AudioChunk, SavedAudioFile } from '../utils/Types';
+import { Toast } from '../ui/Toast';
+import { AudioFileService } from './AudioFileService';
+import { WhisperService } from './WhisperService';
+import { UnifiedRefinementService } from './UnifiedRefinementService';
+import { VaultRAGService } from './VaultRAGService';
+import { VaultOps } from './VaultOps';
+
+export type AudioJobStatus =
+  | 'queued'
+  | 'importing'
+  | 'transcribing'
+  | 'refining'
+  | 'saving'
+  | 'done'
+  | 'failed'
+  | 'cancelled'; // Dropped before it started
+
+export interface AudioJob {
+  id: number;
+  name: string; // Display name (original file name)
+  status: AudioJobStatus;
+  file?: File; // Dropped file still to be imported
+  audioPath?: string; // Recording in the vault (set up front for vault files)
+  notePath?: string; // Note created for this recording
+  error?: string;
+}
+
+export interface AudioQueueServices {
+  audioFileService: AudioFileService;
+  whisperService: WhisperService;
+  unifiedRefinement: UnifiedRefinementService;
+  vaultRAGService: VaultRAGService;
+  vaultOps: VaultOps;
+  toast: Toast;
+}
+
+export class AudioProcessingQueue {
+  private jobs: AudioJob[] = [];
+  private running = 0;
+  private nextId = 1;
+  private clearTimer: number | null = null;
+  private waiters = new Map<number, (job: AudioJob) => void>();
+
+  constructor(
+    private config: Config,
+    private services: AudioQueueServices,
+    private onChange?: (jobs: AudioJob[]) => void
+  ) {}
+
+  /**
+   * Add files to the queue and start processing
+   */
+  enqueue(files: File[]): AudioJob[] {
+    return this.add(files.map((file) => ({ name: file.name, file })));
+  }
+
+  /**
+   * Queue a recording that is already in the vault; resolves once it is done,
+   * failed or cancelled
+   */
+  enqueueVaultFile(filePath: string): Promise<AudioJob> {
+    const [job] = this.add([{ name: filePath.split('/').pop() || filePath, audioPath: filePath }]);
+    return new Promise((resolve) => this.waiters.set(job.id, resolve));
+  }
+
+  getJobs(): AudioJob[] {
+    return [...this.jobs];
+  }
+
+  isBusy(): boolean {
+    return this.jobs.some((job) => !this.isFinished(job));
+  }
+
+  /**
+   * Drop jobs that have not started yet (running jobs finish on their own)
+   */
+  cancelPending(): void {
+    const dropped = this.jobs.filter((job) => job.status === 'queued');
+    this.jobs = this.jobs.filter((job) => job.status !== 'queued');
+
+    // Settle anyone awaiting a dropped job
+    for (const job of dropped) {
+      job.status = 'cancelled';
+      this.waiters.get(job.id)?.(job);
+      this.waiters.delete(job.id);
+    }
+    this.notify();
+  }
+
+  destroy(): void {
+    this.cancelPending();
+    // Running jobs still settle their waiters when they finish
+    this.cancelClearTimer();
+    this.onChange = undefined;
+  }
+
+  private add(sources: Array<Pick<AudioJob, 'name' | 'file' | 'audioPath'>>): AudioJob[] {
+    this.cancelClearTimer();
+
+    const added = sources.map((source) => ({
+      ...source,
+      id: this.nextId++,
+      status: 'queued' as AudioJobStatus,
+    }));
+    this.jobs.push(...added);
+
+    console.log(`[AudioProcessingQueue] Queued ${added.length} file(s)`);
+    this.notify();
+    this.pump();
+    return added;
+  }
+
+  private pump(): void {
+    const limit = Math.max(1, this.config.get('audioQueueConcurrency'));
+
+    while (this.running < limit) {
+      const job = this.jobs.find((candidate) => candidate.status === 'queued');
+      if (!job) break;
+
+      this.running++;
+      this.process(job).finally(() => {
+        this.running--;
+        this.waiters.get(job.id)?.(job);
+        this.waiters.delete(job.id);
+        this.pump();
+        if (!this.isBusy()) {
+          this.onDrained();
+        }
+      });
+    }
+  }
+
+  private async process(job: AudioJob): Promise<void> {
+    const { audioFileService, whisperService, toast } = this.services;
+
+    try {
+      this.setStatus(job, 'importing');
+      const { audioChunk, saved } = await this.load(job);
+      job.audioPath = saved.filePath;
+
+      this.setStatus(job, 'transcribing');
+      const transcription = await whisperService.transcribe(audioChunk);
+      if (transcription.missingPieces) {
+        toast.warning(`${job.name}: ${transcription.missingPieces} part(s) could not be transcribed; gaps are marked […]`);
+      }
+      const rawText = transcription.text.trim();
+      if (!rawText) {
+        throw new Error('No speech detected');
+      }
+      await audioFileService.updateMetadata(saved.filePath, { transcription: rawText });
+
+      const { title, body } = await this.refine(job, rawText, saved);
+
+      this.setStatus(job, 'saving');
+      job.notePath = await this.save(title, body);
+
+      this.setStatus(job, 'done');
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[AudioProcessingQueue] Failed to process ${job.name}:`, error);
+      job.error = message;
+      this.setStatus(job, 'failed');
+      toast.error(`Failed to process ${job.name}: ${message}`);
+    }
+  }
+
+  /**
+   * Import a dropped file into the recordings folder, or read a vault recording
+   */
+  private async load(job: AudioJob): Promise<{ audioChunk: AudioChunk; saved: SavedAudioFile }> {
+    const { audioFileService } = this.services;
+
+    if (job.file) {
+      const type = job.file.type || audioFileService.getMimeTypeFromPath(job.name.toLowerCase());
+      const audioChunk: AudioChunk = {
+        blob: new Blob([await job.file.arrayBuffer()], { type }),
+        timestamp: job.file.lastModified || Date.now(),
+        duration: 0, // Unknown until transcribed
+      };
+      return { audioChunk, saved: await audioFileService.saveRecording(audioChunk) };
+    }
+
+    const filePath = job.audioPath as string;
+    const audioChunk = await audioFileService.loadRecording(filePath);
+    const saved = (await audioFileService.loadMetadata(filePath)) || {
+      filePath,
+      timestamp: audioChunk.timestamp,
+      duration: audioChunk.duration,
+      mimeType: audioChunk.blob.type,
+      size: audioChunk.blob.size,
+    };
+    return { audioChunk, saved };
+  }
+
+  /**
+   * Refine with vault context when auto-refine is on; falls back to the raw
+   * transcript so a refinement failure never loses the recording
+   */
+  private async refine(
+    job: AudioJob,
+    rawText: string,
+    saved: SavedAudioFile
+  ): Promise<{ title: string; body: string }> {
+    const fallbackTitle = `Voice Note - ${job.name.replace(/\.[^.]+$/, '')}`;
+
+    if (!this.config.get('autoRefine')) {
+      return { title: fallbackTitle, body: rawText };
+    }
+
+    const { unifiedRefinement, vaultRAGService, vaultOps } = this.services;
+    this.setStatus(job, 'refining');
+
+    try {
+      let ragContext: string[] = [];
+      try {
+        ragContext = await vaultRAGService.retrieveContext(rawText);
+      } catch (error) {
+        console.warn('[AudioProcessingQueue] RAG context retrieval failed:', error);
+      }
+
+      const refined = await unifiedRefinement.refine({
+        rawTranscript: rawText,
+        ragContext,
+        technicalDomain: this.config.get('technicalDomain'),
+        includeAudioLink: this.config.get('autoSaveRaw'),
+        audioFilePath: saved.filePath,
+      });
+
+      const body = await LinkResolver.resolveExistingNotes(refined.body, vaultOps, {
+        autoLinkFirstMatch: true,
+      });
+      return { title: refined.title || fallbackTitle, body };
+    } catch (error) {
+      console.warn(`[AudioProcessingQueue] Refinement failed for ${job.name}, saving raw transcript:`, error);
+      return { title: fallbackTitle, body: rawText };
+    }
+  }
+
+  /**
+   * Write the note where `defaultSaveLocation` says; returns the note path
+   */
+  private async save(title: string, body: string): Promise<string> {
+    const { vaultOps } = this.services;
+
+    if (this.config.get('defaultSaveLocation') === 'daily-note') {
+      const file = await vaultOps.createOrAppendDailyNote(`## ${title}\n\n${body}`);
+      return file.path;
+    }
+
+    const folder = this.config.get('voiceNotesFolder');
+    const fileName = this.uniqueNoteName(folder, title);
+    const notePath = folder ? `${folder}/${fileName}.md` : `${fileName}.md`;
+    await vaultOps.create(notePath, body);
+    return notePath;
+  }
+
+  private uniqueNoteName(folder: string, title: string): string {
+    const base = title
+      .replace(/[\\/:*?"<>|]/g, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/^\.+/, '')
+      .trim() || 'Voice Note';
+
+    let name = base;
+    for (let n = 2; this.services.vaultOps.exists(folder ? `${folder}/${name}.md` : `${name}.md`); n++) {
+      name = `${base} ${n}`;
+    }
+    return name;
+  }
+
+  private onDrained(): void {
+    const done = this.jobs.filter((job) => job.status === 'done').length;
+    const failed = this.jobs.filter((job) => job.status === 'failed').length;
+
+    if (done > 0) {
+      const failures = failed > 0 ? `, ${failed} failed` : '';
+      this.services.toast.success(`✓ Processed ${done} audio file(s)${failures}`);
+    }
+
+    // Keep the final tally visible for a moment, then clear finished jobs
+    this.cancelClearTimer();
+    this.clearTimer = window.setTimeout(() => {
+      this.clearTimer = null;
+      this.jobs = this.jobs.filter((job) => !this.isFinished(job));
+      this.notify();
+    }, 5000);
+  }
+
+  private setStatus(job: AudioJob, status: AudioJobStatus): void {
+    job.status = status;
+    this.notify();
+  }
+
+  private isFinished(job: AudioJob): boolean {
+    return job.status === 'done' || job.status === 'failed' || job.status === 'cancelled';
+  }
+
+  private cancelClearTimer(): void {
+    if (this.clearTimer !== null) {
+      window.clearTimeout(this.clearTimer);
+      this.clearTimer = null;
+    }
+  }
+
+  private notify(): void {
+    this.onChange?.(this.getJobs());
+  }
+}
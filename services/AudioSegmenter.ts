@@ -0,0 +1,244 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * AudioSegmenter: Split long recordings into uploadable pieces
+ * Architecture: Decode with Web Audio → cut at the quietest point near each
+ * size boundary → re-encode as 16 kHz mono WAV with a small overlap
+ *
+ * The overlap means boundary words can appear in two transcripts; `stitch`
+ * removes the repeated words when joining the texts back together.
+ *
+ * Memory: the decoded 16 kHz mono signal (≈ 230 MB for two hours) is held
+ * while splitting, but each WAV piece is encoded only when the caller is
+ * ready for it and can be released once handled.
+ */
+
+import { AudioChunk, TranscriptSegment } from '../utils/Types';
+import { VoiceActivityDetector } from './VoiceActivityDetector';
+
+export interface AudioSegmenterOptions {
+  maxSegmentSeconds: number; // Upper bound per piece (10 min of WAV ≈ 19 MB)
+  overlapSeconds: number; // Audio repeated at the start of the next piece
+  searchWindowSeconds: number; // How far back from the limit to look for a pause
+  frameMs: number; // RMS frame size used to find the pause
+}
+
+export interface CutRange {
+  start: number; // Sample index (inclusive)
+  end: number; // Sample index (exclusive)
+}
+
+const DEFAULT_OPTIONS: AudioSegmenterOptions = {
+  maxSegmentSeconds: 600,
+  overlapSeconds: 2,
+  searchWindowSeconds: 30,
+  frameMs: 30,
+};
+
+export class AudioSegmenter {
+  static readonly SAMPLE_RATE = 16000;
+  private options: AudioSegmenterOptions;
+
+  constructor(options: Partial<AudioSegmenterOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Split an audio chunk at silences, handing each WAV piece to `onPiece` in
+   * order; the next piece is encoded only after the previous one was handled.
+   * Returns the number of pieces.
+   */
+  async split(
+    audioChunk: AudioChunk,
+    onPiece: (piece: AudioChunk, index: number, total: number) => Promise<void>
+  ): Promise<number> {
+    const samples = await this.decode(audioChunk.blob);
+    const sampleRate = AudioSegmenter.SAMPLE_RATE;
+    const ranges = AudioSegmenter.planCuts(samples, sampleRate, this.options);
+
+    console.log(`[AudioSegmenter] Split ${(samples.length / sampleRate).toFixed(0)}s of audio into ${ranges.length} piece(s)`);
+
+    for (let i = 0; i < ranges.length; i++) {
+      const range = ranges[i];
+      const startMs = Math.round((range.start / sampleRate) * 1000);
+      await onPiece(
+        {
+          blob: AudioSegmenter.encodeWav(samples.subarray(range.start, range.end), sampleRate),
+          timestamp: audioChunk.timestamp + startMs,
+          duration: Math.round(((range.end - range.start) / sampleRate) * 1000),
+          offsetMs: (audioChunk.offsetMs ?? 0) + startMs,
+        },
+        i,
+        ranges.length
+      );
+    }
+
+    return ranges.length;
+  }
+
+  /**
+   * Plan cut points: each piece ends at the quietest frame inside the search
+   * window before its size limit, and the next piece starts `overlap` earlier
+   */
+  static planCuts(
+    samples: Float32Array,
+    sampleRate: number,
+    options: Partial<AudioSegmenterOptions> = {}
+  ): CutRange[] {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const maxLength = Math.floor(opts.maxSegmentSeconds * sampleRate);
+    const overlap = Math.floor(opts.overlapSeconds * sampleRate);
+    const window = Math.min(Math.floor(opts.searchWindowSeconds * sampleRate), Math.floor(maxLength / 2));
+    const frameLength = Math.max(1, Math.floor((opts.frameMs / 1000) * sampleRate));
+
+    const ranges: CutRange[] = [];
+    let start = 0;
+
+    while (start < samples.length) {
+      if (samples.length - start <= maxLength) {
+        ranges.push({ start, end: samples.length });
+        break;
+      }
+
+      const limit = start + maxLength;
+      const cut = AudioSegmenter.findQuietestPoint(samples, limit - window, limit, frameLength);
+      ranges.push({ start, end: cut });
+      start = Math.max(cut - overlap, start + 1);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Join piece transcripts, dropping words repeated across the overlap
+   */
+  static stitch(texts: string[], maxOverlapWords: number = 30): string {
+    let words: string[] = [];
+
+    for (const text of texts) {
+      const next = text.trim().split(/\s+/).filter(Boolean);
+      const overlap = AudioSegmenter.findWordOverlap(words, next, maxOverlapWords);
+      words = words.concat(next.slice(overlap));
+    }
+
+    return words.join(' ');
+  }
+
+  /**
+   * Join timed segments of consecutive pieces (already offset to the full
+   * recording), dropping segments that start inside the previous piece's overlap
+   */
+  static stitchSegments(pieces: TranscriptSegment[][]): TranscriptSegment[] {
+    const merged: TranscriptSegment[] = [];
+
+    for (const segments of pieces) {
+      const lastEnd = merged.length > 0 ? merged[merged.length - 1].end : -Infinity;
+      merged.push(...segments.filter((segment) => segment.start >= lastEnd - 0.05));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Encode mono samples as 16-bit PCM WAV
+   */
+  static encodeWav(samples: Float32Array, sampleRate: number): Blob {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset: number, value: string) => {
+      for (let i = 0; i < value.length; i++) {
+        view.setUint8(offset + i, value.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // PCM chunk size
+    view.setUint16(20, 1, true); // PCM format
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // Byte rate
+    view.setUint16(32, 2, true); // Block align
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+      const clamped = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Decode to 16 kHz mono (decodeAudioData resamples to the context rate).
+   * Channels are mixed into the first channel's buffer rather than a new one.
+   */
+  private async decode(blob: Blob): Promise<Float32Array> {
+    const context = new OfflineAudioContext(1, 1, AudioSegmenter.SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+
+    const mono = buffer.getChannelData(0);
+    const channels = buffer.numberOfChannels;
+    if (channels === 1) {
+      return mono;
+    }
+
+    for (let channel = 1; channel < channels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i];
+      }
+    }
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] /= channels;
+    }
+    return mono;
+  }
+
+  private static findQuietestPoint(
+    samples: Float32Array,
+    from: number,
+    to: number,
+    frameLength: number
+  ): number {
+    let best = to;
+    let bestRms = Infinity;
+
+    // Scan backwards so ties resolve to the latest pause (longest piece)
+    for (let pos = to - frameLength; pos >= from; pos -= frameLength) {
+      const rms = VoiceActivityDetector.rms(samples.subarray(pos, pos + frameLength));
+      if (rms < bestRms) {
+        bestRms = rms;
+        best = pos + Math.floor(frameLength / 2);
+      }
+    }
+
+    return best;
+  }
+
+  private static findWordOverlap(previous: string[], next: string[], maxWords: number): number {
+    const normalize = (word: string) => word.toLowerCase().replace(/[.,!?;:"()[\]…]/g, '');
+    const limit = Math.min(maxWords, previous.length, next.length);
+
+    // Require at least two words so a single repeated "the" is not dropped
+    for (let k = limit; k >= 2; k--) {
+      let matches = true;
+      for (let i = 0; i < k; i++) {
+        if (normalize(previous[previous.length - k + i]) !== normalize(next[i])) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches) return k;
+    }
+
+    return 0;
+  }
+}
@@ -174,11 +174,14 @@ export class ContextLinkService {
           continue;
         }
 
-        const needsAlias =
-          alias.toLowerCase() !== candidate.noteTitle.toLowerCase();
+        // Link to the matched section when the chunk sits under a heading
+        const target = candidate.heading
+          ? `${candidate.noteTitle}#${candidate.heading}`
+          : candidate.noteTitle;
+        const needsAlias = alias.toLowerCase() !== target.toLowerCase();
         const replacement = needsAlias
-          ? `[[${candidate.noteTitle}|${alias}]]`
-          : `[[${candidate.noteTitle}]]`;
+          ? `[[${target}|${alias}]]`
+          : `[[${target}]]`;
 
         replacements.push({ start, end, text: replacement });
         linksAdded += 1;
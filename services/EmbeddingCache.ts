@@ -0,0 +1,313 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * EmbeddingCache: Sharded binary persistence for the RAG index
+ * Architecture: manifest.json + one binary file per shard; notes are bucketed
+ * into shards by a hash of their path, so updating one note rewrites only
+ * that note's shard (plus the small manifest)
+ *
+ * Shard file layout (little-endian):
+ *   "ZEMB" | u32 version | u32 headerBytes | header JSON (UTF-8) | pad to 4
+ *   | Float32 vectors, concatenated in header order
+ *
+ * The header holds everything except the vectors: path, chunk index, text,
+ * mtime, content hash, tokens, heading path, frontmatter tags and aliases,
+ * and each chunk's dimensions.
+ *
+ * `ann.bin` next to the manifest holds the nearest-neighbour graph (links
+ * only); it may lag the shards and is reconciled by key on load.
+ *
+ * Each index lives in its own folder and its manifest records the provider,
+ * model and dimensions of its vectors, so indexes for several models can sit
+ * side by side while one replaces another.
+ */
+
+import { App, normalizePath } from 'obsidian';
+import { VaultChunk, EmbeddingSpec } from '../utils/Types';
+
+export interface CacheManifest {
+  version: number;
+  shardCount: number;
+  embedding: EmbeddingSpec; // Provider and model the vectors came from
+  signature: string; // Hash of embedding spec + chunk settings; equal signatures are interchangeable
+  dimensions: number; // Length of every vector in the index
+  chunker: string; // Chunking scheme the text was split with
+  chunkSize: number; // Chunk settings the text was split with
+  chunkOverlap: number;
+  partial?: boolean; // Checkpoint of a build still in progress; never served
+  builtAt: number;
+  updatedAt: number;
+  shards: Record<string, { chunks: number; bytes: number }>;
+}
+
+export type CacheSettings = Pick<
+  CacheManifest,
+  'embedding' | 'signature' | 'dimensions' | 'chunker' | 'chunkSize' | 'chunkOverlap' | 'partial'
+>;
+
+interface ShardHeaderEntry {
+  path: string;
+  chunkIndex: number;
+  text: string;
+  lastModified: number;
+  contentHash?: string;
+  tokens: number;
+  headingPath?: string[];
+  tags?: string[];
+  aliases?: string[];
+  dimensions: number;
+}
+
+const MANIFEST_VERSION = 3;
+const SHARD_VERSION = 1;
+const SHARD_COUNT = 256;
+const MAGIC = 'ZEMB';
+
+export class EmbeddingCache {
+  private dir: string;
+  private manifestPath: string;
+
+  constructor(private app: App, dir: string) {
+    this.dir = normalizePath(dir);
+    this.manifestPath = `${this.dir}/manifest.json`;
+  }
+
+  get directory(): string {
+    return this.dir;
+  }
+
+  /**
+   * 53-bit content hash (cyrb53) used to tell real edits from mtime-only changes
+   */
+  static hashContent(text: string): string {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
+  /**
+   * Shard a note belongs to (FNV-1a of its path)
+   */
+  static shardOf(path: string): string {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < path.length; i++) {
+      hash ^= path.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return (hash % SHARD_COUNT).toString(16).padStart(2, '0');
+  }
+
+  async readManifest(): Promise<CacheManifest | null> {
+    try {
+      if (!(await this.app.vault.adapter.exists(this.manifestPath))) {
+        return null;
+      }
+      const manifest: CacheManifest = JSON.parse(await this.app.vault.adapter.read(this.manifestPath));
+      if (manifest.version !== MANIFEST_VERSION || manifest.shardCount !== SHARD_COUNT) {
+        console.log('[EmbeddingCache] Manifest format changed, ignoring cache');
+        return null;
+      }
+      return manifest;
+    } catch (error) {
+      console.error('[EmbeddingCache] Failed to read manifest:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load every shard listed in the manifest, yielding to the UI between
+   * shards so a large cache never freezes startup
+   */
+  async load(manifest: CacheManifest): Promise<VaultChunk[]> {
+    const chunks: VaultChunk[] = [];
+
+    for (const shardId of Object.keys(manifest.shards)) {
+      try {
+        const buffer = await this.app.vault.adapter.readBinary(this.shardPath(shardId));
+        chunks.push(...EmbeddingCache.decodeShard(buffer));
+      } catch (error) {
+        // A missing or corrupt shard only loses its own notes
+        console.warn(`[EmbeddingCache] Skipping unreadable shard ${shardId}:`, error);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Write the given shards (all shards when `shardIds` is omitted) and the manifest
+   */
+  async save(index: VaultChunk[], settings: CacheSettings, shardIds?: Iterable<string>): Promise<void> {
+    const existing = await this.readManifest();
+    const fullWrite = !shardIds || !existing;
+    const targets = new Set(fullWrite ? [] : Array.from(shardIds as Iterable<string>));
+
+    const grouped = new Map<string, VaultChunk[]>();
+    for (const chunk of index) {
+      const shardId = EmbeddingCache.shardOf(chunk.path);
+      if (!fullWrite && !targets.has(shardId)) continue;
+      const list = grouped.get(shardId) ?? [];
+      list.push(chunk);
+      grouped.set(shardId, list);
+    }
+
+    await this.ensureFolder(`${this.dir}/shards`);
+
+    const now = Date.now();
+    const manifest: CacheManifest = {
+      version: MANIFEST_VERSION,
+      shardCount: SHARD_COUNT,
+      ...settings,
+      builtAt: fullWrite ? now : (existing as CacheManifest).builtAt,
+      updatedAt: now,
+      shards: fullWrite ? {} : { ...(existing as CacheManifest).shards },
+    };
+
+    // Shards that became empty are removed rather than written
+    const shardsToWrite = fullWrite
+      ? Array.from(new Set([...grouped.keys(), ...Object.keys(existing?.shards ?? {})]))
+      : Array.from(targets);
+
+    for (const shardId of shardsToWrite) {
+      const chunks = grouped.get(shardId) ?? [];
+      const path = this.shardPath(shardId);
+
+      if (chunks.length === 0) {
+        delete manifest.shards[shardId];
+        if (await this.app.vault.adapter.exists(path)) {
+          await this.app.vault.adapter.remove(path);
+        }
+        continue;
+      }
+
+      const buffer = EmbeddingCache.encodeShard(chunks);
+      await this.app.vault.adapter.writeBinary(path, buffer);
+      manifest.shards[shardId] = { chunks: chunks.length, bytes: buffer.byteLength };
+    }
+
+    // Manifest last: a crash mid-save leaves the previous manifest pointing at valid shards
+    await this.app.vault.adapter.write(this.manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  async readAnn(): Promise<ArrayBuffer | null> {
+    try {
+      if (!(await this.app.vault.adapter.exists(this.annPath()))) {
+        return null;
+      }
+      return await this.app.vault.adapter.readBinary(this.annPath());
+    } catch (error) {
+      console.warn('[EmbeddingCache] Failed to read ANN graph:', error);
+      return null;
+    }
+  }
+
+  async writeAnn(buffer: ArrayBuffer): Promise<void> {
+    await this.ensureFolder(this.dir);
+    await this.app.vault.adapter.writeBinary(this.annPath(), buffer);
+  }
+
+  async clear(): Promise<void> {
+    if (await this.app.vault.adapter.exists(this.dir)) {
+      await this.app.vault.adapter.rmdir(this.dir, true);
+    }
+  }
+
+  static encodeShard(chunks: VaultChunk[]): ArrayBuffer {
+    const header: ShardHeaderEntry[] = chunks.map((chunk) => ({
+      path: chunk.path,
+      chunkIndex: chunk.chunkIndex,
+      text: chunk.text,
+      lastModified: chunk.lastModified,
+      contentHash: chunk.contentHash,
+      tokens: chunk.tokens,
+      headingPath: chunk.headingPath,
+      tags: chunk.tags,
+      aliases: chunk.aliases,
+      dimensions: chunk.embedding?.values.length ?? 0,
+    }));
+
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const vectorOffset = EmbeddingCache.align4(12 + headerBytes.length);
+    const floatCount = header.reduce((sum, entry) => sum + entry.dimensions, 0);
+
+    const buffer = new ArrayBuffer(vectorOffset + floatCount * 4);
+    const view = new DataView(buffer);
+    for (let i = 0; i < MAGIC.length; i++) {
+      view.setUint8(i, MAGIC.charCodeAt(i));
+    }
+    view.setUint32(4, SHARD_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    new Uint8Array(buffer, 12, headerBytes.length).set(headerBytes);
+
+    const vectors = new Float32Array(buffer, vectorOffset, floatCount);
+    let offset = 0;
+    for (const chunk of chunks) {
+      const values = chunk.embedding?.values ?? [];
+      vectors.set(values, offset);
+      offset += values.length;
+    }
+
+    return buffer;
+  }
+
+  static decodeShard(buffer: ArrayBuffer): VaultChunk[] {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== MAGIC || view.getUint32(4, true) !== SHARD_VERSION) {
+      throw new Error('Unrecognised shard format');
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const header: ShardHeaderEntry[] = JSON.parse(
+      new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength))
+    );
+    const vectorOffset = EmbeddingCache.align4(12 + headerLength);
+    const vectors = new Float32Array(buffer, vectorOffset, (buffer.byteLength - vectorOffset) / 4);
+
+    let offset = 0;
+    return header.map((entry) => {
+      const values = Array.from(vectors.subarray(offset, offset + entry.dimensions));
+      offset += entry.dimensions;
+      return {
+        path: entry.path,
+        chunkIndex: entry.chunkIndex,
+        text: entry.text,
+        lastModified: entry.lastModified,
+        contentHash: entry.contentHash,
+        tokens: entry.tokens,
+        headingPath: entry.headingPath,
+        tags: entry.tags,
+        aliases: entry.aliases,
+        embedding: { values, dimensions: entry.dimensions },
+      };
+    });
+  }
+
+  private static align4(value: number): number {
+    return Math.ceil(value / 4) * 4;
+  }
+
+  private annPath(): string {
+    return `${this.dir}/ann.bin`;
+  }
+
+  private shardPath(shardId: string): string {
+    return `${this.dir}/shards/${shardId}.bin`;
+  }
+
+  private async ensureFolder(path: string): Promise<void> {
+    if (!(await this.app.vault.adapter.exists(path))) {
+      await this.app.vault.adapter.mkdir(path);
+    }
+  }
+}
@@ -5,52 +5,179 @@
 /**
  * HistoryService: Snapshot and rollback system
  * Architecture: Store .bak files before vault mutations for safety
- * Status: Phase 2 - TODO
+ * Status: Phase 2 - Implemented
+ *
+ * Layout:
+ * - One folder per note inside the history directory (note path URI-encoded)
+ * - One `<timestamp>.bak` file per snapshot holding the full pre-write content
+ * - Lives in the config dir so snapshots never show up as vault notes
  */
 
+import { App, TFile, normalizePath } from 'obsidian';
 import { HistorySnapshot } from '../utils/Types';
+import { eventBus } from '../utils/EventBus';
 
 export class HistoryService {
-  private historyPath = '.obsidian/zeddal_history';
+  private app: App;
+  private historyPath: string;
+
+  constructor(app: App) {
+    this.app = app;
+    const configDir = (this.app.vault as any).configDir || '.obsidian';
+    this.historyPath = normalizePath(`${configDir}/zeddal_history`);
+  }
 
   /**
    * Create snapshot before file modification
-   * TODO: Phase 2 implementation
    */
   async snapshot(filePath: string, content: string): Promise<HistorySnapshot> {
-    // TODO: Create .bak file in history directory
-    // TODO: Store timestamp and original path
-    // TODO: Return snapshot metadata
+    const normalizedPath = normalizePath(filePath);
+    const folder = this.getSnapshotFolder(normalizedPath);
+    await this.ensureFolder(folder);
+
+    // Guard against two writes landing in the same millisecond
+    let timestamp = Date.now();
+    while (await this.app.vault.adapter.exists(`${folder}/${timestamp}.bak`)) {
+      timestamp++;
+    }
+
+    const snapshot: HistorySnapshot = {
+      file: normalizedPath,
+      timestamp,
+      path: `${folder}/${timestamp}.bak`,
+    };
+
+    await this.app.vault.adapter.write(snapshot.path, content);
+    eventBus.emit('backup-created', {
+      original: normalizedPath,
+      backup: snapshot.path,
+      snapshot,
+    });
 
-    throw new Error('HistoryService.snapshot not yet implemented');
+    return snapshot;
+  }
+
+  /**
+   * Read the stored content of a snapshot
+   */
+  async read(snapshot: HistorySnapshot): Promise<string> {
+    return await this.app.vault.adapter.read(snapshot.path);
   }
 
   /**
    * Revert file to snapshot
-   * TODO: Phase 2 implementation
+   * The current content is snapshotted first, so a revert can itself be undone.
    */
   async revert(snapshot: HistorySnapshot): Promise<void> {
-    // TODO: Restore file from .bak
-    // TODO: Delete snapshot
-    throw new Error('HistoryService.revert not yet implemented');
+    const exists = await this.app.vault.adapter.exists(snapshot.path);
+    if (!exists) {
+      throw new Error(`Snapshot not found: ${snapshot.path}`);
+    }
+
+    const content = await this.read(snapshot);
+    const existingFile = this.app.vault.getAbstractFileByPath(snapshot.file);
+
+    if (existingFile && existingFile instanceof TFile) {
+      const currentContent = await this.app.vault.read(existingFile);
+      await this.snapshot(snapshot.file, currentContent);
+      await this.app.vault.modify(existingFile, content);
+    } else {
+      await this.app.vault.create(snapshot.file, content);
+    }
+
+    await this.app.vault.adapter.remove(snapshot.path);
+    eventBus.emit('file-modified', { path: snapshot.file, content });
   }
 
   /**
-   * List all snapshots for a file
-   * TODO: Phase 2 implementation
+   * List all snapshots for a file (newest first)
    */
   async listSnapshots(filePath: string): Promise<HistorySnapshot[]> {
-    // TODO: Read history directory
-    // TODO: Return snapshots for file
-    throw new Error('HistoryService.listSnapshots not yet implemented');
+    const normalizedPath = normalizePath(filePath);
+    const folder = this.getSnapshotFolder(normalizedPath);
+
+    if (!(await this.app.vault.adapter.exists(folder))) {
+      return [];
+    }
+
+    const listing = await this.app.vault.adapter.list(folder);
+    const snapshots: HistorySnapshot[] = [];
+
+    for (const path of listing.files) {
+      const timestamp = this.parseTimestamp(path);
+      if (timestamp !== null) {
+        snapshots.push({ file: normalizedPath, timestamp, path });
+      }
+    }
+
+    return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get the most recent snapshot for a file, if any
+   */
+  async getLatestSnapshot(filePath: string): Promise<HistorySnapshot | null> {
+    const snapshots = await this.listSnapshots(filePath);
+    return snapshots[0] ?? null;
   }
 
   /**
    * Clean up old snapshots
-   * TODO: Phase 2 implementation
    */
   async cleanup(daysOld: number = 30): Promise<void> {
-    // TODO: Delete snapshots older than threshold
-    throw new Error('HistoryService.cleanup not yet implemented');
+    if (!(await this.app.vault.adapter.exists(this.historyPath))) {
+      return;
+    }
+
+    const cutoff = Date.now() - daysOld * 24 * 60 * 60 * 1000;
+    const listing = await this.app.vault.adapter.list(this.historyPath);
+    let removed = 0;
+
+    for (const folder of listing.folders) {
+      try {
+        const files = await this.app.vault.adapter.list(folder);
+        let remaining = files.files.length;
+
+        for (const path of files.files) {
+          const timestamp = this.parseTimestamp(path);
+          if (timestamp !== null && timestamp < cutoff) {
+            await this.app.vault.adapter.remove(path);
+            remaining--;
+            removed++;
+          }
+        }
+
+        if (remaining === 0) {
+          await this.app.vault.adapter.rmdir(folder, true);
+        }
+      } catch (error) {
+        console.warn(`[HistoryService] Failed to clean up ${folder}:`, error);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[HistoryService] Removed ${removed} snapshot(s) older than ${daysOld} days`);
+    }
+  }
+
+  /**
+   * Folder holding all snapshots of one note
+   */
+  private getSnapshotFolder(filePath: string): string {
+    return `${this.historyPath}/${encodeURIComponent(filePath)}`;
+  }
+
+  private parseTimestamp(path: string): number | null {
+    const match = path.match(/(\d+)\.bak$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  private async ensureFolder(folderPath: string): Promise<void> {
+    if (!(await this.app.vault.adapter.exists(this.historyPath))) {
+      await this.app.vault.adapter.mkdir(this.historyPath);
+    }
+    if (!(await this.app.vault.adapter.exists(folderPath))) {
+      await this.app.vault.adapter.mkdir(folderPath);
+    }
   }
 }
@@ -204,6 +204,63 @@ export class LLMRefineService {
     return data.choices?.[0]?.message?.content?.trim() || text;
   }
 
+  /**
+   * Answer a question from vault excerpts, citing them by number ([1], [2])
+   */
+  async answerQuestion(question: string, excerpts: string[]): Promise<string> {
+    const systemPrompt = this.buildAnswerPrompt(excerpts);
+
+    if (this.config.get('enableLocalLLM') && this.localLLMService) {
+      console.log('[LLMRefineService] Using local LLM to answer');
+      try {
+        const result = await this.localLLMService.refineWithInstruction({
+          type: 'text',
+          content: `${systemPrompt}\n\nQuestion: ${question}`,
+          originalText: question,
+        });
+        if (!result.success) {
+          throw new Error(result.error || 'Local LLM answer failed');
+        }
+        return result.refinedText;
+      } catch (error) {
+        console.warn('[LLMRefineService] Local LLM failed, falling back to OpenAI:', error);
+        if (!this.config.get('openaiApiKey')) {
+          throw new Error('Local LLM failed and no OpenAI API key configured for fallback');
+        }
+      }
+    }
+
+    const apiKey = this.config.get('openaiApiKey');
+    if (!apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        model: this.config.get('gptModel'),
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: question },
+        ],
+        temperature: 0.2,
+        max_tokens: 1000,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GPT-4 API error: ${response.status} - ${JSON.stringify(errorData)}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content?.trim() || '';
+  }
+
   /**
    * Generate note title from content using GPT-4
    */
@@ -293,6 +350,22 @@ export class LLMRefineService {
     return prompt;
   }
 
+  /**
+   * Grounded Q&A prompt: numbered excerpts the answer must cite
+   */
+  private buildAnswerPrompt(excerpts: string[]): string {
+    const numbered = excerpts.map((excerpt, i) => `[${i + 1}] ${excerpt}`).join('\n\n');
+
+    return `You answer questions about the user's Obsidian vault using only the numbered excerpts below.
+
+1. Cite the excerpt behind every statement by its number in square brackets, e.g. [1] or [2][3]
+2. If the excerpts do not contain the answer, say so plainly instead of guessing
+3. Be concise; use markdown lists where they help
+
+**Excerpts from vault:**
+${numbered}`;
+  }
+
   /**
    * Extract wikilinks from text
    */
@@ -7,30 +7,74 @@
  * Architecture: Optional enhancement layer for context retrieval
  *
  * Features:
- * - Connect to multiple MCP servers via stdio transport
- * - Fetch resources and prompts from servers
+ * - Connect to multiple MCP servers via stdio, streamable HTTP or SSE
+ * - Query-aware context: a server's search tool is called with the
+ *   transcript's keywords (servers set to always allow tools only), and only
+ *   resources ranked relevant are read
+ * - Health: every call has a per-server timeout, connected servers are
+ *   pinged, and a failed server reconnects on its own with exponential
+ *   backoff while the others keep working; stdio servers' stderr is kept
+ * - Tool use: connected servers' tools are offered to the refinement
+ *   model, subject to each server's approval setting
  * - Graceful degradation if MCP is disabled or fails
  * - Non-blocking - doesn't interrupt existing workflows
  */
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import { RequestOptions } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
 import { Config } from '../utils/Config';
-import { MCPServerConfig, MCPContext, MCPResource } from '../utils/Types';
+import { MCPServerConfig, MCPContext, MCPResource, MCPConnectionState, MCPToolApproval } from '../utils/Types';
+import { MCPContextRanker, MCPToolInfo, MCPSearchTool, MCPResourceInfo } from '../utils/MCPContextRanker';
+import { MCPCallableTool } from '../utils/MCPToolCalling';
+import { MCPServerHealth } from '../utils/MCPServerHealth';
+import { NodeFetch } from '../utils/NodeFetch';
 
 interface MCPClient {
   client: Client;
-  transport: StdioClientTransport;
+  transport: Transport;
   config: MCPServerConfig;
+  tools: MCPToolInfo[]; // Discovered on connect
+  searchTool: MCPSearchTool | null;
+}
+
+const MAX_RESOURCES = 3; // Ranked resources read per server
+const MAX_SEARCH_RESULTS = 5; // Passed to search tools that take a limit
+const MAX_CONTENT_CHARS = 4000; // Per context item
+const MAX_LIST_PAGES = 10; // Resource listing pages fetched per query
+const DEFAULT_TIMEOUT_SECONDS = 15; // Per call, unless the server config sets its own
+const PING_INTERVAL_MS = 30 * 1000;
+
+export interface MCPServerStatus {
+  serverId: string;
+  serverName: string;
+  connected: boolean;
+  state: MCPConnectionState;
+  error?: string; // Last error, kept after recovery
+  retryAt?: number; // Next reconnect attempt, while failed
+}
+
+export interface MCPToolResult {
+  text: string; // Truncated like other context items
+  isError: boolean; // The tool ran but reported a failure
 }
 
 export class MCPClientService {
   private config: Config;
   private clients: Map<string, MCPClient> = new Map();
+  private health: Map<string, MCPServerHealth> = new Map();
+  private retryTimers: Map<string, number> = new Map();
+  private pingTimer: number | null = null;
   private isInitialized: boolean = false;
+  private onChange?: (status: MCPServerStatus[]) => void;
 
-  constructor(config: Config) {
+  constructor(config: Config, onChange?: (status: MCPServerStatus[]) => void) {
     this.config = config;
+    this.onChange = onChange;
   }
 
   /**
@@ -50,35 +94,76 @@ export class MCPClientService {
     }
 
     console.log(`Initializing ${servers.length} MCP servers...`);
+    this.isInitialized = true;
 
-    for (const serverConfig of servers) {
-      if (serverConfig.enabled) {
-        try {
-          await this.connectToServer(serverConfig);
-        } catch (error) {
-          console.error(`Failed to connect to MCP server ${serverConfig.name}:`, error);
-          // Continue with other servers - don't let one failure block others
-        }
-      }
+    // In parallel, so one slow server does not hold up the rest; a server
+    // that fails keeps retrying on its own
+    const enabled = servers.filter((serverConfig) => serverConfig.enabled);
+    for (const serverConfig of enabled) {
+      this.health.set(serverConfig.id, new MCPServerHealth());
     }
+    this.notify();
+    await Promise.all(enabled.map((serverConfig) => this.connectServer(serverConfig)));
 
-    this.isInitialized = true;
+    this.pingTimer = window.setInterval(() => this.pingAll(), PING_INTERVAL_MS);
     console.log(`MCP initialized with ${this.clients.size} active connections`);
   }
 
+  /**
+   * Connect one server, scheduling a retry with backoff if it fails
+   */
+  private async connectServer(serverConfig: MCPServerConfig): Promise<void> {
+    const health = this.health.get(serverConfig.id);
+    if (!health) {
+      return;
+    }
+
+    health.connecting();
+    this.notify();
+
+    try {
+      await this.connectToServer(serverConfig, health);
+      if (this.health.get(serverConfig.id) !== health) {
+        // Disconnected while the handshake was running
+        await this.dropClient(serverConfig.id);
+        return;
+      }
+      health.connected();
+    } catch (error) {
+      console.error(`Failed to connect to MCP server ${serverConfig.name}:`, error);
+      health.connectionLost(MCPClientService.describeError(error));
+      this.scheduleReconnect(serverConfig, health);
+    }
+    this.notify();
+  }
+
+  private scheduleReconnect(serverConfig: MCPServerConfig, health: MCPServerHealth): void {
+    if (!this.isInitialized || this.health.get(serverConfig.id) !== health || this.retryTimers.has(serverConfig.id)) {
+      return;
+    }
+
+    const delay = health.scheduleRetry();
+    console.log(`[MCP] Reconnecting to ${serverConfig.name} in ${Math.round(delay / 1000)}s`);
+    this.retryTimers.set(
+      serverConfig.id,
+      window.setTimeout(() => {
+        this.retryTimers.delete(serverConfig.id);
+        this.connectServer(serverConfig);
+      }, delay)
+    );
+  }
+
   /**
    * Connect to a single MCP server
    */
-  private async connectToServer(serverConfig: MCPServerConfig): Promise<void> {
+  private async connectToServer(serverConfig: MCPServerConfig, health: MCPServerHealth): Promise<void> {
     try {
-      console.log(`Connecting to MCP server: ${serverConfig.name}`);
+      console.log(`Connecting to MCP server: ${serverConfig.name} (${serverConfig.transport ?? 'stdio'})`);
 
-      // Create stdio transport
-      const transport = new StdioClientTransport({
-        command: serverConfig.command,
-        args: serverConfig.args || [],
-        env: serverConfig.env || {},
-      });
+      const transport = this.createTransport(serverConfig);
+      if (transport instanceof StdioClientTransport) {
+        transport.stderr?.on('data', (chunk: Buffer | string) => health.appendLog(chunk.toString()));
+      }
 
       // Create client
       const client = new Client(
@@ -91,23 +176,126 @@ export class MCPClientService {
         }
       );
 
-      // Connect
-      await client.connect(transport);
+      // Connect; a handshake that times out must not leave the process running
+      const options = this.requestOptions(serverConfig);
+      let tools: MCPToolInfo[];
+      try {
+        await client.connect(transport, options);
+        tools = await this.discoverTools(client, serverConfig, options);
+      } catch (error) {
+        await client.close().catch(() => undefined);
+        throw error;
+      }
+      const searchTool = MCPContextRanker.findSearchTool(tools);
+
+      // A server that exits or drops the connection later is reconnected
+      client.onclose = () => this.handleConnectionLost(serverConfig, client);
+      client.onerror = (error) => console.warn(`[MCP] ${serverConfig.name}:`, error);
 
       // Store client
       this.clients.set(serverConfig.id, {
         client,
         transport,
         config: serverConfig,
+        tools,
+        searchTool,
       });
 
-      console.log(`Successfully connected to ${serverConfig.name}`);
+      console.log(
+        `Successfully connected to ${serverConfig.name} (${tools.length} tools` +
+          `${searchTool ? `, searching with ${searchTool.name}` : ''})`
+      );
     } catch (error) {
       console.error(`Failed to connect to ${serverConfig.name}:`, error);
       throw error;
     }
   }
 
+  private handleConnectionLost(serverConfig: MCPServerConfig, client: Client): void {
+    // Connections we close ourselves are removed from the map first
+    if (this.clients.get(serverConfig.id)?.client !== client) {
+      return;
+    }
+
+    console.warn(`[MCP] Connection to ${serverConfig.name} closed`);
+    this.clients.delete(serverConfig.id);
+    const health = this.health.get(serverConfig.id);
+    if (health) {
+      health.connectionLost('Connection closed');
+      this.scheduleReconnect(serverConfig, health);
+    }
+    this.notify();
+  }
+
+  private async dropClient(serverId: string): Promise<void> {
+    const mcpClient = this.clients.get(serverId);
+    if (!mcpClient) {
+      return;
+    }
+
+    this.clients.delete(serverId);
+    try {
+      await mcpClient.client.close();
+    } catch (error) {
+      console.error(`Error disconnecting from ${mcpClient.config.name}:`, error);
+    }
+  }
+
+  /**
+   * Ping every connected server; failures degrade it, and enough of them
+   * drop the connection for a reconnect
+   */
+  private async pingAll(): Promise<void> {
+    await Promise.all(
+      Array.from(this.clients.values()).map((mcpClient) =>
+        this.request(mcpClient, (options) => mcpClient.client.ping(options)).catch(() => undefined)
+      )
+    );
+  }
+
+  /**
+   * Send one request with the server's timeout, feeding the outcome into its health
+   */
+  private async request<T>(mcpClient: MCPClient, send: (options: RequestOptions) => Promise<T>): Promise<T> {
+    const health = this.health.get(mcpClient.config.id);
+
+    try {
+      const result = await send(this.requestOptions(mcpClient.config));
+      if (health && health.state === 'degraded') {
+        health.recordSuccess();
+        this.notify();
+      } else {
+        health?.recordSuccess();
+      }
+      return result;
+    } catch (error) {
+      // An error answer (bad arguments, unknown method) still means the server is alive
+      const unhealthy =
+        !(error instanceof McpError) ||
+        error.code === ErrorCode.RequestTimeout ||
+        error.code === ErrorCode.ConnectionClosed;
+
+      if (health && unhealthy && this.clients.get(mcpClient.config.id) === mcpClient) {
+        const state = health.recordFailure(MCPClientService.describeError(error));
+        if (state === 'failed') {
+          console.warn(`[MCP] ${mcpClient.config.name} is not responding, reconnecting`);
+          await this.dropClient(mcpClient.config.id);
+          this.scheduleReconnect(mcpClient.config, health);
+        }
+        this.notify();
+      }
+      throw error;
+    }
+  }
+
+  private requestOptions(serverConfig: MCPServerConfig): RequestOptions {
+    return { timeout: this.timeoutOf(serverConfig) };
+  }
+
+  private timeoutOf(serverConfig: MCPServerConfig): number {
+    return (serverConfig.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+  }
+
   /**
    * Retrieve context from all connected MCP servers
    * This is the main method called during transcription refinement
@@ -122,26 +310,146 @@ export class MCPClientService {
       return [];
     }
 
-    const contexts: MCPContext[] = [];
-
-    for (const [serverId, mcpClient] of this.clients.entries()) {
-      try {
-        const context = await this.fetchContextFromServer(mcpClient, query);
-        if (context.resources.length > 0) {
-          contexts.push(context);
+    // Servers are asked in parallel, each within twice its call timeout, so a
+    // hung server cannot stall refinement
+    const results = await Promise.all(
+      Array.from(this.clients.values()).map(async (mcpClient) => {
+        try {
+          return await MCPClientService.withDeadline(
+            this.fetchContextFromServer(mcpClient, query),
+            this.timeoutOf(mcpClient.config) * 2,
+            `Context from ${mcpClient.config.name} timed out`
+          );
+        } catch (error) {
+          console.error(`Failed to fetch context from ${mcpClient.config.name}:`, error);
+          // Continue with other servers - don't let one failure block others
+          return null;
         }
-      } catch (error) {
-        console.error(`Failed to fetch context from ${mcpClient.config.name}:`, error);
-        // Continue with other servers - don't let one failure block others
-      }
-    }
+      })
+    );
 
+    const contexts = results.filter(
+      (context): context is MCPContext => context !== null && context.resources.length > 0
+    );
     console.log(`Retrieved context from ${contexts.length} MCP servers`);
     return contexts;
   }
 
   /**
-   * Fetch context from a single server
+   * Tools the refinement model may call: every tool of each connected server
+   * whose tool use is not turned off
+   */
+  getCallableTools(): MCPCallableTool[] {
+    const tools: MCPCallableTool[] = [];
+    for (const mcpClient of Array.from(this.clients.values())) {
+      if (this.getToolApproval(mcpClient.config.id) === 'off') continue;
+      for (const tool of mcpClient.tools) {
+        tools.push({
+          serverId: mcpClient.config.id,
+          serverName: mcpClient.config.name,
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema as Record<string, unknown> | undefined,
+        });
+      }
+    }
+    return tools;
+  }
+
+  /**
+   * A server's tool approval, read from settings so changes apply without reconnecting
+   */
+  getToolApproval(serverId: string): MCPToolApproval {
+    const server = this.config.get('mcpServers').find((candidate) => candidate.id === serverId);
+    return server?.toolApproval ?? 'ask';
+  }
+
+  /**
+   * Call a tool on behalf of the refinement model
+   */
+  async callTool(serverId: string, name: string, args: Record<string, unknown>): Promise<MCPToolResult> {
+    const mcpClient = this.clients.get(serverId);
+    if (!mcpClient) {
+      throw new Error('Server is not connected');
+    }
+
+    const result = await this.request(mcpClient, (options) =>
+      mcpClient.client.callTool({ name, arguments: args }, undefined, options)
+    );
+    const text = MCPClientService.textOf((result.content as any[]) ?? []);
+    return {
+      text: MCPContextRanker.truncate(text || '(no text output)', MAX_CONTENT_CHARS),
+      isError: result.isError === true,
+    };
+  }
+
+  /**
+   * Transport for a server config; HTTP transports send the configured
+   * headers and bearer token on every request, through Node's http client
+   * since the renderer's fetch is subject to CORS
+   */
+  private createTransport(serverConfig: MCPServerConfig): Transport {
+    const type = serverConfig.transport ?? 'stdio';
+
+    if (type === 'stdio') {
+      if (!serverConfig.command) {
+        throw new Error('No command configured');
+      }
+      return new StdioClientTransport({
+        command: serverConfig.command,
+        args: serverConfig.args || [],
+        env: serverConfig.env || {},
+        stderr: 'pipe', // Kept in the server's health log
+      });
+    }
+
+    if (!serverConfig.url) {
+      throw new Error('No server URL configured');
+    }
+    const url = new URL(serverConfig.url);
+
+    const headers: Record<string, string> = { ...(serverConfig.headers ?? {}) };
+    if (serverConfig.authToken) {
+      headers['Authorization'] = `Bearer ${serverConfig.authToken}`;
+    }
+    const requestInit: RequestInit = { headers };
+
+    return type === 'sse'
+      ? new SSEClientTransport(url, { requestInit, fetch: NodeFetch.fetch })
+      : new StreamableHTTPClientTransport(url, { requestInit, fetch: NodeFetch.fetch });
+  }
+
+  /**
+   * List a server's tools, if it offers any
+   */
+  private async discoverTools(
+    client: Client,
+    serverConfig: MCPServerConfig,
+    options: RequestOptions
+  ): Promise<MCPToolInfo[]> {
+    if (!client.getServerCapabilities()?.tools) {
+      return [];
+    }
+
+    try {
+      const tools: MCPToolInfo[] = [];
+      let cursor: string | undefined;
+      for (let page = 0; page < MAX_LIST_PAGES; page++) {
+        const response = await client.listTools(cursor ? { cursor } : undefined, options);
+        tools.push(...(response.tools as MCPToolInfo[]));
+        cursor = response.nextCursor;
+        if (!cursor) break;
+      }
+      return tools;
+    } catch (error) {
+      console.error(`Failed to list tools from ${serverConfig.name}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch context from a single server: search tool results first, then the
+   * resources most related to the query
    */
   private async fetchContextFromServer(
     mcpClient: MCPClient,
@@ -149,43 +457,49 @@ export class MCPClientService {
   ): Promise<MCPContext> {
     const resources: MCPResource[] = [];
 
-    try {
-      // List available resources
-      const resourcesResponse = await mcpClient.client.listResources();
+    // Nobody is asked while context is gathered, so the search tool only runs
+    // on servers whose tools are always allowed
+    if (mcpClient.searchTool && this.getToolApproval(mcpClient.config.id) === 'allow') {
+      try {
+        resources.push(...(await this.searchWithTool(mcpClient, mcpClient.searchTool, query)));
+      } catch (error) {
+        console.error(`Search tool ${mcpClient.searchTool.name} failed on ${mcpClient.config.name}:`, error);
+      }
+    }
 
-      if (resourcesResponse.resources && resourcesResponse.resources.length > 0) {
-        // Limit to first 5 resources to avoid overwhelming the LLM
-        const resourcesToFetch = resourcesResponse.resources.slice(0, 5);
+    if (mcpClient.client.getServerCapabilities()?.resources) {
+      try {
+        const listed = await this.listResources(mcpClient);
+        const ranked = MCPContextRanker.rankResources(query, listed, MAX_RESOURCES);
+        console.log(
+          `[MCP] ${mcpClient.config.name}: ${ranked.length} of ${listed.length} resources match the transcript`
+        );
 
-        for (const resource of resourcesToFetch) {
+        for (const resource of ranked) {
           try {
             // Read each resource
-            const resourceData = await mcpClient.client.readResource({
-              uri: resource.uri,
-            });
-
-            if (resourceData.contents && resourceData.contents.length > 0) {
-              const content = resourceData.contents[0];
-
-              // Only handle text content for now
-              if (content.text && typeof content.text === 'string') {
-                resources.push({
-                  uri: resource.uri,
-                  name: resource.name,
-                  description: resource.description,
-                  mimeType: content.mimeType || 'text/plain',
-                  content: content.text,
-                });
-              }
+            const resourceData = await this.request(mcpClient, (options) =>
+              mcpClient.client.readResource({ uri: resource.uri }, options)
+            );
+
+            const text = MCPClientService.textOf(resourceData.contents ?? []);
+            if (text) {
+              resources.push({
+                uri: resource.uri,
+                name: resource.name,
+                description: resource.description,
+                mimeType: resourceData.contents[0]?.mimeType || 'text/plain',
+                content: MCPContextRanker.truncate(text, MAX_CONTENT_CHARS),
+              });
             }
           } catch (error) {
             console.error(`Failed to read resource ${resource.uri}:`, error);
             // Continue with other resources
           }
         }
+      } catch (error) {
+        console.error(`Failed to list resources from ${mcpClient.config.name}:`, error);
       }
-    } catch (error) {
-      console.error(`Failed to list resources from ${mcpClient.config.name}:`, error);
     }
 
     return {
@@ -196,6 +510,83 @@ export class MCPClientService {
     };
   }
 
+  /**
+   * Call a server's search tool with the transcript's keywords
+   */
+  private async searchWithTool(
+    mcpClient: MCPClient,
+    searchTool: MCPSearchTool,
+    query: string
+  ): Promise<MCPResource[]> {
+    const keywords = MCPContextRanker.searchQuery(query);
+    if (!keywords) {
+      return [];
+    }
+
+    const args: Record<string, unknown> = { [searchTool.argument]: keywords };
+    if (searchTool.limitArgument) {
+      args[searchTool.limitArgument] = MAX_SEARCH_RESULTS;
+    }
+
+    const result = await this.request(mcpClient, (options) =>
+      mcpClient.client.callTool({ name: searchTool.name, arguments: args }, undefined, options)
+    );
+    if (result.isError) {
+      console.warn(`[MCP] ${searchTool.name} on ${mcpClient.config.name} returned an error`);
+      return [];
+    }
+
+    const text = MCPClientService.textOf((result.content as any[]) ?? []);
+    if (!text) {
+      return [];
+    }
+
+    return [
+      {
+        uri: `mcp-tool://${mcpClient.config.id}/${searchTool.name}`,
+        name: `${searchTool.name}("${keywords}")`,
+        description: `Search results from ${searchTool.name}`,
+        mimeType: 'text/plain',
+        content: MCPContextRanker.truncate(text, MAX_CONTENT_CHARS),
+      },
+    ];
+  }
+
+  private async listResources(mcpClient: MCPClient): Promise<MCPResourceInfo[]> {
+    const resources: MCPResourceInfo[] = [];
+    let cursor: string | undefined;
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const response = await this.request(mcpClient, (options) =>
+        mcpClient.client.listResources(cursor ? { cursor } : undefined, options)
+      );
+      resources.push(...(response.resources ?? []));
+      cursor = response.nextCursor;
+      if (!cursor) break;
+    }
+    return resources;
+  }
+
+  /**
+   * Text of resource contents or tool result items: every text part, plus
+   * base64 blobs with a textual MIME type; images and audio are skipped
+   */
+  private static textOf(items: any[]): string {
+    const parts: string[] = [];
+    for (const item of items) {
+      const content = item?.type === 'resource' ? item.resource : item;
+      if (typeof content?.text === 'string') {
+        parts.push(content.text);
+      } else if (typeof content?.blob === 'string' && MCPClientService.isTextMime(content.mimeType)) {
+        parts.push(Buffer.from(content.blob, 'base64').toString('utf8'));
+      }
+    }
+    return parts.join('\n\n').trim();
+  }
+
+  private static isTextMime(mimeType?: string): boolean {
+    return !!mimeType && /^text\/|json|xml|yaml|markdown|csv/i.test(mimeType);
+  }
+
   /**
    * Disconnect from all MCP servers
    * Called on plugin unload
@@ -203,17 +594,23 @@ export class MCPClientService {
   async disconnect(): Promise<void> {
     console.log(`Disconnecting from ${this.clients.size} MCP servers...`);
 
-    for (const [serverId, mcpClient] of this.clients.entries()) {
-      try {
-        await mcpClient.client.close();
-        console.log(`Disconnected from ${mcpClient.config.name}`);
-      } catch (error) {
-        console.error(`Error disconnecting from ${mcpClient.config.name}:`, error);
-      }
+    // Stop health checks and pending retries first, so nothing reconnects
+    this.isInitialized = false;
+    if (this.pingTimer !== null) {
+      window.clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    this.retryTimers.forEach((timer) => window.clearTimeout(timer));
+    this.retryTimers.clear();
+    this.health.clear();
+
+    for (const serverId of Array.from(this.clients.keys())) {
+      const name = this.clients.get(serverId)!.config.name;
+      await this.dropClient(serverId);
+      console.log(`Disconnected from ${name}`);
     }
 
-    this.clients.clear();
-    this.isInitialized = false;
+    this.notify();
   }
 
   /**
@@ -234,12 +631,52 @@ export class MCPClientService {
   /**
    * Get connection status for each server
    */
-  getStatus(): { serverId: string; serverName: string; connected: boolean }[] {
+  getStatus(): MCPServerStatus[] {
     const servers = this.config.get('mcpServers');
-    return servers.map((server) => ({
-      serverId: server.id,
-      serverName: server.name,
-      connected: this.clients.has(server.id),
-    }));
+    return servers.map((server) => {
+      const health = this.health.get(server.id);
+      return {
+        serverId: server.id,
+        serverName: server.name,
+        connected: this.clients.has(server.id),
+        state: health?.state ?? 'disabled',
+        error: health?.lastError ?? undefined,
+        retryAt: health?.state === 'failed' ? health.retryAt ?? undefined : undefined,
+      };
+    });
+  }
+
+  /**
+   * Recent stderr output of a stdio server
+   */
+  getLog(serverId: string): string[] {
+    return this.health.get(serverId)?.getLog() ?? [];
+  }
+
+  private notify(): void {
+    this.onChange?.(this.getStatus());
+  }
+
+  private static describeError(error: any): string {
+    return error?.message || String(error);
+  }
+
+  /**
+   * Reject if a promise has not settled in time (the work itself is not cancelled)
+   */
+  private static withDeadline<T>(promise: Promise<T>, ms: number, message: string): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      const timer = window.setTimeout(() => reject(new Error(message)), ms);
+      promise.then(
+        (value) => {
+          window.clearTimeout(timer);
+          resolve(value);
+        },
+        (error) => {
+          window.clearTimeout(timer);
+          reject(error);
+        }
+      );
+    });
   }
 }
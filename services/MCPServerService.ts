@@ -0,0 +1,327 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MCPServerService: Exposes Zeddal's own capabilities as an MCP server
+ * Architecture: Node HTTP server on 127.0.0.1 speaking streamable HTTP in
+ * stateless mode (a fresh MCP server per request); tools delegate to the
+ * plugin's existing services
+ *
+ * Tools:
+ * - search_vault: hybrid search over the RAG index (VaultRAGService)
+ * - transcribe_audio: transcribe an audio file in the vault (WhisperService)
+ * - list_recordings: saved voice recordings (AudioFileService)
+ * - append_to_daily_note: append text to today's daily note (VaultOps)
+ *
+ * Every request must carry `Authorization: Bearer <mcpServerToken>`. Requests
+ * from browsers (any Origin header) and foreign Host headers are refused, so
+ * web pages cannot reach the server through the user's browser.
+ */
+
+import * as http from 'http';
+import { randomBytes } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { Config } from '../utils/Config';
+import { RetrievalFilters } from '../utils/RetrievalFilter';
+import { WhisperService } from './WhisperService';
+import { VaultRAGService } from './VaultRAGService';
+import { AudioFileService } from './AudioFileService';
+import { VaultOps } from './VaultOps';
+
+export interface MCPServerDependencies {
+  whisperService: WhisperService;
+  vaultRAGService: VaultRAGService;
+  audioFileService: AudioFileService;
+  vaultOps: VaultOps;
+}
+
+interface ZeddalTool {
+  name: string;
+  description: string;
+  inputSchema: {
+    type: 'object';
+    properties: Record<string, object>;
+    required?: string[];
+  };
+  run: (args: Record<string, any>) => Promise<string>;
+}
+
+const HOST = '127.0.0.1';
+const ENDPOINT = '/mcp';
+const DEFAULT_SEARCH_RESULTS = 5;
+const MAX_SEARCH_RESULTS = 20;
+const DEFAULT_RECORDINGS = 20;
+
+export class MCPServerService {
+  private config: Config;
+  private deps: MCPServerDependencies;
+  private httpServer: http.Server | null = null;
+  private listeningPort: number | null = null;
+  private lastError: string | null = null;
+  private tools: ZeddalTool[];
+
+  constructor(config: Config, deps: MCPServerDependencies) {
+    this.config = config;
+    this.deps = deps;
+    this.tools = this.defineTools();
+  }
+
+  /**
+   * Random bearer token for a newly enabled server
+   */
+  static generateToken(): string {
+    return randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Start listening if enabled in settings; restarts when the port changed
+   */
+  async start(): Promise<void> {
+    if (!this.config.get('enableMCPServer')) {
+      await this.stop();
+      return;
+    }
+
+    const port = this.config.get('mcpServerPort');
+    if (this.httpServer && this.listeningPort === port) {
+      return;
+    }
+    await this.stop();
+
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('[MCPServer] Request failed:', error);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      });
+    });
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, HOST, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      this.lastError = error?.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error?.message || String(error);
+      console.error(`[MCPServer] Failed to listen on ${HOST}:${port}:`, error);
+      throw new Error(this.lastError!);
+    }
+
+    server.on('error', (error) => console.error('[MCPServer] Server error:', error));
+    this.httpServer = server;
+    this.listeningPort = port;
+    this.lastError = null;
+    console.log(`[MCPServer] Listening on ${this.getEndpoint()}`);
+  }
+
+  async stop(): Promise<void> {
+    const server = this.httpServer;
+    if (!server) {
+      return;
+    }
+
+    this.httpServer = null;
+    this.listeningPort = null;
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    console.log('[MCPServer] Stopped');
+  }
+
+  isRunning(): boolean {
+    return this.httpServer !== null;
+  }
+
+  getEndpoint(): string {
+    return `http://${HOST}:${this.listeningPort ?? this.config.get('mcpServerPort')}${ENDPOINT}`;
+  }
+
+  /**
+   * Why the server last failed to start, if it did
+   */
+  getLastError(): string | null {
+    return this.lastError;
+  }
+
+  private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url ?? '/', `http://${HOST}`);
+    if (url.pathname !== ENDPOINT) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const host = req.headers.host ?? '';
+    const allowedHosts = [`${HOST}:${this.listeningPort}`, `localhost:${this.listeningPort}`];
+    if (req.headers.origin || !allowedHosts.includes(host)) {
+      res.writeHead(403).end('Forbidden');
+      return;
+    }
+
+    const token = this.config.get('mcpServerToken');
+    if (!token || req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+      return;
+    }
+
+    // Stateless: no sessions, so only POST carries messages
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableJsonResponse: true,
+    });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res);
+  }
+
+  private createServer(): Server {
+    const server = new Server({ name: 'zeddal', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const tool = this.tools.find((candidate) => candidate.name === request.params.name);
+      if (!tool) {
+        return { content: [{ type: 'text', text: `Unknown tool: ${request.params.name}` }], isError: true };
+      }
+
+      try {
+        const text = await tool.run(request.params.arguments ?? {});
+        return { content: [{ type: 'text', text }] };
+      } catch (error) {
+        console.warn(`[MCPServer] ${tool.name} failed:`, error);
+        return { content: [{ type: 'text', text: error?.message || String(error) }], isError: true };
+      }
+    });
+
+    return server;
+  }
+
+  private defineTools(): ZeddalTool[] {
+    const { whisperService, vaultRAGService, audioFileService, vaultOps } = this.deps;
+
+    return [
+      {
+        name: 'search_vault',
+        description:
+          "Search the user's Obsidian vault by meaning and keywords. Returns the best-matching note sections with their paths.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'What to look for' },
+            limit: { type: 'integer', description: `Maximum results (default ${DEFAULT_SEARCH_RESULTS})` },
+            scope: {
+              type: 'string',
+              description: 'Optional filter, e.g. "Projects/Acme, #client, -Archive, after:2025-01-01"',
+            },
+          },
+          required: ['query'],
+        },
+        run: async (args) => {
+          if (!this.config.get('enableRAG')) {
+            throw new Error('Vault search is disabled (Enable RAG in Zeddal settings)');
+          }
+          const query = MCPServerService.requireString(args, 'query');
+          const limit = Math.min(Math.max(Number(args.limit) || DEFAULT_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+          const filter = typeof args.scope === 'string' ? RetrievalFilters.parseScope(args.scope) : null;
+
+          const matches = await vaultRAGService.findSimilarNotes(query, { topK: limit, filter });
+          return JSON.stringify(
+            matches.map((match) => ({
+              note: match.noteTitle,
+              path: match.notePath,
+              heading: match.heading,
+              score: Number(match.similarity.toFixed(3)),
+              text: match.chunkText,
+            })),
+            null,
+            2
+          );
+        },
+      },
+      {
+        name: 'transcribe_audio',
+        description: 'Transcribe an audio file stored in the vault with the configured Whisper backend.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Vault-relative path, e.g. "Voice Notes/Recordings/2025-01-01.webm"' },
+          },
+          required: ['path'],
+        },
+        run: async (args) => {
+          const path = MCPServerService.requireString(args, 'path');
+          if (!audioFileService.isAudioFile(path)) {
+            throw new Error(`Not an audio file: ${path}`);
+          }
+          const audioChunk = await audioFileService.loadRecording(path);
+          const transcription = await whisperService.transcribe(audioChunk);
+          return transcription.text;
+        },
+      },
+      {
+        name: 'list_recordings',
+        description: 'List voice recordings saved by Zeddal, newest first, with any cached transcription.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer', description: `Maximum recordings (default ${DEFAULT_RECORDINGS})` },
+          },
+        },
+        run: async (args) => {
+          const limit = Math.max(Number(args.limit) || DEFAULT_RECORDINGS, 1);
+          const recordings = await audioFileService.listRecordings();
+          return JSON.stringify(
+            recordings.slice(0, limit).map((recording) => ({
+              path: recording.filePath,
+              recordedAt: new Date(recording.timestamp).toISOString(),
+              durationSeconds: Math.round(recording.duration / 1000),
+              transcription: recording.transcription,
+            })),
+            null,
+            2
+          );
+        },
+      },
+      {
+        name: 'append_to_daily_note',
+        description: "Append markdown text to today's daily note, creating the note if needed.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'Markdown to append' },
+          },
+          required: ['text'],
+        },
+        run: async (args) => {
+          const file = await vaultOps.createOrAppendDailyNote(MCPServerService.requireString(args, 'text'));
+          return `Appended to ${file.path}`;
+        },
+      },
+    ];
+  }
+
+  private static requireString(args: Record<string, any>, name: string): string {
+    const value = args[name];
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      throw new Error(`Missing required argument: ${name}`);
+    }
+    return value.trim();
+  }
+}
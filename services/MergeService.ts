@@ -5,48 +5,131 @@
 /**
  * MergeService: Smart note merging with similarity detection
  * Architecture: Compute cosine similarity and propose merge targets
- * Status: Phase 2 - TODO
+ * Status: Phase 2 - Implemented
+ *
+ * Flow:
+ * - Embed the refined note with the RAG embedding provider
+ * - Rank whole notes (centroid of their chunk vectors) by cosine similarity
+ * - Attach a unified diff of "existing note + appended voice note" to each proposal
  */
 
 import { Config } from '../utils/Config';
 import { MergeProposal, RefinedNote } from '../utils/Types';
+import { VectorMath } from '../utils/VectorMath';
+import { DiffGenerator } from '../utils/DiffGenerator';
+import { OfflineError } from '../utils/Errors';
+import { eventBus } from '../utils/EventBus';
+import { VaultRAGService } from './VaultRAGService';
+import { VaultOps } from './VaultOps';
 
 export class MergeService {
   private config: Config;
+  private vaultRAGService: VaultRAGService;
+  private vaultOps: VaultOps;
+  private readonly maxProposals = 3;
 
-  constructor(config: Config) {
+  constructor(config: Config, vaultRAGService: VaultRAGService, vaultOps: VaultOps) {
     this.config = config;
+    this.vaultRAGService = vaultRAGService;
+    this.vaultOps = vaultOps;
   }
 
   /**
    * Propose merge targets for refined note
-   * TODO: Phase 2 implementation
+   * Returns proposals sorted by similarity (descending); empty when RAG is off
    */
-  async propose(note: RefinedNote): Promise<MergeProposal[]> {
-    // TODO: Get embeddings for note
-    // TODO: Compare with vault file embeddings
-    // TODO: Compute cosine similarity
-    // TODO: Generate diff preview
-    // TODO: Return sorted proposals by similarity
+  async propose(note: RefinedNote, topK: number = this.maxProposals): Promise<MergeProposal[]> {
+    if (!this.config.get('enableRAG') || !note.body?.trim()) {
+      return [];
+    }
 
-    throw new Error('MergeService.propose not yet implemented');
+    try {
+      const noteVectors = await this.vaultRAGService.getNoteVectors();
+      if (noteVectors.size === 0) {
+        return [];
+      }
+
+      const queryEmbedding = await this.vaultRAGService.embedText(
+        `${note.title}\n\n${note.body}`
+      );
+
+      const candidates = Array.from(noteVectors.entries())
+        .filter(([, embedding]) => embedding.dimensions === queryEmbedding.dimensions)
+        .map(([path, embedding]) => ({ embedding, metadata: path }));
+
+      const ranked = VectorMath.topKSimilar(queryEmbedding, candidates, topK);
+      const proposals: MergeProposal[] = [];
+
+      for (const result of ranked) {
+        const target: string = result.metadata;
+        try {
+          const existing = await this.vaultOps.read(target);
+          proposals.push({
+            target,
+            similarity: result.similarity,
+            diff: this.generateDiff(existing, this.buildMergedContent(existing, note)),
+          });
+        } catch (error) {
+          // Note was removed since it was indexed - skip it
+          console.warn(`[MergeService] Skipping ${target}:`, error);
+        }
+      }
+
+      return proposals;
+    } catch (error) {
+      if (error instanceof OfflineError) {
+        console.warn('[MergeService] Merge proposals skipped (offline detected)');
+        return [];
+      }
+      console.error('[MergeService] Failed to propose merge targets:', error);
+      return [];
+    }
   }
 
   /**
    * Generate diff between two texts
-   * TODO: Phase 2 implementation
    */
   generateDiff(original: string, modified: string): string {
-    // TODO: Use diff library for Git-style diff
-    throw new Error('MergeService.generateDiff not yet implemented');
+    return DiffGenerator.generateUnified(original, modified);
   }
 
   /**
    * Check if auto-merge threshold met
-   * TODO: Phase 2 implementation
    */
   shouldAutoMerge(similarity: number): boolean {
     const threshold = this.config.get('autoMergeThreshold');
     return similarity >= threshold;
   }
+
+  /**
+   * Proposals that pass the auto-merge threshold
+   */
+  filterAutoMergeable(proposals: MergeProposal[]): MergeProposal[] {
+    return proposals.filter((proposal) => this.shouldAutoMerge(proposal.similarity));
+  }
+
+  /**
+   * Content of the target note after merging the voice note into it
+   */
+  buildMergedContent(existing: string, note: RefinedNote): string {
+    // Mirrors VaultOps.append so the diff preview matches what gets written
+    return `${existing}\n\n${this.formatSection(note)}`;
+  }
+
+  /**
+   * Merge note into proposal target (snapshotted by VaultOps, so it can be reverted)
+   */
+  async merge(proposal: MergeProposal, note: RefinedNote): Promise<void> {
+    await this.vaultOps.append(proposal.target, this.formatSection(note));
+    eventBus.emit('merged', { target: proposal.target, similarity: proposal.similarity });
+  }
+
+  /**
+   * Heading + body block appended to the target note
+   */
+  private formatSection(note: RefinedNote): string {
+    const date = new Date(note.timestamp ?? Date.now()).toLocaleDateString();
+    const heading = note.title ? `## ${note.title} (${date})` : `## Voice note (${date})`;
+    return `${heading}\n\n${note.body.trim()}`;
+  }
 }
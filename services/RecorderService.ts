@@ -3,13 +3,20 @@
 // Change Date: 2029-01-01 → Apache 2.0 License
 
 /**
- * RecorderService: Audio recording with RMS-based silence detection
- * Architecture: Manages MediaRecorder, AudioContext analysis, and auto-pause on silence
+ * RecorderService: Audio recording with voice activity detection
+ * Architecture: Manages MediaRecorder, AudioContext analysis, and VAD-driven segmentation
+ *
+ * Live segments: a second MediaRecorder on the same stream is restarted at
+ * pauses in speech, so every `recording-segment` blob is a standalone file
+ * that can be transcribed while the full recording continues. Segments the
+ * VAD never heard speech in are reported as `recording-segment-dropped`
+ * instead, since quiet speech below the VAD level may still be in them.
  */
 
 import { eventBus } from '../utils/EventBus';
 import { AudioChunk, RecordingState } from '../utils/Types';
 import { RecordingTelemetry, TelemetrySnapshot } from './RecordingTelemetry';
+import { VoiceActivityDetector, VadDecision } from './VoiceActivityDetector';
 import { Config } from '../utils/Config';
 
 export class RecorderService {
@@ -19,11 +26,19 @@ export class RecorderService {
   private microphone: MediaStreamAudioSourceNode | null = null;
   private chunks: Blob[] = [];
   private state: RecordingState;
-  private silenceTimer: number | null = null;
   private animationFrameId: number | null = null;
   private config: Config;
   private stream: MediaStream | null = null;
   private telemetry = new RecordingTelemetry();
+  private segmentRecorder: MediaRecorder | null = null;
+  private segmentParts: Blob[] = [];
+  private segmentFlush: Promise<void> = Promise.resolve();
+  private segmentIndex = 0;
+  private segmentStartMs = 0; // Recording duration when the current segment began
+  private segmentHasSpeech = false;
+  private inLongSilence = false;
+  private vad: VoiceActivityDetector | null = null;
+  private readonly segmentPauseMs = 600; // Silence long enough to cut a segment
 
   constructor(config: Config) {
     this.config = config;
@@ -89,7 +104,8 @@ export class RecorderService {
       };
 
       this.mediaRecorder.onstop = () => {
-        this.handleRecordingStop();
+        // Emit the last live segment before the full recording
+        this.segmentFlush.then(() => this.handleRecordingStop());
       };
 
       this.mediaRecorder.start(800); // Frequent chunks for streaming
@@ -99,6 +115,13 @@ export class RecorderService {
       this.state.duration = 0;
       this.telemetry.start();
 
+      this.segmentIndex = 0;
+      this.inLongSilence = false;
+      this.segmentFlush = Promise.resolve();
+      if (this.config.get('liveTranscription')) {
+        this.startSegmentRecorder();
+      }
+
       eventBus.emit('recording-started', { state: this.state });
 
       // Start RMS monitoring
@@ -120,10 +143,13 @@ export class RecorderService {
     this.state.isRecording = false;
     this.state.isPaused = false;
 
+    this.cutSegment(false);
+
     if (this.mediaRecorder.state !== 'inactive') {
       this.mediaRecorder.stop();
     }
 
+    this.vad?.flush();
     this.telemetry.stop();
     this.stopMonitoring();
     // Note: cleanup() is called in handleRecordingStop() after blob is created
@@ -139,6 +165,9 @@ export class RecorderService {
 
     if (this.mediaRecorder.state === 'recording') {
       this.mediaRecorder.pause();
+      if (this.segmentRecorder?.state === 'recording') {
+        this.segmentRecorder.pause();
+      }
       this.state.isPaused = true;
       eventBus.emit('recording-paused', { state: this.state });
       this.telemetry.pause();
@@ -155,15 +184,12 @@ export class RecorderService {
 
     if (this.mediaRecorder.state === 'paused') {
       this.mediaRecorder.resume();
+      if (this.segmentRecorder?.state === 'paused') {
+        this.segmentRecorder.resume();
+      }
       this.state.isPaused = false;
       eventBus.emit('recording-resumed', { state: this.state });
 
-      // Clear silence timer on manual resume
-      if (this.silenceTimer) {
-        clearTimeout(this.silenceTimer);
-        this.silenceTimer = null;
-      }
-
       this.telemetry.resume();
     }
   }
@@ -185,58 +211,32 @@ export class RecorderService {
   private monitorRMS(): void {
     if (!this.analyser) return;
 
-    const bufferLength = this.analyser.fftSize;
-    const dataArray = new Float32Array(bufferLength);
-    const silenceThreshold = this.config.get('silenceThreshold');
-    const silenceDuration = this.config.get('silenceDuration');
-
+    const dataArray = new Float32Array(this.analyser.fftSize);
     const frameDurationMs = 50;
+    this.vad = new VoiceActivityDetector(
+      {
+        threshold: this.config.get('silenceThreshold'),
+        silenceDurationMs: this.config.get('silenceDuration'),
+      },
+      (segment) => this.telemetry.ingestSegment(segment)
+    );
+
     const checkRMS = () => {
-      if (!this.analyser || !this.state.isRecording) return;
+      if (!this.analyser || !this.vad || !this.state.isRecording) return;
 
       this.analyser.getFloatTimeDomainData(dataArray);
 
-      // Calculate RMS (Root Mean Square)
-      let sum = 0;
-      for (let i = 0; i < bufferLength; i++) {
-        sum += dataArray[i] * dataArray[i];
-      }
-      const rms = Math.sqrt(sum / bufferLength);
-
-      // Debug logging disabled to prevent console spam
-      // Uncomment for debugging audio quality issues:
-      // if (Date.now() % 1000 < 50) {
-      //   console.log('RMS level:', rms.toFixed(4), 'Confidence:', (rms * 10).toFixed(2));
-      // }
-
-      // Update confidence based on RMS (normalize to 0-1 range)
-      this.state.confidence = Math.min(1.0, rms * 10);
-
-      const vadThreshold = this.config.get('silenceThreshold');
-      const isSpeech = rms >= vadThreshold;
-      this.telemetry.ingestFrame({ isSpeech, durationMs: frameDurationMs });
-
-      // Silence detection - DISABLED FOR NOW (causes recording issues)
-      // TODO: Phase 2 - Fix pause/resume to not break MediaRecorder
-      /*
-      if (rms < silenceThreshold && !this.state.isPaused) {
-        if (!this.silenceTimer) {
-          this.silenceTimer = window.setTimeout(() => {
-            if (this.state.isRecording && !this.state.isPaused) {
-              console.log('Auto-pausing due to silence');
-              this.pause();
-            }
-          }, silenceDuration);
-        }
-      } else if (this.silenceTimer) {
-        clearTimeout(this.silenceTimer);
-        this.silenceTimer = null;
-      }
-      */
-
-      // Update duration
       if (!this.state.isPaused) {
-        this.state.duration += 50; // Update every 50ms
+        const decision = this.vad.process(dataArray, frameDurationMs);
+
+        // Update confidence based on RMS (normalize to 0-1 range)
+        this.state.confidence = Math.min(1.0, decision.rms * 10);
+
+        this.telemetry.ingestFrame({ isSpeech: decision.isSpeech, durationMs: frameDurationMs });
+        this.trackSegment(decision);
+
+        // Update duration
+        this.state.duration += frameDurationMs;
       }
 
       this.animationFrameId = requestAnimationFrame(checkRMS);
@@ -253,10 +253,111 @@ export class RecorderService {
       cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
+  }
+
+  /**
+   * Start a fresh segment recorder so the next segment has its own container header
+   */
+  private startSegmentRecorder(): void {
+    if (!this.stream) return;
+
+    const parts: Blob[] = [];
+    const recorder = new MediaRecorder(this.stream, {
+      mimeType: this.getSupportedMimeType(),
+    });
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        parts.push(event.data);
+      }
+    };
+    recorder.start(800);
+
+    this.segmentRecorder = recorder;
+    this.segmentParts = parts;
+    this.segmentStartMs = this.state.duration;
+    this.segmentHasSpeech = false;
+  }
+
+  /**
+   * Cut a segment at the first pause once it is long enough
+   * Continuous speech is force-cut at three times the target length. Long
+   * silences are cut out on both sides, so the silent segment is dropped
+   * instead of being sent for transcription.
+   */
+  private trackSegment(decision: VadDecision): void {
+    if (!this.segmentRecorder) return;
+
+    if (decision.isSpeech) {
+      if (this.inLongSilence) {
+        this.inLongSilence = false;
+        this.cutSegment(true);
+      }
+      this.segmentHasSpeech = true;
+      return;
+    }
+
+    if (decision.longSilence && !this.inLongSilence) {
+      this.inLongSilence = true;
+      if (this.segmentHasSpeech) {
+        this.cutSegment(true);
+      }
+      return;
+    }
+
+    const targetMs = this.config.get('liveSegmentSeconds') * 1000;
+    const lengthMs = this.state.duration - this.segmentStartMs;
+    const atPause = decision.silenceMs >= this.segmentPauseMs;
+
+    if ((lengthMs >= targetMs && atPause) || lengthMs >= targetMs * 3) {
+      this.cutSegment(true);
+    }
+  }
+
+  /**
+   * Stop the current segment recorder and emit its blob as `recording-segment`
+   * Segments are emitted strictly in order; silent segments are dropped and
+   * only reported.
+   */
+  private cutSegment(restart: boolean): void {
+    const recorder = this.segmentRecorder;
+    if (!recorder || recorder.state === 'inactive') {
+      this.segmentRecorder = null;
+      return;
+    }
+
+    const parts = this.segmentParts;
+    const hasSpeech = this.segmentHasSpeech;
+    const durationMs = this.state.duration - this.segmentStartMs;
+    const offsetMs = this.segmentStartMs;
+    const mimeType = this.getSupportedMimeType();
+    const previous = this.segmentFlush;
+
+    this.segmentFlush = new Promise<void>((resolve) => {
+      const finish = () => {
+        previous.then(() => {
+          if (hasSpeech && parts.length > 0) {
+            const audioChunk: AudioChunk = {
+              blob: new Blob(parts, { type: mimeType }),
+              timestamp: Date.now(),
+              duration: durationMs,
+              offsetMs,
+            };
+            eventBus.emit('recording-segment', { audioChunk, index: this.segmentIndex++ });
+          } else if (parts.length > 0) {
+            eventBus.emit('recording-segment-dropped', { offsetMs, durationMs });
+          }
+          resolve();
+        });
+      };
+      recorder.onstop = finish;
+      recorder.onerror = finish;
+    });
+
+    recorder.stop();
+    this.segmentRecorder = null;
 
-    if (this.silenceTimer) {
-      clearTimeout(this.silenceTimer);
-      this.silenceTimer = null;
+    if (restart) {
+      this.startSegmentRecorder();
     }
   }
 
@@ -306,7 +407,10 @@ export class RecorderService {
     }
 
     this.analyser = null;
+    this.vad = null;
     this.mediaRecorder = null;
+    this.segmentRecorder = null;
+    this.segmentParts = [];
     this.chunks = [];
   }
 
@@ -2,6 +2,8 @@
 // Licensed under the Business Source License 1.1 (see LICENSE for details)
 // Change Date: 2029-01-01 → Apache 2.0 License
 
+import type { VadSegment } from './VoiceActivityDetector';
+
 export interface VadFrame {
   isSpeech: boolean;
   durationMs: number;
@@ -10,6 +12,8 @@ export interface VadFrame {
 export interface TelemetrySnapshot {
   speakingTimeMs: number;
   totalRecordingTimeMs: number;
+  speechSegments?: number;
+  skippedSilenceMs?: number;
 }
 
 const defaultNow = typeof performance !== 'undefined' && performance.now
@@ -21,6 +25,8 @@ export class RecordingTelemetry {
   private totalRecordingTimeMs = 0;
   private startTimestamp = 0;
   private pausedAt: number | null = null;
+  private speechSegments = 0;
+  private skippedSilenceMs = 0;
 
   constructor(private now: () => number = defaultNow) {}
 
@@ -29,6 +35,8 @@ export class RecordingTelemetry {
     this.totalRecordingTimeMs = 0;
     this.startTimestamp = this.now();
     this.pausedAt = null;
+    this.speechSegments = 0;
+    this.skippedSilenceMs = 0;
   }
 
   pause(): void {
@@ -55,11 +63,21 @@ export class RecordingTelemetry {
     this.flushTotals();
   }
 
+  ingestSegment(segment: VadSegment): void {
+    if (segment.type === 'speech') {
+      this.speechSegments++;
+    } else if (segment.skippable) {
+      this.skippedSilenceMs += segment.endMs - segment.startMs;
+    }
+  }
+
   snapshot(): TelemetrySnapshot {
     this.flushTotals();
     return {
       speakingTimeMs: this.speakingTimeMs,
       totalRecordingTimeMs: this.totalRecordingTimeMs,
+      speechSegments: this.speechSegments,
+      skippedSilenceMs: this.skippedSilenceMs,
     };
   }
 
@@ -11,12 +11,26 @@
  * - Better context awareness (sees all corrections at once)
  * - Learns from user patterns
  * - Faster processing (parallel instead of sequential)
+ *
+ * When MCP tools are offered, the model may call them through function
+ * calling before answering; the loop ends after a fixed number of calls.
  */
 
 import { Config } from '../utils/Config';
 import { CorrectionDatabase } from './CorrectionDatabase';
 import { DiffGenerator } from '../utils/DiffGenerator';
 import { TechnicalDomain } from '../utils/Types';
+import { MCPCallableTool, MCPToolCalling, OpenAIFunctionTool } from '../utils/MCPToolCalling';
+
+/**
+ * MCP tools the model may call while refining; run() gets the user's
+ * approval, makes the call and returns the text the model sees
+ */
+export interface RefinementTools {
+  available: MCPCallableTool[];
+  maxCalls: number;
+  run: (tool: MCPCallableTool, args: Record<string, unknown>) => Promise<string>;
+}
 
 export interface UnifiedRefinementInput {
   rawTranscript: string;
@@ -26,6 +40,7 @@ export interface UnifiedRefinementInput {
   technicalDomain?: TechnicalDomain;
   includeAudioLink?: boolean;
   audioFilePath?: string;
+  tools?: RefinementTools; // MCP tools offered through function calling
 }
 
 export interface UnifiedRefinementOutput {
@@ -37,6 +52,19 @@ export interface UnifiedRefinementOutput {
   learnedPatterns?: string[];
 }
 
+interface ChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string | null;
+  tool_calls?: Array<{ id: string; type: 'function'; function: { name: string; arguments: string } }>;
+  tool_call_id?: string;
+}
+
+const SYSTEM_PROMPT =
+  'You are an expert at refining voice transcripts with technical formatting, learning from user corrections, and generating structured output. ' +
+  'You understand LaTeX, Markdown, programming languages (bash, python, javascript, go, etc.), and academic writing. ' +
+  'You learn from user preferences and apply patterns consistently. ' +
+  'You ALWAYS return valid JSON in the specified format.';
+
 export class UnifiedRefinementService {
   private config: Config;
   private correctionDb: CorrectionDatabase;
@@ -57,7 +85,7 @@ export class UnifiedRefinementService {
     const prompt = this.buildUnifiedPrompt(input);
 
     try {
-      const response = await this.callGPT4(prompt);
+      const response = await this.complete(prompt, input.tools);
 
       // Parse JSON response
       const output: UnifiedRefinementOutput = JSON.parse(response);
@@ -153,6 +181,15 @@ export class UnifiedRefinementService {
       parts.push('');
     }
 
+    // Tools
+    if (input.tools && input.tools.available.length > 0) {
+      parts.push('**Tools:**');
+      parts.push('You can call the provided tools to look up things the speaker refers to, such as a ticket ID or a calendar entry.');
+      parts.push(`Only call a tool when the transcript clearly references something it can resolve; at most ${input.tools.maxCalls} calls.`);
+      parts.push('The user approves each call and may deny it; refine without that information if so.');
+      parts.push('');
+    }
+
     // Technical domain hint
     if (input.technicalDomain && input.technicalDomain !== 'auto') {
       parts.push(`**Domain Hint:** ${input.technicalDomain}`);
@@ -187,6 +224,7 @@ export class UnifiedRefinementService {
     parts.push('4. **Add context links**:');
     parts.push('   - Create wikilinks [[like this]] for concepts mentioned in vault context');
     parts.push('   - Only link to notes that actually exist (from RAG context above)');
+    parts.push('   - Prefer the [[Note#Heading]] citation given with each related note');
     parts.push('');
 
     parts.push('5. **Detect correction patterns**:');
@@ -222,9 +260,49 @@ export class UnifiedRefinementService {
   }
 
   /**
-   * Call GPT-4 with unified prompt
+   * Run the prompt, letting the model call tools until it answers or the
+   * call budget is spent; every tool call gets a reply, even when refused
+   */
+  private async complete(prompt: string, tools?: RefinementTools): Promise<string> {
+    const messages: ChatMessage[] = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt },
+    ];
+    const { functions, byName } = MCPToolCalling.toFunctions(tools?.available ?? []);
+    let callsLeft = tools?.maxCalls ?? 0;
+
+    while (true) {
+      const offerTools = tools && functions.length > 0 && callsLeft > 0;
+      const message = await this.callGPT4(messages, offerTools ? functions : undefined);
+      if (!offerTools || !message.tool_calls || message.tool_calls.length === 0) {
+        return message.content ?? '';
+      }
+
+      messages.push(message);
+      for (const call of message.tool_calls) {
+        let reply: string;
+        const tool = byName.get(call.function.name);
+        if (!tool) {
+          reply = `Unknown tool: ${call.function.name}`;
+        } else if (callsLeft <= 0) {
+          reply = 'Tool call limit reached; finish the refinement with what you have.';
+        } else {
+          callsLeft--;
+          try {
+            reply = await tools!.run(tool, MCPToolCalling.parseArguments(call.function.arguments));
+          } catch (error) {
+            reply = `Tool call failed: ${error?.message || error}`;
+          }
+        }
+        messages.push({ role: 'tool', tool_call_id: call.id, content: reply });
+      }
+    }
+  }
+
+  /**
+   * Call GPT-4 with the conversation so far, optionally offering tools
    */
-  private async callGPT4(prompt: string): Promise<string> {
+  private async callGPT4(messages: ChatMessage[], tools?: OpenAIFunctionTool[]): Promise<ChatMessage> {
     const response = await fetch('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
       headers: {
@@ -233,20 +311,8 @@ export class UnifiedRefinementService {
       },
       body: JSON.stringify({
         model: this.gptModel,
-        messages: [
-          {
-            role: 'system',
-            content:
-              'You are an expert at refining voice transcripts with technical formatting, learning from user corrections, and generating structured output. ' +
-              'You understand LaTeX, Markdown, programming languages (bash, python, javascript, go, etc.), and academic writing. ' +
-              'You learn from user preferences and apply patterns consistently. ' +
-              'You ALWAYS return valid JSON in the specified format.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        messages,
+        ...(tools ? { tools } : {}),
         response_format: { type: 'json_object' },
         temperature: 0.3,
         max_tokens: 3000,
@@ -258,7 +324,7 @@ export class UnifiedRefinementService {
     }
 
     const data = await response.json();
-    return data.choices[0].message.content;
+    return data.choices[0].message;
   }
 
   /**
@@ -10,12 +10,22 @@
 
 import { App, TFile, TFolder, normalizePath } from 'obsidian';
 import { eventBus } from '../utils/EventBus';
+import { HistoryService } from './HistoryService';
 
 export class VaultOps {
   private app: App;
+  private history: HistoryService;
 
-  constructor(app: App) {
+  constructor(app: App, history?: HistoryService) {
     this.app = app;
+    this.history = history ?? new HistoryService(app);
+  }
+
+  /**
+   * Snapshot store used for rollback of Zeddal writes
+   */
+  getHistory(): HistoryService {
+    return this.history;
   }
 
   /**
@@ -120,6 +130,12 @@ export class VaultOps {
       throw new Error('No editor found in active markdown view');
     }
 
+    // Snapshot the editor buffer (may contain unsaved edits) before inserting
+    const activeFile: TFile | null = (view as any).file ?? this.app.workspace.getActiveFile();
+    if (activeFile) {
+      await this.createBackup(activeFile.path, editor.getValue());
+    }
+
     const cursor = editor.getCursor();
     editor.replaceRange(content, cursor);
     eventBus.emit('content-inserted', { content, position: cursor });
@@ -196,15 +212,12 @@ export class VaultOps {
   }
 
   /**
-   * Create backup with timestamp
+   * Snapshot current content into the history folder
+   * (HistoryService emits 'backup-created')
    */
   private async createBackup(filePath: string, content: string): Promise<void> {
-    const timestamp = Date.now();
-    const backupPath = `${filePath}.${timestamp}.bak`;
-
     try {
-      await this.app.vault.adapter.write(backupPath, content);
-      eventBus.emit('backup-created', { original: filePath, backup: backupPath });
+      await this.history.snapshot(filePath, content);
     } catch (error) {
       console.error('Failed to create backup:', error);
       // Don't throw - backup failure shouldn't block the operation
@@ -8,13 +8,26 @@
  *
  * Features:
  * - OpenAI or custom/local embedding providers
- * - In-memory vector index with disk persistence
- * - Incremental updates on file changes
- * - Cosine similarity search
+ * - In-memory vector index persisted as sharded binary files (EmbeddingCache)
+ * - Incremental updates on file changes, and a startup reconcile that
+ *   re-embeds only notes added or edited while Obsidian was closed
+ * - Cosine similarity search: exact scan for small vaults, HNSW graph
+ *   (approximate, persisted next to the cache) once the index is large
+ * - Hybrid retrieval: BM25 keyword hits fused with vector hits (reciprocal
+ *   rank fusion), then re-ranked so exact names and part numbers surface
+ * - Scope: folder/tag rules from settings limit what is indexed (excluded
+ *   notes are never embedded); date windows and per-recording filters narrow
+ *   retrieval further
+ * - Model migration: each index is tagged with its provider, model and
+ *   dimensions; when the embedding settings change, a new index is built
+ *   beside the old one, which keeps serving queries until the swap
+ * - Indexing jobs: builds checkpoint to disk and resume after a restart,
+ *   can be paused or cancelled, isolate notes that fail to embed, and keep
+ *   to the configured embedding API rate limits
  * - Writing style analysis
  */
 
-import { App, TFile } from 'obsidian';
+import { App, TFile, normalizePath } from 'obsidian';
 import { Config } from '../utils/Config';
 import {
   VaultChunk,
@@ -22,21 +35,88 @@ import {
   SimilarityResult,
   IEmbeddingProvider,
   EmbeddingVector,
+  EmbeddingSpec,
 } from '../utils/Types';
+import { MarkdownChunker } from '../utils/MarkdownChunker';
 import { TextChunker } from '../utils/TextChunker';
+import { RateLimiter } from '../utils/RateLimiter';
 import { VectorMath } from '../utils/VectorMath';
+import { HnswIndex } from '../utils/HnswIndex';
+import { BM25Index } from '../utils/BM25Index';
+import { RankFusion, RankedCandidate, RerankCandidate } from '../utils/RankFusion';
+import { RetrievalFilter, RetrievalFilters } from '../utils/RetrievalFilter';
 import { EmbeddingProviderFactory } from './embeddings/EmbeddingProviderFactory';
 import { OfflineError } from '../utils/Errors';
+import { EmbeddingCache, CacheManifest, CacheSettings } from './EmbeddingCache';
 
-interface VaultIndexCache {
-  version: number;
-  chunks: VaultChunk[];
-  lastBuilt: number;
+// Bump when chunk boundaries or metadata change so caches are rebuilt
+const CHUNKER_VERSION = 'markdown-1';
+
+// Below this many chunks an exact scan is fast enough and avoids graph upkeep
+const ANN_MIN_CHUNKS = 5000;
+
+// Tombstoned share of the ANN graph past which it is compacted (heavily
+// tombstoned graphs search poorly)
+const ANN_MAX_DELETED_RATIO = 0.3;
+
+// Wait before retrying a background rebuild that failed (offline, bad endpoint)
+const MIGRATION_RETRY_MS = 5 * 60 * 1000;
+
+// How often a build in progress is written to disk
+const CHECKPOINT_INTERVAL_MS = 60 * 1000;
+
+// Retries when the embedding API reports a rate limit despite our own throttling
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BACKOFF_MS = 10 * 1000; // Doubles on every retry
+
+interface ActiveIndex {
+  dir: string; // Folder name under embeddings/
+  settings: CacheSettings;
+}
+
+interface StoredIndex {
+  dir: string;
+  cache: EmbeddingCache;
+  manifest: CacheManifest;
+}
+
+interface MigrationJob {
+  signature: string;
+  embedding: EmbeddingSpec;
+  dir?: string; // Index folder being written, once chosen
+  done: number; // Notes processed so far
+  total: number;
+  failed: string[]; // Notes that could not be embedded
+  paused: boolean;
+  cancelled: boolean;
+  wake?: () => void; // Resumes a paused job
+  promise: Promise<boolean>; // Resolves false when superseded or cancelled
+}
+
+export interface IndexingProgress {
+  model: string;
+  done: number;
+  total: number;
+  failed: number;
+  paused: boolean;
+}
+
+export interface EmbeddingIndexInfo {
+  dir: string;
+  provider: EmbeddingSpec['provider'];
+  model: string;
+  dimensions: number;
+  chunks: number;
+  bytes: number;
+  updatedAt: number;
+  status: 'active' | 'building' | 'incomplete' | 'inactive'; // Incomplete: interrupted build, resumed on demand
+  progress?: { done: number; total: number }; // Notes embedded, while building
 }
 
 export interface SemanticNoteMatch {
   notePath: string;
   noteTitle: string;
+  heading?: string; // Innermost heading of the matched chunk, for Note#Heading links
   similarity: number;
   chunkText: string;
 }
@@ -46,19 +126,90 @@ export class VaultRAGService {
   private config: Config;
   private embeddingProvider: IEmbeddingProvider;
   private index: VaultChunk[] = [];
+  private chunkByKey = new Map<string, VaultChunk>();
+  private ann: HnswIndex | null = null;
+  private annChanges = 0; // Graph edits since ann.bin was last written
+  private isBuildingAnn = false;
+  private lexical: BM25Index | null = null; // Built in the background after load
+  private isBuildingLexical = false;
   private isIndexBuilt = false;
-  private cacheFilePath: string;
+  private cache: EmbeddingCache | null = null; // Folder of the active index
+  private active: ActiveIndex | null = null;
+  private migration: MigrationJob | null = null; // Index being built for new settings
+  private migrationRetryAt = 0;
+  private cancelledSignature: string | null = null; // Not rebuilt automatically after Cancel
+  private rateLimiter: RateLimiter;
+  private onProgress?: (progress: IndexingProgress | null) => void;
+  private generation = 0; // Bumped on every index swap so stale background work is dropped
+  private cacheRoot: string;
+  private activePointerPath: string;
+  private legacyCacheFilePath: string;
+  private dirtyShards = new Set<string>();
   private pendingCacheSave: number | null = null;
   private isInitializing = false;
 
-  constructor(app: App, config: Config) {
+  constructor(app: App, config: Config, onProgress?: (progress: IndexingProgress | null) => void) {
     this.app = app;
     this.config = config;
+    this.onProgress = onProgress;
     this.embeddingProvider = EmbeddingProviderFactory.create(config);
+    this.rateLimiter = new RateLimiter(() => ({
+      requestsPerMinute: this.config.get('ragRequestsPerMinute'),
+      tokensPerMinute: this.config.get('ragTokensPerMinute'),
+    }));
 
-    // Cache file stored in plugin data directory
+    // Indexes stored in plugin data directory, one folder each
     const pluginDir = (this.app.vault as any).configDir + '/plugins/zeddal';
-    this.cacheFilePath = `${pluginDir}/embeddings-cache.json`;
+    this.cacheRoot = `${pluginDir}/embeddings`;
+    this.activePointerPath = `${this.cacheRoot}/active.json`;
+    this.legacyCacheFilePath = `${pluginDir}/embeddings-cache.json`;
+  }
+
+  /**
+   * Call after embedding settings change: a different model or endpoint is
+   * indexed in the background while the current index keeps serving queries
+   */
+  applyEmbeddingSettings(): void {
+    if (!this.config.get('enableRAG') || !this.isIndexBuilt) {
+      return;
+    }
+
+    this.migrationRetryAt = 0; // The setting that made the last attempt fail may be fixed now
+    this.checkEmbeddingSettings();
+  }
+
+  /**
+   * Start (or cancel) a background rebuild when the active index no longer
+   * matches the embedding and chunk settings
+   */
+  private checkEmbeddingSettings(): void {
+    if (!this.active) {
+      return;
+    }
+
+    const target = this.getTargetSettings();
+    if (target.signature === this.active.settings.signature) {
+      // Switched back before the rebuild for other settings finished
+      if (this.migration && this.migration.signature !== target.signature) {
+        console.log(`Cancelled RAG rebuild for ${this.migration.embedding.model}`);
+        this.migration = null;
+      }
+      return;
+    }
+
+    if (
+      this.migration?.signature === target.signature ||
+      target.signature === this.cancelledSignature ||
+      Date.now() < this.migrationRetryAt
+    ) {
+      return;
+    }
+
+    console.log(
+      `Embedding settings changed (${this.active.settings.embedding.model} → ${target.embedding.model}), ` +
+        'rebuilding RAG index in the background'
+    );
+    this.rebuildInBackground(target);
   }
 
   private async ensureIndexReady(): Promise<boolean> {
@@ -69,13 +220,15 @@ export class VaultRAGService {
     if (!this.isIndexBuilt) {
       await this.buildIndex();
     }
+    this.checkEmbeddingSettings();
 
     return this.index.length > 0;
   }
 
   /**
    * Build vector index from vault files
-   * Loads from cache if available, otherwise indexes from scratch
+   * Loads from cache if available, otherwise indexes from scratch. A forced
+   * rebuild runs beside the current index, which serves queries until the swap.
    */
   async buildIndex(forceRebuild: boolean = false): Promise<void> {
     if (!this.config.get('enableRAG')) {
@@ -83,55 +236,391 @@ export class VaultRAGService {
       return;
     }
 
+    const target = this.getTargetSettings();
+    if (forceRebuild) {
+      this.cancelledSignature = null;
+    }
+
+    if (forceRebuild && this.active) {
+      await this.migrate(target, true);
+      return;
+    }
+
     this.isInitializing = true;
+    try {
+      // Try to load from cache first
+      if (!forceRebuild) {
+        const loaded = await this.loadIndexFromCache();
+        if (loaded) {
+          console.log(`Loaded ${this.index.length} chunks from cache`);
+          this.prepareAnn(true);
+          this.prepareLexical();
+          this.checkEmbeddingSettings();
+          return;
+        }
 
-    // Try to load from cache first
-    if (!forceRebuild) {
-      const loaded = await this.loadIndexFromCache();
-      if (loaded) {
-        console.log(`Loaded ${this.index.length} chunks from cache`);
-        this.isIndexBuilt = true;
-        this.isInitializing = false;
-        return;
+        if (target.signature === this.cancelledSignature) {
+          console.log('RAG indexing was cancelled; use Rebuild Index to start it again');
+          return;
+        }
       }
+
+      console.log('Building RAG index from scratch...');
+      await this.migrate(target, forceRebuild);
+    } finally {
+      this.isInitializing = false;
     }
+  }
 
-    console.log('Building RAG index from scratch...');
+  /**
+   * Build an index for `target` in a folder of its own, then swap it in.
+   * Joins a build for the same target already under way and supersedes one
+   * for any other target. Unless `fresh`, an index built earlier for the
+   * same settings is reused and only brought up to date, and an interrupted
+   * build resumes from its checkpoint.
+   */
+  private migrate(target: CacheSettings, fresh: boolean = false): Promise<boolean> {
+    if (this.migration?.signature === target.signature) {
+      return this.migration.promise;
+    }
 
+    const job: MigrationJob = {
+      signature: target.signature,
+      embedding: target.embedding,
+      done: 0,
+      total: 0,
+      failed: [],
+      paused: false,
+      cancelled: false,
+      promise: Promise.resolve(false),
+    };
+    this.migration = job;
+    job.promise = this.runMigration(job, target, fresh);
+    return job.promise;
+  }
+
+  private async runMigration(job: MigrationJob, target: CacheSettings, fresh: boolean): Promise<boolean> {
     const startTime = Date.now();
-    const markdownFiles = this.app.vault.getMarkdownFiles();
+    const superseded = () => this.migration !== job;
+    this.reportProgress();
 
-    // Reset index
-    this.index = [];
+    try {
+      const provider = EmbeddingProviderFactory.create(this.config);
+      const existing = fresh ? undefined : await this.findIndex(target.signature);
 
-    // Process files in batches to avoid overwhelming the API
-    const batchSize = 10;
-    for (let i = 0; i < markdownFiles.length; i += batchSize) {
-      const batch = markdownFiles.slice(i, i + batchSize);
-      await this.indexFileBatch(batch);
+      if (existing) {
+        // Switching back to a model indexed before
+        const chunks = (await existing.cache.load(existing.manifest)).filter(
+          (chunk) => chunk.embedding.dimensions === existing.manifest.dimensions
+        );
+        if (superseded()) return false;
+        this.activate(existing.dir, existing.cache, VaultRAGService.settingsOf(existing.manifest), provider, chunks);
+        console.log(`Switched RAG index back to ${target.embedding.model}`);
+      } else {
+        // Only one build runs at a time; other interrupted builds are abandoned
+        const checkpoint = fresh ? undefined : await this.findCheckpoint(target.signature);
+        await this.removeCheckpoints(checkpoint?.dir);
+
+        const dir = checkpoint?.dir ?? VaultRAGService.indexDirName(target);
+        const cache = checkpoint?.cache ?? new EmbeddingCache(this.app, `${this.cacheRoot}/${dir}`);
+        job.dir = dir;
+
+        const files = this.getIndexableFiles();
+        const chunks: VaultChunk[] = [];
+        let pending = files;
+        if (checkpoint) {
+          // Notes in the checkpoint and unchanged since are not embedded again
+          const mtimes = new Map(files.map((file) => [file.path, file.stat.mtime] as [string, number]));
+          const saved = (await cache.load(checkpoint.manifest)).filter(
+            (chunk) =>
+              chunk.embedding.dimensions === checkpoint.manifest.dimensions &&
+              mtimes.get(chunk.path) === chunk.lastModified
+          );
+          const savedPaths = new Set(saved.map((chunk) => chunk.path));
+          chunks.push(...saved);
+          pending = files.filter((file) => !savedPaths.has(file.path));
+          console.log(
+            `Resuming RAG build for ${target.embedding.model}: ${files.length - pending.length}/${files.length} files done`
+          );
+        }
+
+        job.total = files.length;
+        job.done = files.length - pending.length;
+        this.reportProgress();
+
+        // With an old index still serving, an offline batch aborts the rebuild rather than leaving holes
+        const abortOnOffline = this.active !== null;
+        const dirtyShards = new Set<string>();
+        let lastCheckpoint = Date.now();
+
+        // Process files in batches to avoid overwhelming the API
+        const batchSize = 10;
+        for (let i = 0; i < pending.length; i += batchSize) {
+          if (job.paused) {
+            // Progress survives a restart while paused
+            await this.saveCheckpoint(cache, chunks, target, dirtyShards);
+            await this.waitWhilePaused(job);
+          }
+          if (superseded()) {
+            if (job.cancelled) {
+              await cache.clear();
+            }
+            console.log(`RAG build for ${target.embedding.model} ${job.cancelled ? 'cancelled' : 'superseded'}`);
+            return false;
+          }
+
+          const batch = pending.slice(i, i + batchSize);
+          const result = await this.embedFiles(batch, provider, abortOnOffline);
+          chunks.push(...result.chunks);
+          job.failed.push(...result.failed);
+          batch.forEach((file) => dirtyShards.add(EmbeddingCache.shardOf(file.path)));
+
+          // Progress logging
+          job.done += batch.length;
+          console.log(`Indexed ${job.done}/${files.length} files`);
+          this.reportProgress();
+
+          if (Date.now() - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+            await this.saveCheckpoint(cache, chunks, target, dirtyShards);
+            lastCheckpoint = Date.now();
+          }
+        }
+
+        const settings: CacheSettings = { ...target, dimensions: chunks[0]?.embedding.dimensions ?? 0 };
+        const consistent = chunks.filter((chunk) => chunk.embedding.dimensions === settings.dimensions);
+
+        // Fully written before it becomes active (immediate write for full rebuild)
+        await cache.save(consistent, settings);
+        if (superseded()) {
+          await cache.clear();
+          return false;
+        }
+
+        this.activate(dir, cache, settings, provider, consistent);
+        console.log(
+          `RAG index built with ${target.embedding.model}: ${consistent.length} chunks from ${files.length} files ` +
+            `in ${Date.now() - startTime}ms`
+        );
+        if (job.failed.length > 0) {
+          // Missing notes are retried by the next reconcile
+          console.warn(`${job.failed.length} notes could not be embedded:`, job.failed.slice(0, 20));
+        }
+      }
+
+      await this.writeActivePointer();
+      await this.removeSuperseded(target.signature);
+      this.prepareAnn(true);
+      this.prepareLexical();
+
+      // Notes edited during the rebuild went to the old index
+      await this.reconcileExclusive();
+      return true;
+    } finally {
+      if (this.migration === job) {
+        this.migration = null;
+      }
+      this.reportProgress();
+    }
+  }
 
-      // Progress logging
-      const progress = Math.min(i + batchSize, markdownFiles.length);
-      console.log(`Indexed ${progress}/${markdownFiles.length} files`);
+  /**
+   * Persist a build in progress (only shards touched since the last checkpoint)
+   */
+  private async saveCheckpoint(
+    cache: EmbeddingCache,
+    chunks: VaultChunk[],
+    target: CacheSettings,
+    dirtyShards: Set<string>
+  ): Promise<void> {
+    if (dirtyShards.size === 0) {
+      return;
     }
 
+    try {
+      const dimensions = chunks[0]?.embedding.dimensions ?? 0;
+      await cache.save(chunks, { ...target, dimensions, partial: true }, dirtyShards);
+      dirtyShards.clear();
+    } catch (error) {
+      console.warn('Failed to save RAG build checkpoint:', error);
+    }
+  }
+
+  private async waitWhilePaused(job: MigrationJob): Promise<void> {
+    while (job.paused && this.migration === job) {
+      await new Promise<void>((resolve) => (job.wake = resolve));
+    }
+  }
+
+  /**
+   * Pause the running indexing job after its current batch
+   */
+  pauseIndexing(): boolean {
+    const job = this.migration;
+    if (!job || job.paused) {
+      return false;
+    }
+
+    job.paused = true;
+    console.log(`RAG indexing paused at ${job.done}/${job.total} files`);
+    this.reportProgress();
+    return true;
+  }
+
+  resumeIndexing(): boolean {
+    const job = this.migration;
+    if (!job || !job.paused) {
+      return false;
+    }
+
+    job.paused = false;
+    job.wake?.();
+    console.log('RAG indexing resumed');
+    this.reportProgress();
+    return true;
+  }
+
+  /**
+   * Stop the running indexing job and discard its progress; the current
+   * index (if any) stays in use and the same settings aren't rebuilt
+   * automatically until Rebuild Index is clicked
+   */
+  cancelIndexing(): boolean {
+    const job = this.migration;
+    if (!job) {
+      return false;
+    }
+
+    job.cancelled = true;
+    this.cancelledSignature = job.signature;
+    this.migration = null;
+    job.wake?.();
+    this.reportProgress();
+    return true;
+  }
+
+  /**
+   * Stop background work on unload; a build in progress keeps its checkpoint
+   * and resumes on next start
+   */
+  destroy(): void {
+    const job = this.migration;
+    this.migration = null;
+    job?.wake?.();
+    this.flushCacheSave();
+  }
+
+  getIndexingProgress(): IndexingProgress | null {
+    const job = this.migration;
+    if (!job) {
+      return null;
+    }
+
+    return {
+      model: job.embedding.model,
+      done: job.done,
+      total: job.total,
+      failed: job.failed.length,
+      paused: job.paused,
+    };
+  }
+
+  private reportProgress(): void {
+    this.onProgress?.(this.getIndexingProgress());
+  }
+
+  private rebuildInBackground(target: CacheSettings): void {
+    this.migrate(target).catch((error) => {
+      this.migrationRetryAt = Date.now() + MIGRATION_RETRY_MS;
+      if (error instanceof OfflineError) {
+        console.warn('RAG rebuild paused while offline; still using the previous index');
+      } else {
+        console.error('RAG rebuild failed; still using the previous index:', error);
+      }
+    });
+  }
+
+  /**
+   * Make an index the one queries are served from. Synchronous, so no query
+   * ever sees vectors from two models.
+   */
+  private activate(
+    dir: string,
+    cache: EmbeddingCache,
+    settings: CacheSettings,
+    provider: IEmbeddingProvider,
+    chunks: VaultChunk[]
+  ): void {
+    // Pending edits belong to the outgoing index
+    this.flushCacheSave();
+
+    this.cache = cache;
+    this.active = { dir, settings: { ...settings } };
+    this.embeddingProvider = provider;
+    this.resetIndex(chunks);
     this.isIndexBuilt = true;
-    this.isInitializing = false;
+  }
 
-    const duration = Date.now() - startTime;
-    console.log(
-      `RAG index built: ${this.index.length} chunks from ${markdownFiles.length} files in ${duration}ms`
+  /**
+   * Embedding spec and chunk settings the current configuration asks for;
+   * dimensions are only known once something has been embedded
+   */
+  private getTargetSettings(): CacheSettings {
+    const embedding = EmbeddingProviderFactory.describe(this.config);
+    const chunkSize = this.config.get('ragChunkSize');
+    const chunkOverlap = this.config.get('ragChunkOverlap');
+    const signature = EmbeddingCache.hashContent(
+      JSON.stringify([embedding.provider, embedding.model, embedding.endpoint ?? '', CHUNKER_VERSION, chunkSize, chunkOverlap])
     );
 
-    // Persist to cache (immediate write for full rebuild)
-    await this.saveIndexToCache();
+    return { embedding, signature, dimensions: 0, chunker: CHUNKER_VERSION, chunkSize, chunkOverlap };
+  }
+
+  /**
+   * Vectors from another model can't be compared with the index. A mismatch
+   * means the model behind the endpoint changed, so the index is rebuilt.
+   */
+  private matchesIndexDimensions(vector: EmbeddingVector): boolean {
+    const expected = this.active?.settings.dimensions ?? 0;
+    if (expected === 0 || vector.dimensions === expected) {
+      return true;
+    }
+
+    if (!this.migration && Date.now() >= this.migrationRetryAt) {
+      console.warn(
+        `Embedding model returned ${vector.dimensions}-dimensional vectors but the index has ${expected}; ` +
+          'rebuilding RAG index in the background'
+      );
+      this.rebuildInBackground(this.getTargetSettings());
+    }
+    return false;
   }
 
   /**
-   * Index a batch of files
+   * Index a batch of files into the active index
    */
   private async indexFileBatch(files: TFile[]): Promise<void> {
+    const { chunks } = await this.embedFiles(files, this.embeddingProvider, false);
+
+    // An index created empty takes its dimensions from the first vectors
+    if (this.active && this.active.settings.dimensions === 0 && chunks.length > 0) {
+      this.active.settings.dimensions = chunks[0].embedding.dimensions;
+    }
+
+    this.addChunks(chunks.filter((chunk) => this.matchesIndexDimensions(chunk.embedding)));
+  }
+
+  /**
+   * Read, chunk and embed a batch of files. A note that fails is reported in
+   * `failed` without losing the rest of the batch. An offline batch is
+   * skipped, or rethrown when `abortOnOffline`.
+   */
+  private async embedFiles(
+    files: TFile[],
+    provider: IEmbeddingProvider,
+    abortOnOffline: boolean
+  ): Promise<{ chunks: VaultChunk[]; failed: string[] }> {
     const chunks: VaultChunk[] = [];
+    const failed: string[] = [];
 
     // Read all files and chunk them
     for (const file of files) {
@@ -141,60 +630,158 @@ export class VaultRAGService {
         chunks.push(...fileChunks);
       } catch (error) {
         console.error(`Failed to index file ${file.path}:`, error);
+        failed.push(file.path);
       }
     }
 
     if (chunks.length === 0) {
-      return;
+      return { chunks, failed };
     }
 
     // Generate embeddings in batch (more efficient)
     try {
-      const texts = chunks.map((c) => c.text);
-      const embeddings = await this.embeddingProvider.embedBatch(texts);
-
-      // Attach embeddings to chunks
-      for (let i = 0; i < chunks.length; i++) {
-        chunks[i].embedding = embeddings[i];
-      }
-
-      // Add to index
-      this.index.push(...chunks);
+      await this.embedChunks(chunks, provider);
+      return { chunks, failed };
     } catch (error) {
       if (error instanceof OfflineError) {
+        if (abortOnOffline) {
+          throw error;
+        }
         console.warn(
           'Vault RAG: offline detected while building embeddings. Skipping batch.'
         );
-        return;
+        return { chunks: [], failed };
       }
-      console.error('Failed to generate embeddings for batch:', error);
-      throw error;
+      if (files.length === 1) {
+        console.error(`Failed to embed ${files[0].path}:`, error);
+        return { chunks: [], failed: [...failed, files[0].path] };
+      }
+      console.warn('Embedding batch failed, retrying note by note:', error);
     }
+
+    // One bad note must not sink the rest of the batch
+    const embedded: VaultChunk[] = [];
+    for (const file of files) {
+      const fileChunks = chunks.filter((chunk) => chunk.path === file.path);
+      if (fileChunks.length === 0) continue;
+      try {
+        await this.embedChunks(fileChunks, provider);
+        embedded.push(...fileChunks);
+      } catch (error) {
+        if (error instanceof OfflineError && abortOnOffline) {
+          throw error;
+        }
+        console.error(`Failed to embed ${file.path}:`, error);
+        failed.push(file.path);
+      }
+    }
+    return { chunks: embedded, failed };
   }
 
   /**
-   * Chunk a single file into semantic segments
+   * Attach embeddings to chunks within the configured rate limits; requests
+   * the API still rejects as rate limited are retried with backoff
+   */
+  private async embedChunks(chunks: VaultChunk[], provider: IEmbeddingProvider): Promise<void> {
+    const items = chunks.map((chunk) => {
+      const text = this.embeddingText(chunk);
+      return { chunk, text, tokens: TextChunker.estimateTokens(text) };
+    });
+    const groups = RateLimiter.batchByTokens(items, (item) => item.tokens, this.config.get('ragTokensPerMinute'));
+
+    for (const group of groups) {
+      const tokens = group.reduce((sum, item) => sum + item.tokens, 0);
+      let embeddings: EmbeddingVector[] = [];
+
+      for (let attempt = 0; ; attempt++) {
+        await this.rateLimiter.acquire(tokens);
+        try {
+          embeddings = await provider.embedBatch(group.map((item) => item.text));
+          break;
+        } catch (error) {
+          if (attempt >= RATE_LIMIT_RETRIES || !VaultRAGService.isRateLimitError(error)) {
+            throw error;
+          }
+          const delay = RATE_LIMIT_BACKOFF_MS * Math.pow(2, attempt);
+          console.warn(`Embedding API rate limit reached, retrying in ${delay / 1000}s`);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+
+      group.forEach((item, i) => (item.chunk.embedding = embeddings[i]));
+    }
+  }
+
+  private static isRateLimitError(error: any): boolean {
+    return error?.status === 429 || /\b429\b|rate limit/i.test(String(error?.message ?? error));
+  }
+
+  /**
+   * Queries are never delayed, but they use up the same API budget
+   */
+  private countQueryTokens(texts: string[]): void {
+    this.rateLimiter.record(texts.reduce((sum, text) => sum + TextChunker.estimateTokens(text), 0));
+  }
+
+  /**
+   * Chunk a single file along its markdown structure
    */
   private async chunkFile(file: TFile, content: string): Promise<VaultChunk[]> {
     const chunkSize = this.config.get('ragChunkSize');
     const overlap = this.config.get('ragChunkOverlap');
 
-    const textChunks = TextChunker.chunk(content, { chunkSize, overlap });
+    const { frontmatter, chunks } = MarkdownChunker.chunk(content, { chunkSize, overlap });
+    if (!RetrievalFilters.matchesTags(frontmatter.tags, this.getIndexScope())) {
+      return [];
+    }
+    const contentHash = EmbeddingCache.hashContent(content);
 
-    return textChunks.map((chunk) => ({
+    return chunks.map((chunk) => ({
       path: file.path,
       chunkIndex: chunk.chunkIndex,
       text: chunk.text,
       embedding: { values: [], dimensions: 0 }, // Will be filled by batch embedding
       lastModified: file.stat.mtime,
       tokens: chunk.tokens,
+      contentHash,
+      headingPath: chunk.headingPath.length > 0 ? chunk.headingPath : undefined,
+      tags: frontmatter.tags.length > 0 ? frontmatter.tags : undefined,
+      aliases: frontmatter.aliases.length > 0 ? frontmatter.aliases : undefined,
     }));
   }
 
   /**
-   * Retrieve relevant context for a transcription
+   * Text sent to the embedding model: the note title and heading breadcrumb
+   * give short section chunks the context their body text lacks
+   */
+  private embeddingText(chunk: VaultChunk): string {
+    const breadcrumb = [this.extractTitle(chunk.path), ...(chunk.headingPath ?? [])].join(' › ');
+    return `${breadcrumb}\n\n${chunk.text}`;
+  }
+
+  /**
+   * Innermost heading as Obsidian accepts it in a link (no # | ^ : [ ])
+   */
+  private static linkHeading(chunk: VaultChunk): string | undefined {
+    const heading = chunk.headingPath?.[chunk.headingPath.length - 1];
+    const cleaned = heading?.replace(/[#|^:[\]]+/g, ' ').replace(/\s+/g, ' ').trim();
+    return cleaned || undefined;
+  }
+
+  /**
+   * How a chunk is cited in RAG context: [[Note#Heading]] or [[Note]]
    */
-  async retrieveContext(text: string): Promise<string[]> {
+  private citation(chunk: VaultChunk): string {
+    const heading = VaultRAGService.linkHeading(chunk);
+    const title = this.extractTitle(chunk.path);
+    return heading ? `[[${title}#${heading}]]` : `[[${title}]]`;
+  }
+
+  /**
+   * Retrieve relevant context for a transcription, optionally narrowed by a
+   * per-recording filter on top of the settings scope
+   */
+  async retrieveContext(text: string, filter?: RetrievalFilter | null): Promise<string[]> {
     if (!this.config.get('enableRAG')) {
       return [];
     }
@@ -203,6 +790,7 @@ export class VaultRAGService {
       console.warn('RAG index not built yet, building now...');
       await this.buildIndex();
     }
+    this.checkEmbeddingSettings();
 
     if (this.index.length === 0) {
       return [];
@@ -212,16 +800,12 @@ export class VaultRAGService {
 
     try {
       // Embed the query text
+      this.countQueryTokens([text]);
       const queryEmbedding = await this.embeddingProvider.embed(text);
 
-      // Find top-K similar chunks
+      // Find top-K chunks (vector + keyword, re-ranked)
       const topK = this.config.get('ragTopK');
-      const candidates = this.index.map((chunk) => ({
-        embedding: chunk.embedding,
-        metadata: chunk,
-      }));
-
-      const results = VectorMath.topKSimilar(queryEmbedding, candidates, topK);
+      const results = this.hybridSearch(text, queryEmbedding, topK, filter);
 
       // Extract unique files (avoid duplicates from same file)
       const seenPaths = new Set<string>();
@@ -231,7 +815,7 @@ export class VaultRAGService {
         const chunk: VaultChunk = result.metadata;
         if (!seenPaths.has(chunk.path)) {
           seenPaths.add(chunk.path);
-          contextChunks.push(`From "${chunk.path}":\n${chunk.text}`);
+          contextChunks.push(`From "${chunk.path}" ${this.citation(chunk)}:\n${chunk.text}`);
         }
       }
 
@@ -251,9 +835,12 @@ export class VaultRAGService {
     }
   }
 
+  /**
+   * Best-matching chunks for each text; `filter` narrows the settings scope
+   */
   async findSimilarNotesBatch(
     texts: string[],
-    options?: { topK?: number }
+    options?: { topK?: number; filter?: RetrievalFilter | null }
   ): Promise<SemanticNoteMatch[][]> {
     const defaults: SemanticNoteMatch[][] = texts.map(() => []);
 
@@ -267,13 +854,9 @@ export class VaultRAGService {
     }
 
     try {
+      this.countQueryTokens(sanitized);
       const embeddings = await this.embeddingProvider.embedBatch(sanitized);
       const topK = options?.topK ?? Math.min(5, this.index.length);
-      const candidates = this.index.map((chunk) => ({
-        embedding: chunk.embedding,
-        metadata: chunk,
-      }));
-
       const results: SemanticNoteMatch[][] = [];
 
       for (let i = 0; i < embeddings.length; i++) {
@@ -285,10 +868,11 @@ export class VaultRAGService {
           continue;
         }
 
-        const matches = VectorMath.topKSimilar(query, candidates, topK).map(
+        const matches = this.hybridSearch(sourceText, query, topK, options?.filter).map(
           (entry) => ({
             notePath: entry.metadata.path,
             noteTitle: this.extractTitle(entry.metadata.path),
+            heading: VaultRAGService.linkHeading(entry.metadata),
             similarity: entry.similarity,
             chunkText: entry.metadata.text,
           })
@@ -310,12 +894,46 @@ export class VaultRAGService {
 
   async findSimilarNotes(
     text: string,
-    options?: { topK?: number }
+    options?: { topK?: number; filter?: RetrievalFilter | null }
   ): Promise<SemanticNoteMatch[]> {
     const [result] = await this.findSimilarNotesBatch([text], options);
     return result ?? [];
   }
 
+  /**
+   * Embed arbitrary text with the active embedding provider
+   */
+  async embedText(text: string): Promise<EmbeddingVector> {
+    this.countQueryTokens([text]);
+    return await this.embeddingProvider.embed(text);
+  }
+
+  /**
+   * Whole-note vectors: centroid of each file's chunk embeddings
+   * Chunks without embeddings (e.g. skipped while offline) are ignored
+   */
+  async getNoteVectors(): Promise<Map<string, EmbeddingVector>> {
+    const noteVectors = new Map<string, EmbeddingVector>();
+    if (!(await this.ensureIndexReady())) {
+      return noteVectors;
+    }
+
+    const grouped = new Map<string, EmbeddingVector[]>();
+    for (const chunk of this.index) {
+      if (!chunk.embedding || chunk.embedding.dimensions === 0) continue;
+      const vectors = grouped.get(chunk.path) ?? [];
+      if (vectors.length > 0 && vectors[0].dimensions !== chunk.embedding.dimensions) continue;
+      vectors.push(chunk.embedding);
+      grouped.set(chunk.path, vectors);
+    }
+
+    for (const [path, vectors] of grouped.entries()) {
+      noteVectors.set(path, VectorMath.centroid(vectors));
+    }
+
+    return noteVectors;
+  }
+
   /**
    * Analyze user's writing style from vault
    * Returns a style description for GPT-4 system prompt
@@ -376,6 +994,12 @@ export class VaultRAGService {
       return;
     }
 
+    // Moved into an excluded folder (or never in scope)
+    if (!RetrievalFilters.matchesPath(file.path, this.getIndexScope())) {
+      await this.removeFile(file.path);
+      return;
+    }
+
     try {
       // Check if file has actually been modified since last index
       const existingChunks = this.index.filter((chunk) => chunk.path === file.path);
@@ -385,17 +1009,24 @@ export class VaultRAGService {
           // File hasn't changed since last index, skip
           return;
         }
+
+        // Touched but not edited (e.g. by sync): keep the embeddings
+        const content = await this.app.vault.read(file);
+        if (EmbeddingCache.hashContent(content) === existingChunks[0].contentHash) {
+          existingChunks.forEach((chunk) => (chunk.lastModified = file.stat.mtime));
+          this.scheduleCacheSave(file.path);
+          return;
+        }
       }
 
       // Remove old chunks for this file
-      this.index = this.index.filter((chunk) => chunk.path !== file.path);
+      this.removeChunks((chunk) => chunk.path === file.path);
 
       // Re-index the file
-      const content = await this.app.vault.read(file);
       await this.indexFileBatch([file]);
 
       // Schedule debounced cache save
-      this.scheduleCacheSave();
+      this.scheduleCacheSave(file.path);
 
       console.log(`Updated RAG index for ${file.path}`);
     } catch (error) {
@@ -411,43 +1042,55 @@ export class VaultRAGService {
       return;
     }
 
-    const beforeCount = this.index.length;
-    this.index = this.index.filter((chunk) => chunk.path !== path);
-    const afterCount = this.index.length;
+    const removed = this.removeChunks((chunk) => chunk.path === path);
 
-    if (beforeCount !== afterCount) {
-      this.scheduleCacheSave();
-      console.log(`Removed ${beforeCount - afterCount} chunks for ${path}`);
+    if (removed > 0) {
+      this.scheduleCacheSave(path);
+      console.log(`Removed ${removed} chunks for ${path}`);
     }
   }
 
   /**
-   * Load index from cache file
+   * Load the active index from its folder. An index built for other
+   * embedding settings still loads, so it serves queries while its
+   * replacement is built.
    */
   private async loadIndexFromCache(): Promise<boolean> {
     try {
-      const cacheExists = await this.app.vault.adapter.exists(this.cacheFilePath);
-      if (!cacheExists) {
+      await this.discardStaleCaches();
+
+      const target = this.getTargetSettings();
+      const pointer = await this.readActivePointer();
+      const indexes = await this.readIndexes();
+      const complete = indexes.filter((index) => !index.manifest.partial);
+      const stored =
+        complete.find((index) => index.dir === pointer) ??
+        complete.find((index) => index.manifest.signature === target.signature);
+      if (!stored) {
         return false;
       }
 
-      const cacheData = await this.app.vault.adapter.read(this.cacheFilePath);
-      const cache: VaultIndexCache = JSON.parse(cacheData);
-
-      // Validate cache version
-      if (cache.version !== 1) {
-        console.log('Cache version mismatch, rebuilding index');
-        return false;
+      const { manifest } = stored;
+      const current = manifest.signature === target.signature;
+      // Queries must be embedded by the model the index was built with
+      const provider = current
+        ? EmbeddingProviderFactory.create(this.config)
+        : EmbeddingProviderFactory.create(this.config, manifest.embedding);
+
+      const chunks = await stored.cache.load(manifest);
+      const consistent = chunks.filter((chunk) => chunk.embedding.dimensions === manifest.dimensions);
+      if (consistent.length < chunks.length) {
+        console.warn(`Dropped ${chunks.length - consistent.length} cached chunks with mismatched dimensions`);
       }
 
-      // Check if cache is stale (older than 7 days)
-      const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-      if (Date.now() - cache.lastBuilt > maxAge) {
-        console.log('Cache is stale, rebuilding index');
-        return false;
+      this.activate(stored.dir, stored.cache, VaultRAGService.settingsOf(manifest), provider, consistent);
+      if (current) {
+        await this.reconcileWithVault();
+      } else {
+        console.log(
+          `Serving RAG queries from the ${manifest.embedding.model} index until ${target.embedding.model} is indexed`
+        );
       }
-
-      this.index = cache.chunks;
       return true;
     } catch (error) {
       console.error('Failed to load RAG cache:', error);
@@ -456,30 +1099,306 @@ export class VaultRAGService {
   }
 
   /**
-   * Save index to cache file
+   * Bring a loaded cache up to date with the vault: drop deleted notes,
+   * re-embed added or edited ones, and refresh mtimes of notes whose content
+   * hash is unchanged. Only touched shards are written back.
    */
-  private async saveIndexToCache(): Promise<void> {
+  private async reconcileWithVault(): Promise<void> {
+    const startTime = Date.now();
+    const scope = this.getIndexScope();
+    const files = new Map(this.getIndexableFiles().map((file) => [file.path, file] as [string, TFile]));
+
+    const cached = new Map<string, VaultChunk[]>();
+    for (const chunk of this.index) {
+      const chunks = cached.get(chunk.path) ?? [];
+      chunks.push(chunk);
+      cached.set(chunk.path, chunks);
+    }
+
+    const changedPaths = new Set<string>();
+    const toEmbed: TFile[] = [];
+
+    // Deleted notes and notes the scope settings now exclude
+    const dropped = new Set<string>();
+    for (const [path, chunks] of cached.entries()) {
+      if (!files.has(path) || !RetrievalFilters.matchesTags(chunks[0].tags, scope)) {
+        dropped.add(path);
+        changedPaths.add(path);
+      }
+    }
+
+    for (const [path, file] of files.entries()) {
+      const chunks = cached.get(path);
+      if (!chunks) {
+        toEmbed.push(file);
+        continue;
+      }
+      if (dropped.has(path) || chunks[0].lastModified === file.stat.mtime) {
+        continue;
+      }
+
+      try {
+        const content = await this.app.vault.cachedRead(file);
+        if (chunks[0].contentHash && EmbeddingCache.hashContent(content) === chunks[0].contentHash) {
+          chunks.forEach((chunk) => (chunk.lastModified = file.stat.mtime));
+          changedPaths.add(path);
+        } else {
+          toEmbed.push(file);
+        }
+      } catch (error) {
+        console.warn(`Failed to read ${path} while reconciling RAG index:`, error);
+      }
+    }
+
+    if (changedPaths.size === 0 && toEmbed.length === 0) {
+      console.log('RAG cache is up to date with the vault');
+      return;
+    }
+
+    const stale = new Set(dropped);
+    toEmbed.forEach((file) => stale.add(file.path));
+    this.removeChunks((chunk) => stale.has(chunk.path));
+
+    const batchSize = 10;
+    for (let i = 0; i < toEmbed.length; i += batchSize) {
+      try {
+        await this.indexFileBatch(toEmbed.slice(i, i + batchSize));
+      } catch (error) {
+        // Notes missing from the cache are picked up again on the next reconcile
+        console.error('Failed to re-embed changed notes:', error);
+      }
+    }
+
+    toEmbed.forEach((file) => changedPaths.add(file.path));
+    await this.saveIndexToCache(new Set([...changedPaths].map((path) => EmbeddingCache.shardOf(path))));
+
+    console.log(
+      `RAG reconcile: ${toEmbed.length} re-embedded, ${stale.size - toEmbed.length} removed, ` +
+        `${changedPaths.size - stale.size} touched in ${Date.now() - startTime}ms`
+    );
+  }
+
+  /**
+   * Apply changed scope settings without a full rebuild: drop notes that are
+   * now excluded and embed notes that came into scope
+   */
+  async reconcileScope(): Promise<void> {
+    if (!this.config.get('enableRAG') || !this.isIndexBuilt) {
+      return;
+    }
+
+    await this.reconcileExclusive();
+  }
+
+  /**
+   * Reconcile unless a build or another reconcile holds the index
+   */
+  private async reconcileExclusive(): Promise<void> {
+    if (this.isInitializing) {
+      return;
+    }
+
+    this.isInitializing = true;
     try {
-      const cache: VaultIndexCache = {
-        version: 1,
-        chunks: this.index,
-        lastBuilt: Date.now(),
-      };
+      await this.reconcileWithVault();
+    } catch (error) {
+      console.error('Failed to reconcile RAG index with the vault:', error);
+    } finally {
+      this.isInitializing = false;
+    }
+  }
+
+  /**
+   * Folder and tag rules from settings; they decide what gets embedded at all
+   */
+  private getIndexScope(): RetrievalFilter {
+    return {
+      includeFolders: this.config.get('ragIncludeFolders'),
+      excludeFolders: this.config.get('ragExcludeFolders'),
+      includeTags: this.config.get('ragIncludeTags'),
+      excludeTags: this.config.get('ragExcludeTags'),
+    };
+  }
+
+  /**
+   * Index scope plus the retrieval-only date window
+   */
+  private getRetrievalScope(): RetrievalFilter {
+    const days = this.config.get('ragModifiedWithinDays');
+    return {
+      ...this.getIndexScope(),
+      modifiedAfter: days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : undefined,
+    };
+  }
+
+  private getIndexableFiles(): TFile[] {
+    const scope = this.getIndexScope();
+    return this.app.vault.getMarkdownFiles().filter((file) => RetrievalFilters.matchesPath(file.path, scope));
+  }
+
+  /**
+   * Remove caches that can't be served: embeddings-cache.json and the
+   * single-folder layout (both predate tagged indexes), plus folders an
+   * interrupted build left without a manifest
+   */
+  private async discardStaleCaches(): Promise<void> {
+    const adapter = this.app.vault.adapter;
+    try {
+      if (await adapter.exists(this.legacyCacheFilePath)) {
+        await adapter.remove(this.legacyCacheFilePath);
+        console.log('Removed embeddings-cache.json; rebuilding with markdown-aware chunks');
+      }
+
+      if (!(await adapter.exists(this.cacheRoot))) {
+        return;
+      }
+      const listing = await adapter.list(this.cacheRoot);
+      for (const file of listing.files) {
+        if (file !== normalizePath(this.activePointerPath)) {
+          await adapter.remove(file);
+        }
+      }
+      for (const folder of listing.folders) {
+        if (!(await adapter.exists(`${folder}/manifest.json`))) {
+          await adapter.rmdir(folder, true);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to remove stale RAG caches:', error);
+    }
+  }
+
+  /**
+   * Every index folder with a readable manifest
+   */
+  private async readIndexes(): Promise<StoredIndex[]> {
+    const adapter = this.app.vault.adapter;
+    if (!(await adapter.exists(this.cacheRoot))) {
+      return [];
+    }
+
+    const indexes: StoredIndex[] = [];
+    for (const folder of (await adapter.list(this.cacheRoot)).folders) {
+      const cache = new EmbeddingCache(this.app, folder);
+      const manifest = await cache.readManifest();
+      if (manifest) {
+        indexes.push({ dir: folder.split('/').pop() as string, cache, manifest });
+      }
+    }
+    return indexes;
+  }
 
-      const cacheData = JSON.stringify(cache);
-      await this.app.vault.adapter.write(this.cacheFilePath, cacheData);
+  /**
+   * Most recent complete, inactive index built for the given settings
+   */
+  private async findIndex(signature: string): Promise<StoredIndex | undefined> {
+    return (await this.readIndexes())
+      .filter(
+        (index) =>
+          index.manifest.signature === signature && !index.manifest.partial && index.dir !== this.active?.dir
+      )
+      .sort((a, b) => b.manifest.updatedAt - a.manifest.updatedAt)[0];
+  }
 
+  /**
+   * Checkpoint of an interrupted build for the given settings
+   */
+  private async findCheckpoint(signature: string): Promise<StoredIndex | undefined> {
+    return (await this.readIndexes()).find(
+      (index) => index.manifest.partial && index.manifest.signature === signature
+    );
+  }
+
+  private async removeCheckpoints(keepDir?: string): Promise<void> {
+    for (const index of await this.readIndexes()) {
+      if (index.manifest.partial && index.dir !== keepDir) {
+        await index.cache.clear();
+      }
+    }
+  }
+
+  /**
+   * Older copies of the active index's settings are never served again
+   */
+  private async removeSuperseded(signature: string): Promise<void> {
+    for (const index of await this.readIndexes()) {
+      if (index.manifest.signature === signature && index.dir !== this.active?.dir) {
+        await index.cache.clear();
+      }
+    }
+  }
+
+  private async readActivePointer(): Promise<string | null> {
+    try {
+      if (!(await this.app.vault.adapter.exists(this.activePointerPath))) {
+        return null;
+      }
+      return JSON.parse(await this.app.vault.adapter.read(this.activePointerPath)).dir ?? null;
+    } catch (error) {
+      console.warn('Failed to read active RAG index pointer:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Written after a swap; until then a restart still opens the previous index
+   */
+  private async writeActivePointer(): Promise<void> {
+    if (!this.active) return;
+    await this.app.vault.adapter.write(this.activePointerPath, JSON.stringify({ dir: this.active.dir }));
+  }
+
+  /**
+   * Save index to the cache; only the given shards when provided
+   */
+  private async saveIndexToCache(shardIds?: Iterable<string>): Promise<void> {
+    if (!this.cache || !this.active) return;
+    try {
+      await this.cache.save(this.index, this.active.settings, shardIds);
       console.log('RAG index cached to disk');
     } catch (error) {
       console.error('Failed to save RAG cache:', error);
     }
   }
 
+  private static settingsOf(manifest: CacheManifest): CacheSettings {
+    const { embedding, signature, dimensions, chunker, chunkSize, chunkOverlap } = manifest;
+    return { embedding, signature, dimensions, chunker, chunkSize, chunkOverlap };
+  }
+
+  /**
+   * Folder for a new index: readable model name plus build time
+   */
+  private static indexDirName(settings: CacheSettings): string {
+    const slug = settings.embedding.model
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+    return `${slug || 'index'}-${Date.now().toString(36)}`;
+  }
+
+  /**
+   * Write pending debounced changes now, e.g. before their index is swapped out
+   */
+  private flushCacheSave(): void {
+    if (this.pendingCacheSave === null) {
+      return;
+    }
+    clearTimeout(this.pendingCacheSave);
+    this.pendingCacheSave = null;
+    const shardIds = Array.from(this.dirtyShards);
+    this.dirtyShards.clear();
+    this.saveIndexToCache(shardIds);
+  }
+
   /**
    * Schedule a debounced cache save (batches multiple updates)
-   * Waits 2 seconds after last change before writing to disk
+   * Waits 2 seconds after last change, then writes only the touched shards
    */
-  private scheduleCacheSave(): void {
+  private scheduleCacheSave(changedPath: string): void {
+    this.dirtyShards.add(EmbeddingCache.shardOf(changedPath));
+
     // Cancel any pending save
     if (this.pendingCacheSave !== null) {
       clearTimeout(this.pendingCacheSave);
@@ -488,12 +1407,320 @@ export class VaultRAGService {
     // Schedule new save after 2 seconds of inactivity
     this.pendingCacheSave = window.setTimeout(() => {
       this.pendingCacheSave = null;
-      this.saveIndexToCache();
+      const shardIds = Array.from(this.dirtyShards);
+      this.dirtyShards.clear();
+      this.saveIndexToCache(shardIds);
+
+      // The graph file is rewritten whole, so only after a batch of edits;
+      // anything newer is re-inserted from the shards on next load
+      if (this.ann && this.annChanges >= Math.max(100, this.ann.size * 0.01)) {
+        this.saveAnn();
+      } else if (!this.ann) {
+        // The vault may have just grown past the exact-scan threshold
+        this.prepareAnn(true);
+      }
     }, 2000);
   }
 
   /**
-   * Clear the entire index and cache
+   * Vector and keyword candidates fused by rank, then ordered by the re-rank
+   * score; `similarity` stays the raw cosine so callers' thresholds (e.g.
+   * ContextLinkService's semantic threshold) keep their meaning
+   */
+  private hybridSearch(
+    queryText: string,
+    queryVector: EmbeddingVector,
+    topK: number,
+    filter?: RetrievalFilter | null
+  ): Array<{ similarity: number; metadata: VaultChunk }> {
+    const scope = this.getRetrievalScope();
+    const accepts = RetrievalFilters.isEmpty(scope) && RetrievalFilters.isEmpty(filter)
+      ? undefined
+      : (chunk: VaultChunk) => RetrievalFilters.matchesChunk(chunk, scope, filter);
+
+    const poolSize = Math.max(topK * 4, 20);
+    const vectorHits = this.matchesIndexDimensions(queryVector) ? this.searchIndex(queryVector, poolSize, accepts) : [];
+    if (!this.lexical || this.lexical.size === 0) {
+      return vectorHits.slice(0, topK);
+    }
+
+    // Over-fetch keyword hits when filtering so enough survive
+    const lexicalHits = this.lexical
+      .search(queryText, accepts ? poolSize * 5 : poolSize)
+      .filter((hit) => {
+        const chunk = this.chunkByKey.get(hit.key);
+        return chunk !== undefined && (!accepts || accepts(chunk));
+      })
+      .slice(0, poolSize);
+    const vectorSimilarity = new Map(
+      vectorHits.map((hit) => [VaultRAGService.chunkKey(hit.metadata), hit.similarity] as [string, number])
+    );
+
+    const fused = RankFusion.reciprocalRank([
+      vectorHits.map((hit) => VaultRAGService.chunkKey(hit.metadata)),
+      lexicalHits.map((hit) => hit.key),
+    ]).slice(0, poolSize);
+
+    const candidates: Array<RerankCandidate & { chunk: VaultChunk }> = [];
+    for (const { key } of fused) {
+      const chunk = this.chunkByKey.get(key);
+      if (!chunk) continue;
+
+      let similarity = vectorSimilarity.get(key);
+      if (similarity === undefined) {
+        // Keyword-only hit: measure it on the same scale as the vector hits
+        similarity = chunk.embedding.dimensions === queryVector.dimensions
+          ? VectorMath.cosineSimilarity(queryVector, chunk.embedding)
+          : 0;
+      }
+
+      candidates.push({
+        key,
+        text: chunk.text,
+        title: this.extractTitle(chunk.path),
+        vectorSimilarity: similarity,
+        chunk,
+      });
+    }
+
+    return RankFusion.rerank(queryText, candidates)
+      .slice(0, topK)
+      .map((ranked) => ({
+        similarity: ranked.vectorSimilarity,
+        metadata: (ranked as RankedCandidate & { chunk: VaultChunk }).chunk,
+      }));
+  }
+
+  /**
+   * Build the keyword index in the background, yielding between batches
+   */
+  private async prepareLexical(): Promise<void> {
+    if (this.isBuildingLexical) {
+      return;
+    }
+
+    this.isBuildingLexical = true;
+    const startTime = Date.now();
+    const generation = this.generation;
+    let restart = false;
+
+    try {
+      const lexical = new BM25Index();
+      let added = 0;
+      for (const chunk of [...this.index]) {
+        const key = VaultRAGService.chunkKey(chunk);
+        if (this.chunkByKey.get(key) !== chunk) continue;
+        lexical.add(key, this.lexicalText(chunk));
+        if (++added % 500 === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          // Another index was swapped in; start over for that one
+          if (this.generation !== generation) {
+            restart = true;
+            return;
+          }
+        }
+      }
+
+      // Catch edits that landed while we were yielding
+      for (const key of lexical.keys()) {
+        if (!this.chunkByKey.has(key)) lexical.remove(key);
+      }
+      for (const [key, chunk] of this.chunkByKey.entries()) {
+        if (!lexical.has(key)) lexical.add(key, this.lexicalText(chunk));
+      }
+
+      this.lexical = lexical;
+      console.log(`RAG keyword index ready: ${lexical.size} chunks in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error('Failed to build keyword index, using vector search only:', error);
+    } finally {
+      this.isBuildingLexical = false;
+      if (restart) this.prepareLexical();
+    }
+  }
+
+  /**
+   * Note title, aliases and headings are indexed with every chunk so
+   * "the X-500 spec" finds X-500.md
+   */
+  private lexicalText(chunk: VaultChunk): string {
+    const names = [this.extractTitle(chunk.path), ...(chunk.aliases ?? []), ...(chunk.headingPath ?? [])];
+    return `${names.join('\n')}\n${chunk.text}`;
+  }
+
+  /**
+   * Top-K chunks for a query vector: HNSW when available, exact scan otherwise.
+   * With a filter the graph is over-fetched; a narrow filter that leaves too
+   * few graph hits falls back to an exact scan of the matching chunks.
+   */
+  private searchIndex(
+    query: EmbeddingVector,
+    topK: number,
+    accepts?: (chunk: VaultChunk) => boolean
+  ): Array<{ similarity: number; metadata: VaultChunk }> {
+    if (this.ann && this.ann.size > 0) {
+      const results: Array<{ similarity: number; metadata: VaultChunk }> = [];
+      for (const match of this.ann.search(query.values, accepts ? topK * 5 : topK)) {
+        const chunk = this.chunkByKey.get(match.key);
+        if (chunk && (!accepts || accepts(chunk))) {
+          results.push({ similarity: match.similarity, metadata: chunk });
+        }
+      }
+      if (!accepts || results.length >= topK) {
+        return results.slice(0, topK);
+      }
+    }
+
+    const candidates = this.index
+      .filter((chunk) => chunk.embedding.dimensions === query.dimensions && (!accepts || accepts(chunk)))
+      .map((chunk) => ({
+        embedding: chunk.embedding,
+        metadata: chunk,
+      }));
+    return VectorMath.topKSimilar(query, candidates, topK);
+  }
+
+  /**
+   * Load the persisted graph (unless `useSnapshot` is false) and bring it in
+   * line with the index, yielding between inserts so startup stays responsive
+   */
+  private async prepareAnn(useSnapshot: boolean): Promise<void> {
+    if (this.isBuildingAnn || this.index.length < ANN_MIN_CHUNKS) {
+      return;
+    }
+
+    this.isBuildingAnn = true;
+    const startTime = Date.now();
+    const generation = this.generation;
+    let restart = false;
+
+    try {
+      let graph: HnswIndex | null = null;
+      const snapshot = useSnapshot && this.cache ? await this.cache.readAnn() : null;
+      // Another index was swapped in; start over for that one
+      if (this.generation !== generation) {
+        restart = true;
+        return;
+      }
+      if (snapshot) {
+        graph = HnswIndex.deserialize(snapshot, (key) => this.chunkByKey.get(key)?.embedding.values);
+      }
+      // Rebuilding a heavily tombstoned snapshot is cheaper than patching it
+      if (!graph || graph.deletedRatio() > ANN_MAX_DELETED_RATIO) {
+        graph = new HnswIndex();
+      }
+
+      for (const key of graph.keysInIndex()) {
+        if (!this.chunkByKey.has(key)) {
+          graph.remove(key);
+        }
+      }
+
+      let inserted = 0;
+      for (const chunk of [...this.index]) {
+        const key = VaultRAGService.chunkKey(chunk);
+        if (graph.has(key) || this.chunkByKey.get(key) !== chunk) continue;
+        graph.insert(key, chunk.embedding.values);
+        if (++inserted % 200 === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          if (this.generation !== generation) {
+            restart = true;
+            return;
+          }
+        }
+      }
+
+      // Catch edits that landed while we were yielding
+      for (const key of graph.keysInIndex()) {
+        if (!this.chunkByKey.has(key)) graph.remove(key);
+      }
+      for (const [key, chunk] of this.chunkByKey.entries()) {
+        if (!graph.has(key)) graph.insert(key, chunk.embedding.values);
+      }
+
+      this.ann = graph;
+      console.log(`RAG ANN graph ready: ${graph.size} vectors (${inserted} inserted) in ${Date.now() - startTime}ms`);
+
+      if (inserted > 0 || !snapshot) {
+        await this.saveAnn();
+      }
+    } catch (error) {
+      console.error('Failed to build ANN graph, using exact search:', error);
+      this.ann = null;
+    } finally {
+      this.isBuildingAnn = false;
+      if (restart) this.prepareAnn(true);
+    }
+  }
+
+  private async saveAnn(): Promise<void> {
+    if (!this.ann || !this.cache) return;
+    try {
+      if (this.ann.deletedRatio() > ANN_MAX_DELETED_RATIO) {
+        this.ann = this.ann.compact((key) => this.chunkByKey.has(key));
+      }
+      await this.cache.writeAnn(this.ann.serialize());
+      this.annChanges = 0;
+    } catch (error) {
+      console.error('Failed to save ANN graph:', error);
+    }
+  }
+
+  private static chunkKey(chunk: VaultChunk): string {
+    return `${chunk.path}#${chunk.chunkIndex}#${chunk.contentHash ?? ''}`;
+  }
+
+  private addChunks(chunks: VaultChunk[]): void {
+    for (const chunk of chunks) {
+      const key = VaultRAGService.chunkKey(chunk);
+      this.index.push(chunk);
+      this.chunkByKey.set(key, chunk);
+      this.lexical?.add(key, this.lexicalText(chunk));
+      if (this.ann) {
+        this.ann.insert(key, chunk.embedding.values);
+        this.annChanges++;
+      }
+    }
+  }
+
+  /**
+   * Remove matching chunks from the index, key map and graph; returns the count
+   */
+  private removeChunks(predicate: (chunk: VaultChunk) => boolean): number {
+    const kept: VaultChunk[] = [];
+    let removed = 0;
+
+    for (const chunk of this.index) {
+      if (!predicate(chunk)) {
+        kept.push(chunk);
+        continue;
+      }
+      const key = VaultRAGService.chunkKey(chunk);
+      this.chunkByKey.delete(key);
+      this.lexical?.remove(key);
+      if (this.ann) {
+        this.ann.remove(key);
+        this.annChanges++;
+      }
+      removed++;
+    }
+
+    this.index = kept;
+    return removed;
+  }
+
+  private resetIndex(chunks: VaultChunk[] = []): void {
+    this.index = [];
+    this.chunkByKey.clear();
+    this.ann = null;
+    this.lexical = null;
+    this.annChanges = 0;
+    this.generation++;
+    this.addChunks(chunks);
+  }
+
+  /**
+   * Clear every index and cache, cancelling any rebuild
    */
   async clearIndex(): Promise<void> {
     // Cancel any pending cache save
@@ -502,13 +1729,19 @@ export class VaultRAGService {
       this.pendingCacheSave = null;
     }
 
-    this.index = [];
     this.isIndexBuilt = false;
+    this.migration = null;
+    this.active = null;
+    this.cache = null;
+    this.resetIndex();
+    this.dirtyShards.clear();
 
     try {
-      const exists = await this.app.vault.adapter.exists(this.cacheFilePath);
-      if (exists) {
-        await this.app.vault.adapter.remove(this.cacheFilePath);
+      if (await this.app.vault.adapter.exists(this.cacheRoot)) {
+        await this.app.vault.adapter.rmdir(this.cacheRoot, true);
+      }
+      if (await this.app.vault.adapter.exists(this.legacyCacheFilePath)) {
+        await this.app.vault.adapter.remove(this.legacyCacheFilePath);
       }
       console.log('RAG index cleared');
     } catch (error) {
@@ -535,6 +1768,62 @@ export class VaultRAGService {
     };
   }
 
+  /**
+   * Every index on disk plus a rebuild in progress, for the settings panel
+   */
+  async getIndexes(): Promise<EmbeddingIndexInfo[]> {
+    const job = this.migration;
+    const stored = (await this.readIndexes()).filter((index) => !job || index.dir !== job.dir);
+    const indexes: EmbeddingIndexInfo[] = stored.map(({ dir, manifest }) => {
+      const shards = Object.keys(manifest.shards).map((id) => manifest.shards[id]);
+      return {
+        dir,
+        provider: manifest.embedding.provider,
+        model: manifest.embedding.model,
+        dimensions: manifest.dimensions,
+        chunks: shards.reduce((sum, shard) => sum + shard.chunks, 0),
+        bytes: shards.reduce((sum, shard) => sum + shard.bytes, 0),
+        updatedAt: manifest.updatedAt,
+        status: dir === this.active?.dir ? 'active' : manifest.partial ? 'incomplete' : 'inactive',
+      };
+    });
+
+    if (job) {
+      indexes.push({
+        dir: job.dir ?? '',
+        provider: job.embedding.provider,
+        model: job.embedding.model,
+        dimensions: 0,
+        chunks: 0,
+        bytes: 0,
+        updatedAt: Date.now(),
+        status: 'building',
+        progress: { done: job.done, total: job.total },
+      });
+    }
+
+    const order = { active: 0, building: 1, incomplete: 2, inactive: 3 };
+    return indexes.sort((a, b) => order[a.status] - order[b.status] || b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Delete an inactive index folder (switching back to its model then rebuilds)
+   */
+  async deleteIndex(dir: string): Promise<void> {
+    if (dir === this.active?.dir) {
+      throw new Error('The active index cannot be deleted');
+    }
+    if (dir === this.migration?.dir) {
+      throw new Error('Cancel indexing to discard the index being built');
+    }
+
+    const stored = (await this.readIndexes()).find((index) => index.dir === dir);
+    if (stored) {
+      await stored.cache.clear();
+      console.log(`Deleted RAG index ${dir} (${stored.manifest.embedding.model})`);
+    }
+  }
+
   private extractTitle(path: string): string {
     const filename = path.split('/').pop() || path;
     return filename.replace(/\.md$/i, '');
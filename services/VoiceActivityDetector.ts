@@ -0,0 +1,176 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * VoiceActivityDetector: Frame-based speech/silence segmenter
+ * Architecture: Pure RMS analysis over Float32Array frames (no Web Audio dependency)
+ *
+ * - Noise floor: tracks the quiet level (falls fast, rises slowly) so a steady
+ *   fan or hum is not mistaken for speech. During speech it only falls, so a
+ *   loud speaker cannot raise it into "silence"; a level that never dips for
+ *   `steadyReleaseMs` is steady noise after all and lets it rise again
+ * - Hysteresis: entering speech needs a higher level than staying in speech
+ * - Hangover: speech is held for a few frames after the level drops, so word
+ *   gaps and trailing consonants are not cut off
+ * - Segments: consecutive frames with the same decision are reported as one
+ *   speech/silence segment; silences longer than `silenceDurationMs` are
+ *   flagged as skippable
+ */
+
+export interface VadOptions {
+  threshold: number; // Absolute RMS floor for speech (silenceThreshold setting)
+  silenceDurationMs: number; // Silence longer than this is skippable
+  enterRatio: number; // Speech starts above noiseFloor * enterRatio
+  exitRatio: number; // Speech ends below noiseFloor * exitRatio
+  hangoverFrames: number; // Frames to hold speech after the level drops
+  floorRise: number; // Noise floor adaptation rate when the level is above it
+  floorFall: number; // Noise floor adaptation rate when the level is below it
+  steadyReleaseMs: number; // Speech without a dip below the exit level for this long may raise the floor
+}
+
+export interface VadDecision {
+  isSpeech: boolean;
+  rms: number;
+  noiseFloor: number;
+  silenceMs: number; // Length of the current silence run (0 while speaking)
+  longSilence: boolean; // Current silence run exceeds silenceDurationMs
+}
+
+export interface VadSegment {
+  type: 'speech' | 'silence';
+  startMs: number;
+  endMs: number;
+  skippable: boolean; // Silence long enough to be trimmed
+}
+
+const DEFAULT_OPTIONS: VadOptions = {
+  threshold: 0.01,
+  silenceDurationMs: 1500,
+  enterRatio: 3,
+  exitRatio: 2,
+  hangoverFrames: 6,
+  floorRise: 0.01,
+  floorFall: 0.5,
+  steadyReleaseMs: 10000,
+};
+
+export class VoiceActivityDetector {
+  private options: VadOptions;
+  private noiseFloor = 0;
+  private inSpeech = false;
+  private hangoverLeft = 0;
+  private silenceMs = 0;
+  private steadyMs = 0; // Time in speech since the level last dipped below the exit level
+  private elapsedMs = 0;
+  private segmentStartMs = 0;
+
+  constructor(
+    options: Partial<VadOptions> = {},
+    private onSegment?: (segment: VadSegment) => void
+  ) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Root mean square of a frame of samples
+   */
+  static rms(frame: Float32Array): number {
+    if (frame.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) {
+      sum += frame[i] * frame[i];
+    }
+    return Math.sqrt(sum / frame.length);
+  }
+
+  /**
+   * Classify one frame and advance the segmenter
+   */
+  process(frame: Float32Array, durationMs: number): VadDecision {
+    const rms = VoiceActivityDetector.rms(frame);
+    this.updateNoiseFloor(rms);
+
+    const { threshold, enterRatio, exitRatio, hangoverFrames } = this.options;
+    const enterLevel = Math.max(threshold, this.noiseFloor * enterRatio);
+    const exitLevel = Math.max(threshold * (exitRatio / enterRatio), this.noiseFloor * exitRatio);
+
+    let isSpeech: boolean;
+    if (this.inSpeech) {
+      if (rms >= exitLevel) {
+        this.hangoverLeft = hangoverFrames;
+        isSpeech = true;
+      } else if (this.hangoverLeft > 0) {
+        this.hangoverLeft--;
+        isSpeech = true;
+      } else {
+        isSpeech = false;
+      }
+    } else {
+      isSpeech = rms >= enterLevel;
+      if (isSpeech) {
+        this.hangoverLeft = hangoverFrames;
+      }
+    }
+
+    if (isSpeech !== this.inSpeech) {
+      this.closeSegment();
+      this.inSpeech = isSpeech;
+    }
+
+    this.elapsedMs += durationMs;
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + durationMs;
+    this.steadyMs = isSpeech && rms >= exitLevel ? this.steadyMs + durationMs : 0;
+
+    return {
+      isSpeech,
+      rms,
+      noiseFloor: this.noiseFloor,
+      silenceMs: this.silenceMs,
+      longSilence: this.silenceMs >= this.options.silenceDurationMs,
+    };
+  }
+
+  /**
+   * Report the open segment (call when recording stops)
+   */
+  flush(): void {
+    this.closeSegment();
+  }
+
+  reset(): void {
+    this.noiseFloor = 0;
+    this.inSpeech = false;
+    this.hangoverLeft = 0;
+    this.silenceMs = 0;
+    this.steadyMs = 0;
+    this.elapsedMs = 0;
+    this.segmentStartMs = 0;
+  }
+
+  getNoiseFloor(): number {
+    return this.noiseFloor;
+  }
+
+  private updateNoiseFloor(rms: number): void {
+    if (rms > this.noiseFloor && this.inSpeech && this.steadyMs < this.options.steadyReleaseMs) {
+      return;
+    }
+    const rate = rms < this.noiseFloor ? this.options.floorFall : this.options.floorRise;
+    this.noiseFloor += (rms - this.noiseFloor) * rate;
+  }
+
+  private closeSegment(): void {
+    if (this.elapsedMs <= this.segmentStartMs) return;
+
+    const type = this.inSpeech ? 'speech' : 'silence';
+    const durationMs = this.elapsedMs - this.segmentStartMs;
+    this.onSegment?.({
+      type,
+      startMs: this.segmentStartMs,
+      endMs: this.elapsedMs,
+      skippable: type === 'silence' && durationMs >= this.options.silenceDurationMs,
+    });
+    this.segmentStartMs = this.elapsedMs;
+  }
+}
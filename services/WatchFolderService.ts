@@ -0,0 +1,308 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * WatchFolderService: Headless ingestion of audio synced into the vault
+ * Architecture: vault 'create' events → settle check → AudioProcessingQueue,
+ * with a processed-ledger so each recording is handled exactly once
+ *
+ * - Ledger: JSON in the config dir keyed by vault path; rename events move
+ *   entries so a renamed recording is not picked up again
+ * - Retry: a failed recording (offline, API outage) is tried again with
+ *   exponential backoff, up to MAX_ATTEMPTS; after that only when the user
+ *   asks from settings
+ * - Settle: sync clients create the file before the bytes finish arriving,
+ *   so a file is only queued once its size stops changing
+ * - Catch-up: recordings that synced while Obsidian was closed are found by
+ *   a scan on startup (only files newer than when watching was enabled)
+ */
+
+import { App, TFile, normalizePath } from 'obsidian';
+import { Config } from '../utils/Config';
+import { AudioFileService } from './AudioFileService';
+import { AudioProcessingQueue } from './AudioProcessingQueue';
+
+export interface LedgerEntry {
+  status: 'done' | 'failed';
+  processedAt: number;
+  notePath?: string;
+  error?: string;
+  attempts?: number; // Failed attempts so far (missing on old entries = 1)
+  retryAt?: number; // When a failed entry is due for another attempt
+}
+
+interface LedgerData {
+  watchingSince: number; // Files older than this are never picked up
+  files: Record<string, LedgerEntry>;
+}
+
+const SETTLE_INTERVAL_MS = 3000;
+const SETTLE_MAX_CHECKS = 20; // Give up waiting for a growing file after ~1 minute
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 5 * 60 * 1000; // Doubled per failed attempt
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+export class WatchFolderService {
+  private ledgerPath: string;
+  private ledger: LedgerData | null = null;
+  private ledgerLoad: Promise<LedgerData> | null = null;
+  private pending = new Set<string>(); // Settling or queued right now
+  private saveChain: Promise<void> = Promise.resolve();
+  private retryTimers = new Map<string, number>();
+  private destroyed = false;
+
+  constructor(
+    private app: App,
+    private config: Config,
+    private audioFileService: AudioFileService,
+    private queue: AudioProcessingQueue
+  ) {
+    const configDir = (this.app.vault as any).configDir || '.obsidian';
+    this.ledgerPath = normalizePath(`${configDir}/zeddal_watch_ledger.json`);
+  }
+
+  /**
+   * Whether a path is a recording the watcher should pick up
+   */
+  isWatched(path: string): boolean {
+    if (!this.config.get('watchFolderEnabled')) return false;
+
+    const folder = normalizePath(this.config.get('watchFolderPath') || '');
+    if (!folder || folder === '/') return false;
+
+    return (
+      path.startsWith(`${folder}/`) &&
+      this.audioFileService.isAudioFile(path) &&
+      !this.audioFileService.isOwnRecording(path)
+    );
+  }
+
+  /**
+   * Handle a vault 'create' event
+   */
+  async handleCreate(file: TFile): Promise<void> {
+    if (!this.isWatched(file.path) || this.pending.has(file.path)) return;
+
+    const ledger = await this.loadLedger();
+    const previous = ledger.files[file.path];
+    if (previous && !WatchFolderService.isRetryDue(previous)) return;
+
+    // Recordings Zeddal saved in an earlier session have a metadata file
+    if (!previous && (await this.audioFileService.loadMetadata(file.path))) return;
+
+    this.pending.add(file.path);
+    try {
+      if (!(await this.waitUntilSettled(file))) {
+        console.warn(`[WatchFolderService] ${file.path} is still changing; will retry on next startup`);
+        return;
+      }
+
+      console.log(`[WatchFolderService] Transcribing new recording: ${file.path}`);
+      const job = await this.queue.enqueueVaultFile(file.path);
+      if (job.status === 'cancelled') {
+        // Not an attempt; the next scan picks it up again
+        return;
+      }
+      const path = job.audioPath || file.path;
+      if (job.status === 'done') {
+        await this.record(path, { status: 'done', processedAt: Date.now(), notePath: job.notePath });
+        return;
+      }
+
+      const attempts = (previous?.attempts ?? (previous ? 1 : 0)) + 1;
+      const entry: LedgerEntry = { status: 'failed', processedAt: Date.now(), error: job.error, attempts };
+      if (attempts < MAX_ATTEMPTS) {
+        const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+        entry.retryAt = Date.now() + delay;
+        this.scheduleRetry(path, delay);
+        console.warn(`[WatchFolderService] ${path} failed (attempt ${attempts}); retrying in ${Math.round(delay / 60000)} min`);
+      } else {
+        console.warn(`[WatchFolderService] ${path} failed ${attempts} times; retry it from settings`);
+      }
+      await this.record(path, entry);
+    } finally {
+      this.pending.delete(file.path);
+    }
+  }
+
+  /**
+   * Keep ledger entries attached to renamed recordings
+   */
+  async handleRename(file: TFile, oldPath: string): Promise<void> {
+    const ledger = await this.loadLedger();
+    const entry = ledger.files[oldPath];
+    if (!entry) return;
+
+    delete ledger.files[oldPath];
+    ledger.files[file.path] = entry;
+    if (this.retryTimers.has(oldPath)) {
+      this.cancelRetry(oldPath);
+      this.scheduleRetry(file.path, Math.max((entry.retryAt ?? 0) - Date.now(), 0));
+    }
+    await this.saveLedger();
+  }
+
+  /**
+   * Queue recordings that arrived while Obsidian was closed
+   */
+  async scan(): Promise<void> {
+    if (!this.config.get('watchFolderEnabled')) return;
+
+    const ledger = await this.loadLedger();
+    const missed = this.app.vault
+      .getFiles()
+      .filter((file) => this.isWatched(file.path))
+      .filter((file) => {
+        const entry = ledger.files[file.path];
+        return entry ? WatchFolderService.isRetryDue(entry) : file.stat.mtime >= ledger.watchingSince;
+      });
+
+    if (missed.length > 0) {
+      console.log(`[WatchFolderService] Found ${missed.length} unprocessed recording(s) in watch folder`);
+    }
+    await Promise.all(missed.map((file) => this.handleCreate(file)));
+  }
+
+  /**
+   * Recordings that failed and are not being retried right now
+   */
+  getFailed(): Array<{ path: string; entry: LedgerEntry }> {
+    return Object.entries(this.ledger?.files ?? {})
+      .filter(([path, entry]) => entry.status === 'failed' && !this.pending.has(path))
+      .map(([path, entry]) => ({ path, entry }));
+  }
+
+  /**
+   * Queue every failed recording again now, with a fresh attempt budget;
+   * returns how many were queued
+   */
+  async retryFailed(): Promise<number> {
+    const ledger = await this.loadLedger();
+    const failed = this.getFailed().filter(({ path }) => this.app.vault.getAbstractFileByPath(path) instanceof TFile);
+
+    for (const { path } of failed) {
+      this.cancelRetry(path);
+      ledger.files[path] = { ...ledger.files[path], attempts: 0, retryAt: undefined };
+    }
+    await this.saveLedger();
+
+    for (const { path } of failed) {
+      this.handleCreate(this.app.vault.getAbstractFileByPath(path) as TFile).catch((error) =>
+        console.error('[WatchFolderService] Retry failed:', error)
+      );
+    }
+    return failed.length;
+  }
+
+  /**
+   * Cancel scheduled retries (plugin unload)
+   */
+  destroy(): void {
+    this.destroyed = true;
+    this.retryTimers.forEach((timer) => window.clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  /**
+   * Start the watch window now (called when the setting is switched on)
+   */
+  async markWatchingStarted(): Promise<void> {
+    const ledger = await this.loadLedger();
+    ledger.watchingSince = Date.now();
+    await this.saveLedger();
+  }
+
+  private static isRetryDue(entry: LedgerEntry): boolean {
+    return (
+      entry.status === 'failed' &&
+      (entry.attempts ?? 1) < MAX_ATTEMPTS &&
+      (entry.retryAt ?? 0) <= Date.now()
+    );
+  }
+
+  private scheduleRetry(path: string, delay: number): void {
+    this.cancelRetry(path);
+    if (this.destroyed) return;
+    this.retryTimers.set(
+      path,
+      window.setTimeout(() => {
+        this.retryTimers.delete(path);
+        const entry = this.ledger?.files[path];
+        if (entry) {
+          entry.retryAt = undefined; // Due now, even if the timer fired a little early
+        }
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (file instanceof TFile) {
+          this.handleCreate(file).catch((error) => console.error('[WatchFolderService] Retry failed:', error));
+        }
+      }, delay)
+    );
+  }
+
+  private cancelRetry(path: string): void {
+    const timer = this.retryTimers.get(path);
+    if (timer !== undefined) {
+      window.clearTimeout(timer);
+      this.retryTimers.delete(path);
+    }
+  }
+
+  private async waitUntilSettled(file: TFile): Promise<boolean> {
+    let lastSize = -1;
+
+    for (let check = 0; check < SETTLE_MAX_CHECKS; check++) {
+      const stat = await this.app.vault.adapter.stat(file.path);
+      if (!stat) return false; // Deleted before it finished syncing
+
+      if (stat.size > 0 && stat.size === lastSize) return true;
+      lastSize = stat.size;
+      await new Promise((resolve) => setTimeout(resolve, SETTLE_INTERVAL_MS));
+    }
+
+    return false;
+  }
+
+  private async record(path: string, entry: LedgerEntry): Promise<void> {
+    const ledger = await this.loadLedger();
+    ledger.files[path] = entry;
+    await this.saveLedger();
+  }
+
+  private loadLedger(): Promise<LedgerData> {
+    // Share one read between the startup scan and early create events
+    if (!this.ledgerLoad) {
+      this.ledgerLoad = this.readLedger();
+    }
+    return this.ledgerLoad;
+  }
+
+  private async readLedger(): Promise<LedgerData> {
+    try {
+      if (await this.app.vault.adapter.exists(this.ledgerPath)) {
+        const data = JSON.parse(await this.app.vault.adapter.read(this.ledgerPath));
+        this.ledger = {
+          watchingSince: data.watchingSince ?? Date.now(),
+          files: data.files ?? {},
+        };
+        return this.ledger;
+      }
+    } catch (error) {
+      console.warn('[WatchFolderService] Failed to read ledger, starting a new one:', error);
+    }
+
+    this.ledger = { watchingSince: Date.now(), files: {} };
+    await this.saveLedger();
+    return this.ledger;
+  }
+
+  /**
+   * Serialise writes so concurrent jobs never interleave ledger saves
+   */
+  private saveLedger(): Promise<void> {
+    this.saveChain = this.saveChain
+      .then(() => this.app.vault.adapter.write(this.ledgerPath, JSON.stringify(this.ledger, null, 2)))
+      .catch((error) => console.error('[WatchFolderService] Failed to save ledger:', error));
+    return this.saveChain;
+  }
+}
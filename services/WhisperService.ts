@@ -10,11 +10,25 @@
  */
 
 import { eventBus } from '../utils/EventBus';
-import { TranscriptionChunk, AudioChunk } from '../utils/Types';
+import { TranscriptionChunk, AudioChunk, TranscriptSegment } from '../utils/Types';
 import { Config } from '../utils/Config';
 import { IWhisperBackend } from './whisper/IWhisperBackend';
 import { OpenAIWhisperBackend } from './whisper/OpenAIWhisperBackend';
 import { LocalWhisperBackend } from './whisper/LocalWhisperBackend';
+import { AudioSegmenter } from './AudioSegmenter';
+
+// OpenAI rejects uploads over 25 MB; leave headroom for multipart overhead
+const MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+
+/**
+ * Handle returned by WhisperService.stream
+ */
+export interface TranscriptionStream {
+  push(audioChunk: AudioChunk): void;
+  drop(): void; // Count a segment that was never pushed (e.g. no speech detected)
+  finish(): Promise<{ chunks: TranscriptionChunk[]; failed: number; dropped: number; total: number }>;
+  cancel(): void;
+}
 
 export class WhisperService {
   private config: Config;
@@ -82,8 +96,13 @@ export class WhisperService {
    * Maintains existing API signature
    */
   async transcribe(audioChunk: AudioChunk): Promise<TranscriptionChunk> {
+    // Only the OpenAI API limits upload size; whisper.cpp takes any length
+    if (this.backend instanceof OpenAIWhisperBackend && audioChunk.blob.size > MAX_UPLOAD_BYTES) {
+      return await this.transcribeLong(audioChunk);
+    }
+
     try {
-      return await this.backend.transcribe(audioChunk);
+      return this.applyOffset(await this.backend.transcribe(audioChunk), audioChunk);
     } catch (error) {
       // If local backend fails, try falling back to OpenAI
       if (this.config.get('whisperBackend') === 'local-cpp') {
@@ -91,7 +110,7 @@ export class WhisperService {
         try {
           const fallbackBackend = new OpenAIWhisperBackend(this.config);
           if (fallbackBackend.isReady()) {
-            return await fallbackBackend.transcribe(audioChunk);
+            return this.applyOffset(await fallbackBackend.transcribe(audioChunk), audioChunk);
           }
         } catch (fallbackError) {
           console.error('[WhisperService] Fallback also failed:', fallbackError);
@@ -101,6 +120,69 @@ export class WhisperService {
     }
   }
 
+  /**
+   * Transcribe audio over the upload limit: split at silences, transcribe the
+   * pieces in sequence, then stitch the text with overlapping words removed.
+   * A failed piece leaves a […] marker and is counted in `missingPieces`.
+   */
+  private async transcribeLong(audioChunk: AudioChunk): Promise<TranscriptionChunk> {
+    const pieces: Array<TranscriptionChunk | null> = [];
+
+    await new AudioSegmenter().split(audioChunk, async (piece, index, total) => {
+      try {
+        pieces.push(await this.transcribe({ ...piece, source: 'split-piece' }));
+      } catch (error) {
+        console.error(`[WhisperService] Audio segment ${index + 1}/${total} failed:`, error);
+        pieces.push(null);
+      }
+    });
+
+    const results = pieces.filter((piece): piece is TranscriptionChunk => piece !== null);
+    const missingPieces = pieces.length - results.length;
+    if (results.length === 0) {
+      throw new Error(`All ${pieces.length} audio segments failed to transcribe`);
+    }
+    if (missingPieces > 0) {
+      console.warn(`[WhisperService] ${missingPieces} of ${pieces.length} audio segments failed; transcript has gaps`);
+    }
+
+    const { averageConfidence } = this.combineChunks(results);
+    const timed = results.filter((result) => result.segments);
+    return {
+      text: AudioSegmenter.stitch(pieces.map((piece) => (piece ? piece.text : '[…]'))),
+      confidence: averageConfidence,
+      timestamp: audioChunk.timestamp,
+      segments: timed.length > 0
+        ? AudioSegmenter.stitchSegments(timed.map((result) => result.segments!))
+        : undefined,
+      missingPieces: missingPieces > 0 ? missingPieces : undefined,
+    };
+  }
+
+  /**
+   * Shift segment timings of a piece so they are relative to the full recording
+   */
+  private applyOffset(result: TranscriptionChunk, audioChunk: AudioChunk): TranscriptionChunk {
+    const offset = (audioChunk.offsetMs ?? 0) / 1000;
+    if (!result.segments || offset === 0) {
+      return result;
+    }
+
+    return {
+      ...result,
+      segments: result.segments.map((segment) => ({
+        ...segment,
+        start: segment.start + offset,
+        end: segment.end + offset,
+        words: segment.words?.map((word) => ({
+          ...word,
+          start: word.start + offset,
+          end: word.end + offset,
+        })),
+      })),
+    };
+  }
+
   /**
    * Transcribe blob and return text
    * Maintains existing API signature
@@ -138,26 +220,52 @@ export class WhisperService {
   }
 
   /**
-   * Stream transcription (for future real-time implementation)
-   * Currently processes chunks sequentially
-   * Maintains existing API signature
+   * Stream transcription of rolling recorder segments
+   * Segments pushed while recording are transcribed in the background, one at
+   * a time and in order, so the caller can show a live transcript.
    */
-  async stream(
-    audioChunks: AudioChunk[],
-    onChunk: (chunk: TranscriptionChunk) => void
-  ): Promise<void> {
-    for (const audioChunk of audioChunks) {
-      try {
-        const result = await this.transcribe(audioChunk);
-        onChunk(result);
-      } catch (error) {
-        console.error('[WhisperService] Stream transcription error:', error);
-        eventBus.emit('error', {
-          message: 'Stream transcription failed',
-          error,
-        });
-      }
-    }
+  stream(
+    onChunk: (chunk: TranscriptionChunk, index: number) => void,
+    onFailed?: (index: number) => void
+  ): TranscriptionStream {
+    const results: TranscriptionChunk[] = [];
+    let failed = 0;
+    let dropped = 0;
+    let cancelled = false;
+    let queue: Promise<void> = Promise.resolve();
+    let pushed = 0;
+
+    const push = (audioChunk: AudioChunk): void => {
+      const index = pushed++;
+      queue = queue.then(async () => {
+        if (cancelled) return;
+        try {
+          const result = await this.transcribe({ ...audioChunk, source: 'live-segment' });
+          if (cancelled) return;
+          results[index] = result;
+          onChunk(result, index);
+        } catch (error) {
+          // Caller falls back to transcribing the full recording
+          failed++;
+          console.error('[WhisperService] Stream transcription error:', error);
+          if (!cancelled) onFailed?.(index);
+        }
+      });
+    };
+
+    return {
+      push,
+      drop: () => {
+        dropped++;
+      },
+      finish: async () => {
+        await queue;
+        return { chunks: results.filter(Boolean), failed, dropped, total: pushed };
+      },
+      cancel: () => {
+        cancelled = true;
+      },
+    };
   }
 
   /**
@@ -167,8 +275,10 @@ export class WhisperService {
   combineChunks(chunks: TranscriptionChunk[]): {
     text: string;
     averageConfidence: number;
+    segments: TranscriptSegment[];
   } {
     const text = chunks.map((chunk) => chunk.text).join(' ');
+    const segments = chunks.flatMap((chunk) => chunk.segments ?? []);
 
     const averageConfidence =
       chunks.length > 0
@@ -179,6 +289,7 @@ export class WhisperService {
     return {
       text,
       averageConfidence,
+      segments,
     };
   }
 
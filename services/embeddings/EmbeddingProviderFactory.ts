@@ -7,30 +7,80 @@
  * Architecture: Strategy pattern for swappable embedding backends
  */
 
-import { IEmbeddingProvider } from '../../utils/Types';
+import { IEmbeddingProvider, EmbeddingSpec } from '../../utils/Types';
 import { Config } from '../../utils/Config';
 import { OpenAIEmbeddingProvider } from './OpenAIEmbeddingProvider';
 import { CustomEmbeddingProvider } from './CustomEmbeddingProvider';
+import { LocalOnnxEmbeddingProvider } from './LocalOnnxEmbeddingProvider';
 
 export class EmbeddingProviderFactory {
   /**
-   * Create an embedding provider based on config settings
+   * Create an embedding provider based on config settings, or for a given
+   * spec (e.g. the model an existing index was built with)
    */
-  static create(config: Config): IEmbeddingProvider {
-    const llmProvider = config.get('llmProvider');
-    const customEmbeddingUrl = config.get('customEmbeddingUrl');
+  static create(config: Config, spec?: EmbeddingSpec): IEmbeddingProvider {
+    const resolved = spec ? EmbeddingProviderFactory.configFor(config, spec) : config;
 
-    // If custom embedding URL is explicitly provided, use custom provider
-    if (customEmbeddingUrl && customEmbeddingUrl.trim()) {
-      return new CustomEmbeddingProvider(config);
+    switch ((spec ?? EmbeddingProviderFactory.describe(config)).provider) {
+      case 'local-onnx':
+        return new LocalOnnxEmbeddingProvider(resolved);
+      case 'custom':
+        return new CustomEmbeddingProvider(resolved);
+      default:
+        return new OpenAIEmbeddingProvider(resolved);
+    }
+  }
+
+  /**
+   * Which backend and model the current settings select
+   */
+  static describe(config: Config): EmbeddingSpec {
+    // In-process model: no key, no server
+    if (config.get('embeddingBackend') === 'local-onnx') {
+      const modelDir = config.get('localEmbeddingModelDir').trim();
+      return {
+        provider: 'local-onnx',
+        model: LocalOnnxEmbeddingProvider.modelNameFor(modelDir),
+        endpoint: modelDir,
+      };
     }
 
-    // If llmProvider is custom and customApiBase exists, use custom provider
-    if (llmProvider === 'custom' && config.get('customApiBase')) {
-      return new CustomEmbeddingProvider(config);
+    // An explicit custom embedding URL wins; otherwise a custom LLM base serves embeddings too
+    const customEmbeddingUrl = (config.get('customEmbeddingUrl') || '').trim();
+    const endpoint = customEmbeddingUrl ||
+      (config.get('llmProvider') === 'custom' ? config.get('customApiBase') : '');
+    if (endpoint) {
+      return { provider: 'custom', model: config.get('embeddingModel'), endpoint };
     }
 
     // Default to OpenAI
-    return new OpenAIEmbeddingProvider(config);
+    return { provider: 'openai', model: config.get('embeddingModel') };
+  }
+
+  /**
+   * Settings snapshot that selects `spec`; keys and other settings come from `config`
+   */
+  private static configFor(config: Config, spec: EmbeddingSpec): Config {
+    const settings = config.getAll();
+
+    switch (spec.provider) {
+      case 'local-onnx':
+        return new Config({ ...settings, embeddingBackend: 'local-onnx', localEmbeddingModelDir: spec.endpoint ?? '' });
+      case 'custom':
+        return new Config({
+          ...settings,
+          embeddingBackend: 'api',
+          embeddingModel: spec.model,
+          customEmbeddingUrl: spec.endpoint ?? '',
+        });
+      default:
+        return new Config({
+          ...settings,
+          embeddingBackend: 'api',
+          embeddingModel: spec.model,
+          customEmbeddingUrl: '',
+          llmProvider: 'openai',
+        });
+    }
   }
 }
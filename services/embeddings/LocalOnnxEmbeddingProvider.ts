@@ -0,0 +1,229 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * LocalOnnxEmbeddingProvider: In-process sentence embeddings from an ONNX model
+ * Architecture: onnxruntime-web (WebAssembly, single thread) + WordPiece
+ * tokenizer; mean pooling over the attention mask, then L2 normalisation
+ *
+ * Runs fully offline: no API key, no embedding server. The model folder is a
+ * Hugging Face ONNX export of a BERT-family sentence model (all-MiniLM-L6-v2,
+ * bge-small-en-v1.5, e5-small-v2, ...) containing:
+ * - model.onnx (or onnx/model.onnx, model_quantized.onnx)
+ * - vocab.txt or tokenizer.json (+ optional tokenizer_config.json)
+ * - ort-wasm-simd-threaded.wasm, copied from onnxruntime-web/dist, because a
+ *   bundled plugin cannot fetch the runtime from a URL
+ *
+ * Desktop only (reads the folder with Node's fs, like LocalWhisperBackend).
+ */
+
+import * as ort from 'onnxruntime-web';
+import * as fs from 'fs';
+import * as path from 'path';
+import { IEmbeddingProvider, EmbeddingVector } from '../../utils/Types';
+import { Config } from '../../utils/Config';
+import { WordPieceTokenizer } from '../../utils/WordPieceTokenizer';
+
+interface LoadedModel {
+  session: ort.InferenceSession;
+  tokenizer: WordPieceTokenizer;
+}
+
+const MODEL_FILES = ['model.onnx', 'onnx/model.onnx', 'model_quantized.onnx', 'onnx/model_quantized.onnx'];
+const WASM_FILE = 'ort-wasm-simd-threaded.wasm';
+const BATCH_SIZE = 16; // Inference runs on the UI thread; keep batches short
+const MAX_TOKENS = 256; // Cap for long chunks; sentence models are trained on far less
+
+export class LocalOnnxEmbeddingProvider implements IEmbeddingProvider {
+  private config: Config;
+  private modelDir: string;
+  private dimensions = 384; // MiniLM/BGE-small default, updated after the first run
+  private loading: Promise<LoadedModel> | null = null;
+
+  constructor(config: Config) {
+    this.config = config;
+    this.modelDir = config.get('localEmbeddingModelDir').trim();
+  }
+
+  async embed(text: string): Promise<EmbeddingVector> {
+    const vectors = await this.embedBatch([text]);
+    return vectors[0];
+  }
+
+  async embedBatch(texts: string[]): Promise<EmbeddingVector[]> {
+    const model = await this.load();
+    const vectors: EmbeddingVector[] = [];
+
+    try {
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        vectors.push(...(await this.runBatch(model, texts.slice(i, i + BATCH_SIZE))));
+        // Let the UI breathe between batches
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    } catch (error) {
+      console.error('[LocalEmbeddings] Inference failed:', error);
+      throw new Error(`Failed to generate local embedding: ${error?.message || error}`);
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Folder name identifies the model, so switching folders invalidates the RAG cache
+   */
+  getModelName(): string {
+    return LocalOnnxEmbeddingProvider.modelNameFor(this.modelDir);
+  }
+
+  static modelNameFor(modelDir: string): string {
+    return `local:${path.basename(modelDir.trim()) || 'unconfigured'}`;
+  }
+
+  getDimensions(): number {
+    return this.dimensions;
+  }
+
+  /**
+   * Load the session once; a failed load is retried on the next call
+   */
+  private load(): Promise<LoadedModel> {
+    if (!this.loading) {
+      this.loading = this.loadModel().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  private async loadModel(): Promise<LoadedModel> {
+    const startTime = Date.now();
+
+    if (!this.modelDir) {
+      throw new Error('Local embedding model folder not configured');
+    }
+
+    const modelFile = MODEL_FILES.map((file) => path.join(this.modelDir, file)).find((file) => fs.existsSync(file));
+    if (!modelFile) {
+      throw new Error(`No ONNX model found in ${this.modelDir} (expected model.onnx)`);
+    }
+
+    const wasmFile = path.join(this.modelDir, WASM_FILE);
+    if (!fs.existsSync(wasmFile)) {
+      throw new Error(`${WASM_FILE} not found in ${this.modelDir}; copy it from node_modules/onnxruntime-web/dist`);
+    }
+
+    const tokenizer = this.loadTokenizer();
+
+    // Worker threads need cross-origin isolation, which Obsidian's renderer lacks
+    ort.env.wasm.numThreads = 1;
+    ort.env.wasm.wasmBinary = fs.readFileSync(wasmFile);
+
+    const session = await ort.InferenceSession.create(fs.readFileSync(modelFile), {
+      executionProviders: ['wasm'],
+      graphOptimizationLevel: 'all',
+    });
+
+    console.log(
+      `[LocalEmbeddings] Loaded ${path.relative(this.modelDir, modelFile)} in ${Date.now() - startTime}ms`
+    );
+    return { session, tokenizer };
+  }
+
+  private loadTokenizer(): WordPieceTokenizer {
+    const read = (file: string) => {
+      const full = path.join(this.modelDir, file);
+      return fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+    };
+
+    let lowercase: boolean | undefined;
+    let maxLength = MAX_TOKENS;
+    const configText = read('tokenizer_config.json');
+    if (configText) {
+      const tokenizerConfig = JSON.parse(configText);
+      if (typeof tokenizerConfig.do_lower_case === 'boolean') {
+        lowercase = tokenizerConfig.do_lower_case;
+      }
+      if (typeof tokenizerConfig.model_max_length === 'number') {
+        maxLength = Math.min(maxLength, tokenizerConfig.model_max_length);
+      }
+    }
+    const options = { maxLength, ...(lowercase === undefined ? {} : { lowercase }) };
+
+    const vocab = read('vocab.txt');
+    if (vocab) {
+      return WordPieceTokenizer.fromVocabText(vocab, options);
+    }
+
+    const tokenizerJson = read('tokenizer.json');
+    if (tokenizerJson) {
+      return WordPieceTokenizer.fromTokenizerJson(JSON.parse(tokenizerJson), options);
+    }
+
+    throw new Error(`No vocab.txt or tokenizer.json found in ${this.modelDir}`);
+  }
+
+  private async runBatch(model: LoadedModel, texts: string[]): Promise<EmbeddingVector[]> {
+    const { session, tokenizer } = model;
+    const encoded = texts.map((text) => tokenizer.encode(text));
+    const batch = encoded.length;
+    const seqLength = Math.max(...encoded.map((item) => item.inputIds.length));
+
+    // Right-pad every sequence to the longest in the batch
+    const inputIds: number[] = [];
+    const attentionMask: number[] = [];
+    for (const item of encoded) {
+      const padding = seqLength - item.inputIds.length;
+      inputIds.push(...item.inputIds, ...new Array(padding).fill(tokenizer.padId));
+      attentionMask.push(...item.attentionMask, ...new Array(padding).fill(0));
+    }
+
+    const dims = [batch, seqLength];
+    const feeds: Record<string, ort.Tensor> = {
+      input_ids: new ort.Tensor('int64', inputIds, dims),
+      attention_mask: new ort.Tensor('int64', attentionMask, dims),
+    };
+    if (session.inputNames.includes('token_type_ids')) {
+      feeds.token_type_ids = new ort.Tensor('int64', new Array(batch * seqLength).fill(0), dims);
+    }
+
+    const output = await session.run(feeds);
+    const vectors: number[][] = [];
+
+    const pooled = output['sentence_embedding'];
+    if (pooled) {
+      // Some exports include the pooling layer already
+      const [, size] = pooled.dims;
+      const data = pooled.data as Float32Array;
+      for (let b = 0; b < batch; b++) {
+        vectors.push(Array.from(data.subarray(b * size, (b + 1) * size)));
+      }
+    } else {
+      const hidden = output['last_hidden_state'] ?? output[session.outputNames[0]];
+      const [, tokens, size] = hidden.dims;
+      const data = hidden.data as Float32Array;
+
+      for (let b = 0; b < batch; b++) {
+        const sum = new Array(size).fill(0);
+        let count = 0;
+        for (let t = 0; t < tokens; t++) {
+          if (attentionMask[b * seqLength + t] === 0) continue;
+          const offset = (b * tokens + t) * size;
+          for (let d = 0; d < size; d++) {
+            sum[d] += data[offset + d];
+          }
+          count++;
+        }
+        vectors.push(sum.map((value) => value / Math.max(count, 1)));
+      }
+    }
+
+    return vectors.map((values) => {
+      const norm = Math.sqrt(values.reduce((total, value) => total + value * value, 0)) || 1;
+      const normalized = values.map((value) => value / norm);
+      this.dimensions = normalized.length;
+      return { values: normalized, dimensions: normalized.length };
+    });
+  }
+}
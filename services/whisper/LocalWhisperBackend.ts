@@ -8,9 +8,10 @@
  */
 
 import { IWhisperBackend } from './IWhisperBackend';
-import { AudioChunk, TranscriptionChunk } from '../../utils/Types';
+import { AudioChunk, TranscriptionChunk, TranscriptSegment, TranscriptWord } from '../../utils/Types';
 import { Config } from '../../utils/Config';
 import { eventBus } from '../../utils/EventBus';
+import { TranscriptConfidence } from '../../utils/TranscriptConfidence';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import * as path from 'path';
@@ -70,12 +71,14 @@ export class LocalWhisperBackend implements IWhisperBackend {
     const tempAudioPath = await this.saveTempAudio(audioChunk);
 
     try {
-      const text = await this.runWhisperCpp(tempAudioPath);
+      const { text, segments } = await this.runWhisperCpp(tempAudioPath);
 
       const chunk: TranscriptionChunk = {
         text: text.trim(),
-        confidence: 1.0, // whisper.cpp doesn't provide confidence scores in basic mode
+        // Token probabilities need JSON output; stdout-only runs stay at 1.0
+        confidence: TranscriptConfidence.overall(segments) ?? 1.0,
         timestamp: audioChunk.timestamp,
+        segments: segments.length > 0 ? segments : undefined,
       };
 
       eventBus.emit('transcribed', chunk);
@@ -86,6 +89,7 @@ export class LocalWhisperBackend implements IWhisperBackend {
       eventBus.emit('error', {
         message: 'Local transcription failed',
         error,
+        source: audioChunk.source,
       });
       throw error;
     } finally {
@@ -129,8 +133,40 @@ export class LocalWhisperBackend implements IWhisperBackend {
 
   /**
    * Run whisper.cpp binary
+   * Writes full JSON (segments + tokens) next to the audio for timings; older
+   * builds without -ojf are retried with plain -oj, and stdout timestamps are
+   * the last resort.
    */
-  private async runWhisperCpp(audioPath: string): Promise<string> {
+  private async runWhisperCpp(audioPath: string): Promise<{ text: string; segments: TranscriptSegment[] }> {
+    const outputBase = audioPath.replace(/\.wav$/i, '');
+    const jsonPath = `${outputBase}.json`;
+
+    try {
+      let stdout: string;
+      try {
+        stdout = await this.execWhisperCpp(audioPath, outputBase, '-ojf');
+      } catch (error: any) {
+        if (!/unknown argument|invalid option/i.test(error.message || '')) {
+          throw error;
+        }
+        console.warn('[Local Whisper] -ojf not supported by this build, retrying with -oj');
+        stdout = await this.execWhisperCpp(audioPath, outputBase, '-oj');
+      }
+
+      const segments = this.readJsonSegments(jsonPath) ?? this.parseTimedOutput(stdout);
+      const text = segments.length > 0
+        ? segments.map((segment) => segment.text).join(' ')
+        : this.parseWhisperOutput(stdout);
+
+      console.log(`[Local Whisper] Transcribed: "${text}"`);
+
+      return { text, segments };
+    } finally {
+      this.cleanupTempFile(jsonPath);
+    }
+  }
+
+  private async execWhisperCpp(audioPath: string, outputBase: string, jsonFlag: string): Promise<string> {
     const binaryPath = this.config.get('whisperCppPath');
     const modelPath = this.config.get('whisperModelPath');
     const language = this.config.get('whisperLanguage') || 'auto';
@@ -144,9 +180,8 @@ export class LocalWhisperBackend implements IWhisperBackend {
       command += ` -l ${language}`;
     }
 
-    // Add output to stdout (default behavior)
-    // Add no timestamps flag for cleaner output
-    command += ' -nt';
+    // JSON output file for segment/word timings
+    command += ` ${jsonFlag} -of "${outputBase}"`;
 
     console.log(`[Local Whisper] Running: ${command}`);
 
@@ -160,30 +195,136 @@ export class LocalWhisperBackend implements IWhisperBackend {
         console.warn(`[Local Whisper] stderr: ${stderr}`);
       }
 
-      // Parse output - whisper.cpp outputs transcription to stdout
-      // Format is typically:
-      // [00:00:00.000 --> 00:00:05.000]  Transcribed text here
-      // We need to extract just the text part
-
-      const text = this.parseWhisperOutput(stdout);
-
-      console.log(`[Local Whisper] Transcribed: "${text}"`);
-
-      return text;
+      return stdout;
     } catch (error: any) {
       if (error.killed || error.signal === 'SIGTERM') {
         throw new Error('Transcription timed out (60s limit exceeded)');
       }
 
-      throw new Error(`whisper.cpp execution failed: ${error.message}`);
+      throw new Error(`whisper.cpp execution failed: ${error.message}${error.stderr ? ` ${error.stderr}` : ''}`);
+    }
+  }
+
+  /**
+   * Read segments (and words, when tokens are present) from whisper.cpp JSON output
+   */
+  private readJsonSegments(jsonPath: string): TranscriptSegment[] | null {
+    try {
+      if (!fs.existsSync(jsonPath)) {
+        return null;
+      }
+      const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      if (!Array.isArray(data.transcription)) {
+        return null;
+      }
+
+      return data.transcription
+        .map((entry: any) => {
+          const words = this.tokensToWords(entry.tokens);
+          return {
+            start: (Number(entry.offsets?.from) || 0) / 1000,
+            end: (Number(entry.offsets?.to) || 0) / 1000,
+            text: String(entry.text ?? '').trim(),
+            confidence: TranscriptConfidence.mean(this.tokenProbabilities(entry.tokens)),
+            words: words.length > 0 ? words : undefined,
+          };
+        })
+        .filter((segment: TranscriptSegment) => segment.text.length > 0);
+    } catch (error) {
+      console.warn('[Local Whisper] Failed to read JSON output:', error);
+      return null;
     }
   }
 
+  /**
+   * Probabilities of the text tokens of a segment
+   */
+  private tokenProbabilities(tokens: any): number[] {
+    if (!Array.isArray(tokens)) {
+      return [];
+    }
+    return tokens
+      .filter((token: any) => this.isTextToken(String(token.text ?? '')) && typeof token.p === 'number')
+      .map((token: any) => token.p as number);
+  }
+
+  private isTextToken(text: string): boolean {
+    // Skip special tokens such as [_BEG_] or [_TT_150]
+    return text.trim().length > 0 && !text.startsWith('[_') && !text.startsWith('<|');
+  }
+
+  /**
+   * Group whisper.cpp tokens into words (a leading space starts a new word)
+   */
+  private tokensToWords(tokens: any): TranscriptWord[] {
+    if (!Array.isArray(tokens)) {
+      return [];
+    }
+
+    const words: TranscriptWord[] = [];
+    const probabilities: number[][] = [];
+
+    for (const token of tokens) {
+      const text = String(token.text ?? '');
+      if (!this.isTextToken(text)) {
+        continue;
+      }
+
+      const start = (Number(token.offsets?.from) || 0) / 1000;
+      const end = (Number(token.offsets?.to) || 0) / 1000;
+      const current = words[words.length - 1];
+
+      if (!current || text.startsWith(' ')) {
+        words.push({ word: text.trim(), start, end });
+        probabilities.push(typeof token.p === 'number' ? [token.p] : []);
+      } else {
+        current.word += text;
+        current.end = end;
+        if (typeof token.p === 'number') {
+          probabilities[probabilities.length - 1].push(token.p);
+        }
+      }
+    }
+
+    words.forEach((word, index) => {
+      const values = probabilities[index];
+      if (values.length > 0) {
+        word.probability = values.reduce((sum, p) => sum + p, 0) / values.length;
+      }
+    });
+
+    return words;
+  }
+
+  /**
+   * Parse "[00:00:00.000 --> 00:00:05.000]  text" lines from stdout
+   */
+  private parseTimedOutput(output: string): TranscriptSegment[] {
+    const segments: TranscriptSegment[] = [];
+
+    for (const line of output.split('\n')) {
+      const match = line.match(/\[([\d:.]+)\s+-->\s+([\d:.]+)\]\s+(.+)/);
+      if (match) {
+        segments.push({
+          start: this.parseTimestamp(match[1]),
+          end: this.parseTimestamp(match[2]),
+          text: match[3].trim(),
+        });
+      }
+    }
+
+    return segments;
+  }
+
+  private parseTimestamp(value: string): number {
+    return value.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+
   /**
    * Parse whisper.cpp output to extract text
    */
   private parseWhisperOutput(output: string): string {
-    // whisper.cpp output format (with -nt flag):
+    // whisper.cpp output format:
     // [00:00:00.000 --> 00:00:05.000]  This is the transcribed text
     // [00:00:05.000 --> 00:00:10.000]  More transcribed text
 
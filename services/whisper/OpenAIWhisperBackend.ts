@@ -8,9 +8,10 @@
  */
 
 import { IWhisperBackend } from './IWhisperBackend';
-import { AudioChunk, TranscriptionChunk } from '../../utils/Types';
+import { AudioChunk, TranscriptionChunk, TranscriptSegment, TranscriptWord } from '../../utils/Types';
 import { Config } from '../../utils/Config';
 import { eventBus } from '../../utils/EventBus';
+import { TranscriptConfidence } from '../../utils/TranscriptConfidence';
 
 export class OpenAIWhisperBackend implements IWhisperBackend {
   private config: Config;
@@ -67,7 +68,10 @@ export class OpenAIWhisperBackend implements IWhisperBackend {
 
       formData.append('file', file);
       formData.append('model', this.config.get('whisperModel') || 'whisper-1');
-      formData.append('response_format', 'json');
+      // verbose_json adds segment timings; word timings must be requested explicitly
+      formData.append('response_format', 'verbose_json');
+      formData.append('timestamp_granularities[]', 'segment');
+      formData.append('timestamp_granularities[]', 'word');
 
       // Direct fetch to OpenAI API
       const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
@@ -85,13 +89,13 @@ export class OpenAIWhisperBackend implements IWhisperBackend {
 
       const data = await response.json();
 
-      // For simple json format, default confidence to 1.0
-      const confidence = 1.0;
+      const segments = this.parseSegments(data);
 
       const chunk: TranscriptionChunk = {
         text: data.text ? data.text.trim() : '',
-        confidence,
+        confidence: TranscriptConfidence.overall(segments) ?? 1.0,
         timestamp: audioChunk.timestamp,
+        segments,
       };
 
       eventBus.emit('transcribed', chunk);
@@ -102,8 +106,45 @@ export class OpenAIWhisperBackend implements IWhisperBackend {
       eventBus.emit('error', {
         message: 'Transcription failed',
         error,
+        source: audioChunk.source,
       });
       throw error;
     }
   }
+
+  /**
+   * Map verbose_json segments/words onto TranscriptSegment (words grouped by segment time range)
+   */
+  private parseSegments(data: any): TranscriptSegment[] | undefined {
+    if (!Array.isArray(data.segments) || data.segments.length === 0) {
+      return undefined;
+    }
+
+    const words: TranscriptWord[] = Array.isArray(data.words)
+      ? data.words.map((word: any) => ({
+          word: String(word.word ?? '').trim(),
+          start: Number(word.start) || 0,
+          end: Number(word.end) || 0,
+        }))
+      : [];
+
+    return data.segments.map((segment: any, index: number) => {
+      const start = Number(segment.start) || 0;
+      const end = Number(segment.end) || start;
+      const isLast = index === data.segments.length - 1;
+      const segmentWords = words.filter(
+        (word) => word.start >= start && (word.start < end || (isLast && word.start <= end))
+      );
+
+      return {
+        start,
+        end,
+        text: String(segment.text ?? '').trim(),
+        confidence: typeof segment.avg_logprob === 'number'
+          ? TranscriptConfidence.fromLogprob(segment.avg_logprob, segment.no_speech_prob)
+          : undefined,
+        words: segmentWords.length > 0 ? segmentWords : undefined,
+      };
+    });
+  }
 }
@@ -0,0 +1,247 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * AskVaultModal: Ask the vault a question, typed or spoken
+ * Architecture: VaultRAGService retrieves passages, LLMRefineService answers
+ * from them (local LLM or OpenAI); [n] markers in the answer and the source
+ * list link back to the notes the passages came from
+ */
+
+import { App, Modal } from 'obsidian';
+import ZeddalPlugin from '../main';
+import { SemanticNoteMatch } from '../services/VaultRAGService';
+import { RetrievalFilters } from '../utils/RetrievalFilter';
+import { eventBus } from '../utils/EventBus';
+
+const SNIPPET_CHARS = 220;
+
+export class AskVaultModal extends Modal {
+  private questionInput: HTMLTextAreaElement;
+  private scopeInput: HTMLInputElement;
+  private askBtn: HTMLButtonElement;
+  private voiceBtn: HTMLButtonElement;
+  private resultEl: HTMLElement;
+  private unsubRecording: (() => void) | null = null;
+
+  constructor(app: App, private plugin: ZeddalPlugin) {
+    super(app);
+  }
+
+  onOpen(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('zeddal-ask-vault-modal');
+    contentEl.createEl('h2', { text: 'Ask Vault' });
+
+    if (!this.plugin.settings.enableRAG) {
+      contentEl.createEl('p', {
+        text: 'Turn on "Enable RAG" in Zeddal settings to search your vault.',
+        cls: 'setting-item-description',
+      });
+      return;
+    }
+
+    this.questionInput = contentEl.createEl('textarea');
+    this.questionInput.placeholder = 'E.g., "What did we decide about the X-500 pump budget?"';
+    this.questionInput.style.width = '100%';
+    this.questionInput.style.minHeight = '70px';
+    this.questionInput.style.padding = '8px';
+    this.questionInput.style.resize = 'vertical';
+    this.questionInput.addEventListener('keydown', (event) => {
+      // Enter asks, Shift+Enter adds a line
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        this.ask();
+      }
+    });
+
+    const scopeRow = contentEl.createDiv('zeddal-context-scope');
+    scopeRow.style.display = 'flex';
+    scopeRow.style.alignItems = 'center';
+    scopeRow.style.gap = '8px';
+    scopeRow.style.marginTop = '8px';
+    scopeRow.createEl('label', { text: 'Search in:' });
+    this.scopeInput = scopeRow.createEl('input', { type: 'text' });
+    this.scopeInput.placeholder = 'Whole vault (e.g. Projects/Acme, #client, -Archive, after:2025-01-01)';
+    this.scopeInput.style.flex = '1';
+
+    const buttonContainer = contentEl.createDiv('zeddal-modal-buttons');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '8px';
+    buttonContainer.style.marginTop = '12px';
+
+    this.askBtn = buttonContainer.createEl('button', { text: '🔎 Ask', cls: 'mod-cta' });
+    this.askBtn.onclick = () => this.ask();
+
+    this.voiceBtn = buttonContainer.createEl('button', { text: '🎤 Ask by Voice' });
+    this.voiceBtn.onclick = () => this.toggleVoiceQuestion();
+
+    this.resultEl = contentEl.createDiv('zeddal-ask-vault-result');
+    this.resultEl.style.marginTop = '16px';
+
+    const stats = this.plugin.vaultRAGService.getStats();
+    if (stats.totalChunks === 0) {
+      this.resultEl.createEl('p', {
+        text: 'The vault index is empty or still building; the first question may take a while.',
+        cls: 'setting-item-description',
+      });
+    }
+
+    this.questionInput.focus();
+  }
+
+  onClose(): void {
+    if (this.unsubRecording) {
+      this.unsubRecording();
+      this.unsubRecording = null;
+      this.plugin.recorderService.stop();
+    }
+    this.contentEl.empty();
+  }
+
+  /**
+   * Retrieve passages for the question and render a cited answer
+   */
+  private async ask(): Promise<void> {
+    const question = this.questionInput.value.trim();
+    if (!question || this.askBtn.disabled) {
+      return;
+    }
+
+    if (!this.plugin.llmRefineService.isReady()) {
+      this.plugin.toast.error('No AI provider configured. Enable local LLM or add OpenAI API key in settings.');
+      return;
+    }
+
+    this.askBtn.disabled = true;
+    this.askBtn.textContent = 'Searching...';
+    this.resultEl.empty();
+
+    try {
+      const sources = await this.plugin.vaultRAGService.findSimilarNotes(question, {
+        topK: this.plugin.settings.ragTopKForQA,
+        filter: RetrievalFilters.parseScope(this.scopeInput.value),
+      });
+
+      if (sources.length === 0) {
+        this.resultEl.createEl('p', { text: 'No matching notes found.' });
+        return;
+      }
+
+      this.askBtn.textContent = 'Answering...';
+      const excerpts = sources.map(
+        (source) => `From "${AskVaultModal.sourceLabel(source)}":\n${source.chunkText}`
+      );
+      const answer = await this.plugin.llmRefineService.answerQuestion(question, excerpts);
+
+      this.renderAnswer(answer || 'No answer returned.', sources);
+    } catch (error) {
+      console.error('Ask vault failed:', error);
+      this.plugin.toast.error(`Ask vault failed: ${error?.message || error}`);
+    } finally {
+      this.askBtn.disabled = false;
+      this.askBtn.textContent = '🔎 Ask';
+    }
+  }
+
+  /**
+   * Record a spoken question, transcribe it and ask it
+   */
+  private async toggleVoiceQuestion(): Promise<void> {
+    const recorder = this.plugin.recorderService;
+
+    if (this.unsubRecording) {
+      recorder.stop();
+      this.voiceBtn.textContent = 'Transcribing...';
+      this.voiceBtn.disabled = true;
+      return;
+    }
+
+    if (recorder.getState().isRecording) {
+      this.plugin.toast.warning('A recording is already in progress');
+      return;
+    }
+
+    this.unsubRecording = eventBus.on('recording-stopped', async (event) => {
+      this.unsubRecording?.();
+      this.unsubRecording = null;
+
+      try {
+        const transcription = await this.plugin.whisperService.transcribe(event.data.audioChunk);
+        this.questionInput.value = transcription.text.trim();
+        await this.ask();
+      } catch (error) {
+        console.error('Voice question failed:', error);
+        this.plugin.toast.error('Failed to transcribe voice question');
+      } finally {
+        this.voiceBtn.textContent = '🎤 Ask by Voice';
+        this.voiceBtn.disabled = false;
+      }
+    });
+
+    try {
+      await recorder.start();
+      this.voiceBtn.textContent = '⏹️ Stop and Ask';
+    } catch (error) {
+      console.error('Voice recording failed:', error);
+      this.unsubRecording?.();
+      this.unsubRecording = null;
+      this.plugin.toast.error('Failed to record voice question');
+    }
+  }
+
+  private renderAnswer(answer: string, sources: SemanticNoteMatch[]): void {
+    const answerEl = this.resultEl.createDiv('zeddal-ask-vault-answer');
+    answerEl.style.whiteSpace = 'pre-wrap';
+    answerEl.style.userSelect = 'text';
+
+    // Turn [n] markers into links to the nth source
+    const parts = answer.split(/\[(\d+)\]/);
+    parts.forEach((part, i) => {
+      if (i % 2 === 0) {
+        answerEl.appendText(part);
+        return;
+      }
+      const source = sources[Number(part) - 1];
+      if (!source) {
+        answerEl.appendText(`[${part}]`);
+        return;
+      }
+      const link = answerEl.createEl('a', { text: `[${part}]`, href: '#' });
+      link.title = AskVaultModal.sourceLabel(source);
+      link.onclick = (event) => {
+        event.preventDefault();
+        this.openSource(source);
+      };
+    });
+
+    this.resultEl.createEl('h4', { text: 'Sources' });
+    const list = this.resultEl.createEl('ol', { cls: 'zeddal-ask-vault-sources' });
+    for (const source of sources) {
+      const item = list.createEl('li');
+      const link = item.createEl('a', { text: AskVaultModal.sourceLabel(source), href: '#' });
+      link.onclick = (event) => {
+        event.preventDefault();
+        this.openSource(source);
+      };
+
+      const snippet = source.chunkText.replace(/\s+/g, ' ').trim();
+      item.createEl('div', {
+        text: snippet.length > SNIPPET_CHARS ? `${snippet.substring(0, SNIPPET_CHARS)}...` : snippet,
+        cls: 'setting-item-description',
+      });
+    }
+  }
+
+  private openSource(source: SemanticNoteMatch): void {
+    const target = source.heading ? `${source.notePath}#${source.heading}` : source.notePath;
+    this.app.workspace.openLinkText(target, '', false);
+    this.close();
+  }
+
+  private static sourceLabel(source: SemanticNoteMatch): string {
+    return source.heading ? `${source.noteTitle} › ${source.heading}` : source.noteTitle;
+  }
+}
@@ -5,29 +5,61 @@
 /**
  * DiffPane: CodeMirror-style diff viewer
  * Architecture: Git-style diff with Obsidian colors
- * Status: Phase 2 - TODO
+ * Status: Phase 2 - Implemented
+ *
+ * Renders DiffGenerator output line by line, collapsing long unchanged
+ * runs so appended sections stay visible next to a large existing note.
  */
 
+import { DiffChange, DiffGenerator } from '../utils/DiffGenerator';
+
 export class DiffPane {
   private container: HTMLElement;
+  private contextLines: number;
 
-  constructor(container: HTMLElement) {
+  constructor(container: HTMLElement, contextLines: number = 3) {
     this.container = container;
+    this.contextLines = contextLines;
   }
 
   /**
    * Render diff between original and modified text
-   * TODO: Phase 2 implementation
    */
   render(original: string, modified: string): void {
-    // TODO: Parse diff into line-by-line changes
-    // TODO: Render with CodeMirror or custom line diff
-    // TODO: Color additions (--text-accent / green)
-    // TODO: Color deletions (--text-error / red)
-    // TODO: Handle word-level diffs for precision
-
     this.container.empty();
-    this.container.createEl('p', { text: 'DiffPane (Phase 2) - Coming soon...' });
+    this.container.addClass('zeddal-diff-pane');
+
+    const diff = DiffGenerator.generate(original, modified);
+    const { additions, removals, modifications } = diff.summary;
+
+    this.container.createEl('div', {
+      text: `+${additions + modifications} / -${removals + modifications}`,
+      cls: 'zeddal-diff-summary zeddal-text-muted',
+    });
+
+    if (additions + removals + modifications === 0) {
+      this.container.createEl('div', { text: 'No changes', cls: 'zeddal-text-muted' });
+      return;
+    }
+
+    const visible = this.visibleLines(diff.changes);
+    let hidden = 0;
+
+    diff.changes.forEach((change, index) => {
+      if (!visible.has(index)) {
+        hidden++;
+        return;
+      }
+      if (hidden > 0) {
+        this.renderCollapsed(hidden);
+        hidden = 0;
+      }
+      this.renderLine(change);
+    });
+
+    if (hidden > 0) {
+      this.renderCollapsed(hidden);
+    }
   }
 
   /**
@@ -36,4 +68,40 @@ export class DiffPane {
   clear(): void {
     this.container.empty();
   }
+
+  /**
+   * Indexes of changed lines plus their surrounding context
+   */
+  private visibleLines(changes: DiffChange[]): Set<number> {
+    const visible = new Set<number>();
+    changes.forEach((change, index) => {
+      if (change.type === 'unchanged') return;
+      const start = Math.max(0, index - this.contextLines);
+      const end = Math.min(changes.length - 1, index + this.contextLines);
+      for (let i = start; i <= end; i++) {
+        visible.add(i);
+      }
+    });
+    return visible;
+  }
+
+  private renderLine(change: DiffChange): void {
+    const prefix = change.type === 'add' ? '+' : change.type === 'remove' ? '-' : ' ';
+    const line = this.container.createDiv('zeddal-diff-line');
+    line.style.whiteSpace = 'pre-wrap';
+    line.style.padding = '0 8px';
+    line.setText(`${prefix} ${change.content}`);
+
+    if (change.type === 'add') {
+      line.addClass('zeddal-diff-addition');
+    } else if (change.type === 'remove') {
+      line.addClass('zeddal-diff-deletion');
+    }
+  }
+
+  private renderCollapsed(count: number): void {
+    const line = this.container.createDiv('zeddal-diff-collapsed zeddal-text-muted');
+    line.style.padding = '0 8px';
+    line.setText(`⋯ ${count} unchanged line(s)`);
+  }
 }
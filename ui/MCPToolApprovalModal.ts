@@ -0,0 +1,80 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MCPToolApprovalModal: Ask before the refinement model calls an MCP tool
+ * Architecture: Resolves with the user's decision; closing the modal denies
+ */
+
+import { App, Modal } from 'obsidian';
+import { MCPCallableTool } from '../utils/MCPToolCalling';
+
+export type MCPToolDecision = 'once' | 'server' | 'deny';
+
+export class MCPToolApprovalModal extends Modal {
+  private decision: MCPToolDecision = 'deny';
+
+  constructor(
+    app: App,
+    private tool: MCPCallableTool,
+    private args: Record<string, unknown>,
+    private onDecide: (decision: MCPToolDecision) => void
+  ) {
+    super(app);
+  }
+
+  /**
+   * Open the modal and wait for the decision
+   */
+  static ask(app: App, tool: MCPCallableTool, args: Record<string, unknown>): Promise<MCPToolDecision> {
+    return new Promise((resolve) => new MCPToolApprovalModal(app, tool, args, resolve).open());
+  }
+
+  onOpen(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('zeddal-record-modal');
+
+    contentEl.createEl('h2', { text: 'Allow MCP tool call?' });
+    contentEl.createEl('p', {
+      text: `The refinement model wants to call "${this.tool.name}" on ${this.tool.serverName}.`,
+    });
+    if (this.tool.description) {
+      contentEl.createEl('p', { text: this.tool.description, cls: 'setting-item-description' });
+    }
+
+    const argsEl = contentEl.createEl('pre', { text: JSON.stringify(this.args, null, 2) });
+    argsEl.style.maxHeight = '200px';
+    argsEl.style.overflow = 'auto';
+    argsEl.style.padding = '8px';
+    argsEl.style.backgroundColor = 'var(--background-secondary)';
+    argsEl.style.borderRadius = '6px';
+    argsEl.style.userSelect = 'text';
+
+    const actions = contentEl.createDiv('zeddal-modal-actions');
+    actions.style.display = 'flex';
+    actions.style.gap = '8px';
+    actions.style.justifyContent = 'flex-end';
+
+    const denyBtn = actions.createEl('button', { text: 'Deny' });
+    denyBtn.onclick = () => this.decide('deny');
+
+    const serverBtn = actions.createEl('button', { text: `Allow ${this.tool.serverName} for this note` });
+    serverBtn.onclick = () => this.decide('server');
+
+    const onceBtn = actions.createEl('button', { text: 'Allow once', cls: 'mod-cta' });
+    onceBtn.onclick = () => this.decide('once');
+    onceBtn.focus();
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    this.onDecide(this.decision);
+  }
+
+  private decide(decision: MCPToolDecision): void {
+    this.decision = decision;
+    this.close();
+  }
+}
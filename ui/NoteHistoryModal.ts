@@ -0,0 +1,142 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * NoteHistoryModal: Browse and restore snapshots taken before Zeddal writes
+ * Architecture: List view over HistoryService with preview and one-click restore
+ */
+
+import { Modal, App } from 'obsidian';
+import { HistoryService } from '../services/HistoryService';
+import { HistorySnapshot } from '../utils/Types';
+import { DiffGenerator } from '../utils/DiffGenerator';
+import { Toast } from './Toast';
+
+export class NoteHistoryModal extends Modal {
+  private history: HistoryService;
+  private toast: Toast;
+  private filePath: string;
+  private snapshots: HistorySnapshot[] = [];
+
+  constructor(app: App, history: HistoryService, toast: Toast, filePath: string) {
+    super(app);
+    this.history = history;
+    this.toast = toast;
+    this.filePath = filePath;
+  }
+
+  async onOpen(): Promise<void> {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('zeddal-history-modal');
+
+    const header = contentEl.createDiv('zeddal-history-header');
+    header.createEl('h2', { text: 'Note History' });
+    header.createEl('p', { text: this.filePath, cls: 'zeddal-text-muted' });
+
+    const loadingEl = contentEl.createDiv('zeddal-history-loading');
+    loadingEl.setText('Loading snapshots...');
+
+    try {
+      this.snapshots = await this.history.listSnapshots(this.filePath);
+      loadingEl.remove();
+      this.renderSnapshots(contentEl);
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+      loadingEl.setText('Failed to load snapshots');
+    }
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+  }
+
+  private renderSnapshots(container: HTMLElement): void {
+    const listContainer = container.createDiv('zeddal-history-list');
+
+    if (this.snapshots.length === 0) {
+      const emptyState = listContainer.createDiv('zeddal-history-empty');
+      emptyState.createEl('p', {
+        text: 'No snapshots yet. Zeddal takes one before every write to this note.',
+      });
+      return;
+    }
+
+    for (const snapshot of this.snapshots) {
+      const item = listContainer.createDiv('zeddal-history-item');
+
+      const infoContainer = item.createDiv('zeddal-history-item-info');
+      infoContainer.createEl('span', { text: '🕒', cls: 'zeddal-history-item-icon' });
+      const details = infoContainer.createDiv('zeddal-history-item-details');
+      details.createEl('div', {
+        text: new Date(snapshot.timestamp).toLocaleString(),
+        cls: 'zeddal-history-item-title',
+      });
+      const metadata = details.createDiv('zeddal-history-item-metadata');
+
+      const preview = item.createDiv('zeddal-diff-pane');
+      preview.style.display = 'none';
+
+      const actions = item.createDiv('zeddal-history-item-actions');
+
+      const previewBtn = actions.createEl('button', { text: '👁 Changes' });
+      previewBtn.addEventListener('click', () => this.togglePreview(snapshot, preview));
+
+      const restoreBtn = actions.createEl('button', {
+        text: '↺ Restore',
+        cls: 'mod-cta',
+      });
+      restoreBtn.addEventListener('click', () => this.restore(snapshot));
+
+      this.history
+        .read(snapshot)
+        .then((content) => {
+          metadata.createEl('span', { text: `${content.length} characters` });
+        })
+        .catch(() => {
+          metadata.createEl('span', { text: 'Snapshot unreadable' });
+        });
+    }
+  }
+
+  private async togglePreview(snapshot: HistorySnapshot, preview: HTMLElement): Promise<void> {
+    if (preview.style.display !== 'none') {
+      preview.style.display = 'none';
+      return;
+    }
+
+    try {
+      const snapshotContent = await this.history.read(snapshot);
+      const file = this.app.vault.getAbstractFileByPath(this.filePath);
+      const currentContent = file ? await this.app.vault.adapter.read(this.filePath) : '';
+
+      preview.empty();
+      preview.createEl('p', {
+        text: `Restoring: ${DiffGenerator.generateSummary(currentContent, snapshotContent)}`,
+        cls: 'zeddal-text-muted',
+      });
+      const pre = preview.createEl('pre', {
+        text: DiffGenerator.generateUnified(currentContent, snapshotContent),
+      });
+      pre.style.whiteSpace = 'pre-wrap';
+      pre.style.maxHeight = '240px';
+      pre.style.overflow = 'auto';
+      preview.style.display = 'block';
+    } catch (error) {
+      console.error('Failed to preview snapshot:', error);
+      this.toast.error('Failed to load snapshot');
+    }
+  }
+
+  private async restore(snapshot: HistorySnapshot): Promise<void> {
+    try {
+      await this.history.revert(snapshot);
+      this.toast.success(`Restored version from ${new Date(snapshot.timestamp).toLocaleString()}`);
+      this.close();
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      this.toast.error('Failed to restore snapshot');
+    }
+  }
+}
@@ -9,20 +9,23 @@
 
 import { Modal, App } from 'obsidian';
 import { RecorderService } from '../services/RecorderService';
-import { WhisperService } from '../services/WhisperService';
+import { WhisperService, TranscriptionStream } from '../services/WhisperService';
 import { LLMRefineService } from '../services/LLMRefineService';
 import { VaultRAGService } from '../services/VaultRAGService';
 import { MCPClientService } from '../services/MCPClientService';
 import { AudioFileService } from '../services/AudioFileService';
 import { VaultOps } from '../services/VaultOps';
 import { eventBus } from '../utils/EventBus';
-import { RecordingState, AudioChunk, RefinedNote, ZeddalSettings, SavedAudioFile } from '../utils/Types';
+import { RecordingState, AudioChunk, RefinedNote, ZeddalSettings, SavedAudioFile, MergeProposal, TranscriptionChunk, TranscriptSegment } from '../utils/Types';
 import { Toast } from './Toast';
+import { ReviewDashboard } from './ReviewDashboard';
 import { VoiceCommandProcessor } from '../utils/VoiceCommandProcessor';
 import { LinkResolver } from '../utils/LinkResolver';
+import { RetrievalFilter, RetrievalFilters } from '../utils/RetrievalFilter';
 import ZeddalPlugin from '../main';
 import { ContextLinkService } from '../services/ContextLinkService';
 import { mapConfidenceToStatus } from '../utils/ConfidenceStatus';
+import { TranscriptConfidence } from '../utils/TranscriptConfidence';
 import { TelemetrySnapshot } from '../services/RecordingTelemetry';
 import { StatusBar } from './StatusBar';
 import { QASessionService } from '../services/QASessionService';
@@ -33,7 +36,9 @@ import { TranscriptFormatter } from '../services/TranscriptFormatter';
 import { QuickFixService, QuickFixResult } from '../services/QuickFixService';
 import { LocalLLMService, LocalLLMProvider, RefinementInstruction } from '../services/LocalLLMService';
 import { CorrectionDatabase } from '../services/CorrectionDatabase';
-import { UnifiedRefinementService } from '../services/UnifiedRefinementService';
+import { UnifiedRefinementService, RefinementTools } from '../services/UnifiedRefinementService';
+import { MCPToolApprovalModal } from './MCPToolApprovalModal';
+import { MCPToolCalling } from '../utils/MCPToolCalling';
 
 export class RecordModal extends Modal {
   private recorderService: RecorderService;
@@ -88,6 +93,14 @@ export class RecordModal extends Modal {
   private correctionDb: CorrectionDatabase;
   private unifiedRefinement: UnifiedRefinementService;
   private rawTranscript: string = ''; // Store raw Whisper output
+  private transcriptionConfidence: number | null = null; // Whisper confidence for review metrics
+  private transcriptSegments: TranscriptSegment[] = [];
+  private liveStream: TranscriptionStream | null = null;
+  private liveTranscriptEl: HTMLElement | null = null;
+  private liveTexts: string[] = [];
+  private pendingSegments = 0;
+  private contextScope: RetrievalFilter | null = null; // Per-recording RAG filter
+  private contextScopeText = '';
 
   constructor(
     app: App,
@@ -163,6 +176,8 @@ export class RecordModal extends Modal {
     try {
       await this.recorderService.start();
       this.isRecording = true;
+      this.statusBar()?.setTranscriptConfidence(null);
+      this.startLiveTranscription();
       this.startUIUpdates();
       this.lastUpdated = new Date();
       this.statusBar()?.setState('listening', 'Listening…');
@@ -224,9 +239,31 @@ export class RecordModal extends Modal {
     });
     this.unsubscribers.push(unsubStop);
 
+    // Transcribe rolling segments while recording continues
+    const unsubSegment = eventBus.on('recording-segment', (event) => {
+      if (!this.liveStream || this.isQAMode) return;
+      const { audioChunk } = event.data as { audioChunk: AudioChunk };
+      this.pendingSegments++;
+      this.liveStream.push(audioChunk);
+      this.renderLiveTranscript();
+    });
+    this.unsubscribers.push(unsubSegment);
+
+    // Segments without detected speech are not transcribed live
+    const unsubDropped = eventBus.on('recording-segment-dropped', () => {
+      if (!this.liveStream || this.isQAMode) return;
+      this.liveStream.drop();
+    });
+    this.unsubscribers.push(unsubDropped);
+
     // Listen for errors
     const unsubError = eventBus.on('error', (event) => {
       console.error('Recording error:', event.data);
+      if (event.data.source) {
+        // Partial audio: a failed live segment is covered by transcribing the
+        // full recording at stop, a failed split piece by the gap warning
+        return;
+      }
       this.toast.error(event.data.message || 'An error occurred');
       this.close();
     });
@@ -244,6 +281,8 @@ export class RecordModal extends Modal {
 
       // If Q&A mode is enabled, handle differently
       if (this.isQAMode && this.qaSessionService) {
+        this.liveStream?.cancel();
+        this.liveStream = null;
         await this.handleQASession(audioChunk);
         return;
       }
@@ -259,10 +298,14 @@ export class RecordModal extends Modal {
 
       this.statusBar()?.setState('processing', 'Processing…');
 
-      const transcription = await this.whisperService.transcribe(audioChunk);
+      const transcription = await this.transcribeRecording(audioChunk);
 
       // STORE RAW TRANSCRIPT (before any processing)
       this.rawTranscript = transcription.text;
+      this.transcriptionConfidence = transcription.confidence;
+      this.transcriptSegments = transcription.segments ?? [];
+      this.renderConfidenceStatus(transcription.confidence, 'Transcript confidence');
+      this.statusBar()?.setTranscriptConfidence(transcription.confidence);
 
       // Apply auto-corrections from learned patterns (if enabled)
       let correctedText = transcription.text;
@@ -334,8 +377,13 @@ export class RecordModal extends Modal {
         this.statusBar()?.setLinkCount(this.linkCount);
       });
 
+      this.renderLowConfidenceSpans(resultContainer);
       this.renderLinkSummary(resultContainer, this.linkCount, 'Links detected');
 
+      if (this.pluginSettings().enableRAG) {
+        this.renderContextScope(resultContainer);
+      }
+
       // Add refinement buttons (Tier 2 & 3)
       if (this.pluginSettings().enableQuickFixes || this.pluginSettings().enableLocalLLM) {
         const refinementContainer = resultContainer.createDiv('zeddal-refinement-tools');
@@ -449,6 +497,76 @@ export class RecordModal extends Modal {
     }
   }
 
+  /**
+   * Begin background transcription of live segments (no-op when disabled or not configured)
+   */
+  private startLiveTranscription(): void {
+    if (!this.pluginSettings().liveTranscription || !this.whisperService.isReady()) {
+      return;
+    }
+
+    this.liveTexts = [];
+    this.pendingSegments = 0;
+    this.liveStream = this.whisperService.stream(
+      (chunk, index) => {
+        this.liveTexts[index] = chunk.text;
+        this.pendingSegments = Math.max(0, this.pendingSegments - 1);
+        this.renderLiveTranscript();
+      },
+      () => {
+        this.pendingSegments = Math.max(0, this.pendingSegments - 1);
+        this.renderLiveTranscript();
+      }
+    );
+  }
+
+  private renderLiveTranscript(): void {
+    if (!this.liveTranscriptEl) return;
+
+    const text = this.liveTexts.filter(Boolean).join(' ').trim();
+    const pending = this.pendingSegments > 0 ? `\n\n⏳ Transcribing ${this.pendingSegments} segment(s)...` : '';
+    this.liveTranscriptEl.setText(`${text}${pending}`.trim() || 'Listening...');
+    this.liveTranscriptEl.style.color = text ? 'var(--text-normal)' : 'var(--text-muted)';
+    this.liveTranscriptEl.scrollTop = this.liveTranscriptEl.scrollHeight;
+  }
+
+  /**
+   * Use the live transcript when every segment came through, otherwise
+   * transcribe the full recording; that includes segments dropped for lack of
+   * detected speech, which may hold speech too quiet for the VAD
+   */
+  private async transcribeRecording(audioChunk: AudioChunk): Promise<TranscriptionChunk> {
+    const liveStream = this.liveStream;
+
+    if (liveStream) {
+      this.statusEl.textContent = 'Finishing live transcription...';
+      const { chunks, failed, dropped, total } = await liveStream.finish();
+      this.liveStream = null;
+      if (total > 0 && failed === 0 && dropped === 0) {
+        const combined = this.whisperService.combineChunks(chunks);
+        return {
+          text: combined.text,
+          confidence: combined.averageConfidence,
+          timestamp: audioChunk.timestamp,
+          segments: combined.segments.length > 0 ? combined.segments : undefined,
+        };
+      }
+      if (failed > 0) {
+        console.warn(`[RecordModal] ${failed}/${total} live segment(s) failed, transcribing full recording`);
+      } else if (dropped > 0) {
+        console.log(`[RecordModal] ${dropped} segment(s) had no detected speech, transcribing full recording`);
+      }
+    }
+
+    const transcription = await this.whisperService.transcribe(audioChunk);
+    if (transcription.missingPieces) {
+      this.toast.warning(
+        `${transcription.missingPieces} part(s) of the recording could not be transcribed; gaps are marked […]`
+      );
+    }
+    return transcription;
+  }
+
   /**
    * Show save location options
    */
@@ -473,13 +591,15 @@ export class RecordModal extends Modal {
       let ragContext: string[] = [];
       let ragFolders: string[] = [];
       if (this.pluginSettings().enableRAG) {
-        this.statusEl.textContent = '🔍 Analyzing vault context...';
+        this.statusEl.textContent = this.contextScope
+          ? `🔍 Analyzing vault context (${this.contextScopeText})...`
+          : '🔍 Analyzing vault context...';
         try {
-          ragContext = await this.vaultRAGService.retrieveContext(this.currentTranscription);
+          ragContext = await this.vaultRAGService.retrieveContext(this.currentTranscription, this.contextScope);
           if (ragContext.length > 0) {
             // Extract folder names from context for display
             ragFolders = ragContext.map(ctx => {
-              const match = ctx.match(/From "(.+)":/);
+              const match = ctx.match(/From "([^"]+)"/);
               if (match) {
                 const path = match[1];
                 return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : 'Root';
@@ -527,6 +647,7 @@ export class RecordModal extends Modal {
       const combinedContext = [...ragContext, ...mcpContext];
 
       this.statusEl.textContent = '✨ Refining with GPT-4 (unified processing)...';
+      const tools = this.createRefinementTools();
 
       try {
         // Use unified refinement service (single GPT call for everything)
@@ -541,6 +662,7 @@ export class RecordModal extends Modal {
           technicalDomain: this.pluginSettings().technicalDomain,
           includeAudioLink: this.pluginSettings().autoSaveRaw,
           audioFilePath: this.savedAudioFile?.filePath,
+          tools,
         });
 
         // Resolve any remaining wikilinks
@@ -582,72 +704,84 @@ export class RecordModal extends Modal {
       title.textContent = 'Choose Save Location';
     }
 
-    // Title input section
-    const titleSection = this.contentEl.createDiv('zeddal-title-section');
-    titleSection.style.marginBottom = '16px';
+    // Everything goes through the review dashboard before touching the vault
+    const note: RefinedNote = {
+      title: noteTitle,
+      body: noteToSave,
+      links: [],
+      timestamp: Date.now(),
+      originalTranscription: this.rawTranscript || undefined,
+      confidenceAvg: this.transcriptionConfidence ?? undefined,
+    };
 
-    const titleLabel = titleSection.createEl('label', {
-      text: 'Note Title (for new notes):',
-      cls: 'zeddal-title-label'
-    });
-    titleLabel.style.display = 'block';
-    titleLabel.style.marginBottom = '8px';
-    titleLabel.style.fontWeight = '500';
-
-    const titleInput = titleSection.createEl('input', {
-      type: 'text',
-      placeholder: 'Enter custom title or leave blank for auto-generated',
-      value: noteTitle,
-      cls: 'zeddal-title-input'
-    });
-    titleInput.style.width = '100%';
-    titleInput.style.padding = '8px 12px';
-    titleInput.style.border = '1px solid var(--background-modifier-border)';
-    titleInput.style.borderRadius = '4px';
-    titleInput.style.backgroundColor = 'var(--background-primary)';
-    titleInput.style.color = 'var(--text-normal)';
-    titleInput.style.fontSize = '14px';
-
-    // Allow Enter key to save as new note
-    titleInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        const customTitle = titleInput.value.trim();
-        this.saveAsNewNote(noteToSave, customTitle || noteTitle);
-      }
-    });
+    let proposals: MergeProposal[] = [];
+    if (this.pluginSettings().enableRAG) {
+      const statusEl = this.contentEl.createDiv('zeddal-status');
+      statusEl.textContent = '🔗 Checking for similar notes...';
+      proposals = await this.plugin.mergeService.propose({
+        ...note,
+        body: this.appendTelemetryMetadata(noteToSave),
+      });
+      statusEl.remove();
+    }
 
-    // Save location options
     const optionsContainer = this.contentEl.createDiv('zeddal-save-options');
 
-    const newNoteBtn = optionsContainer.createEl('button', {
-      text: 'New Note',
-      cls: 'mod-cta'
-    });
-    newNoteBtn.onclick = () => {
-      const customTitle = titleInput.value.trim();
-      this.saveAsNewNote(noteToSave, customTitle || noteTitle);
-    };
-
-    const dailyNoteBtn = optionsContainer.createEl('button', {
-      text: 'Append to Daily Note',
-      cls: 'mod-cta'
-    });
-    dailyNoteBtn.onclick = () => this.appendToDailyNote(noteToSave);
-
-    const cursorBtn = optionsContainer.createEl('button', {
-      text: 'Insert at Cursor',
+    const reviewBtn = optionsContainer.createEl('button', {
+      text: 'Review & Save',
       cls: 'mod-cta'
     });
-    cursorBtn.onclick = () => this.insertAtCursor(noteToSave);
+    reviewBtn.onclick = () => this.openReviewDashboard(note, proposals);
 
     const cancelBtn = optionsContainer.createEl('button', {
       text: 'Cancel'
     });
     cancelBtn.onclick = () => this.close();
 
-    // Focus the title input for easy editing
-    setTimeout(() => titleInput.focus(), 100);
+    this.openReviewDashboard(note, proposals);
+  }
+
+  /**
+   * Open the review dashboard and apply whatever the user accepts
+   */
+  private openReviewDashboard(note: RefinedNote, proposals: MergeProposal[]): void {
+    new ReviewDashboard(this.app, note, proposals, {
+      mergeService: this.plugin.mergeService,
+      history: this.vaultOps.getHistory(),
+      prepareBody: (body) => this.appendTelemetryMetadata(body),
+      onDecision: async (decision) => {
+        switch (decision.action) {
+          case 'new-note':
+            await this.saveAsNewNote(decision.body, decision.title || note.title);
+            break;
+          case 'daily-note':
+            await this.appendToDailyNote(decision.body);
+            break;
+          case 'cursor':
+            await this.insertAtCursor(decision.body);
+            break;
+          case 'merge':
+            await this.mergeIntoNote(decision.proposal, decision.note);
+            break;
+        }
+      },
+    }).open();
+  }
+
+  /**
+   * Merge into an existing note
+   */
+  private async mergeIntoNote(proposal: MergeProposal, note: RefinedNote): Promise<void> {
+    try {
+      const startedAt = Date.now();
+      await this.plugin.mergeService.merge(proposal, note);
+      this.contextLinkService.markDirty();
+      await this.notifyWithUndo(`Merged into ${proposal.target}`, proposal.target, startedAt);
+      this.close();
+    } catch (error) {
+      console.error('Failed to merge note:', error);
+      this.toast.error('Failed to merge into existing note');
+    }
   }
 
   /**
@@ -706,9 +840,10 @@ export class RecordModal extends Modal {
    */
   private async appendToDailyNote(content: string): Promise<void> {
     try {
-      await this.vaultOps.createOrAppendDailyNote(this.appendTelemetryMetadata(content));
+      const startedAt = Date.now();
+      const file = await this.vaultOps.createOrAppendDailyNote(this.appendTelemetryMetadata(content));
       this.contextLinkService.markDirty();
-      this.toast.success('Appended to daily note');
+      await this.notifyWithUndo('Appended to daily note', file.path, startedAt);
       this.close();
     } catch (error) {
       console.error('Failed to append to daily note:', error);
@@ -721,9 +856,10 @@ export class RecordModal extends Modal {
    */
   private async insertAtCursor(content: string): Promise<void> {
     try {
+      const startedAt = Date.now();
       await this.vaultOps.insertAtCursor(this.appendTelemetryMetadata(content));
       this.contextLinkService.markDirty();
-      this.toast.success('Inserted at cursor');
+      await this.notifyWithUndo('Inserted at cursor', this.app.workspace.getActiveFile()?.path, startedAt);
       this.close();
     } catch (error) {
       console.error('Failed to insert at cursor:', error);
@@ -731,6 +867,37 @@ export class RecordModal extends Modal {
     }
   }
 
+  /**
+   * Show success toast with an Undo action if this write snapshotted an existing note
+   */
+  private async notifyWithUndo(message: string, filePath: string | undefined, since: number): Promise<void> {
+    const history = this.vaultOps.getHistory();
+    const snapshot = filePath ? await history.getLatestSnapshot(filePath) : null;
+
+    if (!snapshot || snapshot.timestamp < since) {
+      this.toast.success(message);
+      return;
+    }
+
+    this.toast.show({
+      message,
+      type: 'success',
+      duration: 8000,
+      action: {
+        label: 'Undo',
+        callback: () => {
+          history
+            .revert(snapshot)
+            .then(() => this.toast.info('Zeddal write undone'))
+            .catch((error) => {
+              console.error('Failed to undo write:', error);
+              this.toast.error('Failed to undo write');
+            });
+        },
+      },
+    });
+  }
+
   /**
    * Start UI updates
    */
@@ -782,6 +949,9 @@ export class RecordModal extends Modal {
       this.recorderService.stop();
     }
 
+    this.liveStream?.cancel();
+    this.liveStream = null;
+
     this.destroyEqualizer();
   }
 
@@ -857,15 +1027,15 @@ export class RecordModal extends Modal {
   private async determineTargetFolder(content: string): Promise<string | null> {
     // Use RAG to find semantically similar notes
     try {
-      const similarContexts = await this.vaultRAGService.retrieveContext(content);
+      const similarContexts = await this.vaultRAGService.retrieveContext(content, this.contextScope);
 
       if (similarContexts.length > 0) {
         // Extract folder paths from similar notes
         const folderCounts = new Map<string, number>();
 
         for (const context of similarContexts) {
-          // Extract file path from context (format: 'From "path/to/file.md":\n...')
-          const pathMatch = context.match(/From "(.+)":/);
+          // Extract file path from context (format: 'From "path/to/file.md" [[file#Heading]]:\n...')
+          const pathMatch = context.match(/From "([^"]+)"/);
           if (pathMatch) {
             const filePath = pathMatch[1];
             // Get folder path (everything before the last /)
@@ -1016,6 +1186,18 @@ export class RecordModal extends Modal {
     });
     this.stopBtn.onclick = () => this.stopRecording();
 
+    if (this.pluginSettings().liveTranscription) {
+      this.liveTranscriptEl = contentEl.createDiv('zeddal-live-transcript');
+      this.liveTranscriptEl.style.marginTop = '12px';
+      this.liveTranscriptEl.style.padding = '12px';
+      this.liveTranscriptEl.style.maxHeight = '200px';
+      this.liveTranscriptEl.style.overflow = 'auto';
+      this.liveTranscriptEl.style.whiteSpace = 'pre-wrap';
+      this.liveTranscriptEl.style.backgroundColor = 'var(--background-secondary)';
+      this.liveTranscriptEl.style.borderRadius = '6px';
+      this.liveTranscriptEl.style.color = 'var(--text-muted)';
+      this.liveTranscriptEl.setText('Live transcript appears here as you speak...');
+    }
   }
 
   /**
@@ -1130,6 +1312,8 @@ export class RecordModal extends Modal {
     this.isRecording = false;
     this.currentTranscription = '';
     this.linkCount = 0;
+    this.contextScope = null;
+    this.contextScopeText = '';
     this.renderRecordingUI();
     this.setupEventListeners();
     try {
@@ -1142,6 +1326,27 @@ export class RecordModal extends Modal {
     }
   }
 
+  /**
+   * Per-recording override of which vault notes may be used as context
+   */
+  private renderContextScope(container: HTMLElement): void {
+    const row = container.createDiv('zeddal-context-scope');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.marginTop = '8px';
+
+    row.createEl('label', { text: 'Vault context:' });
+    const input = row.createEl('input', { type: 'text' });
+    input.placeholder = 'Whole vault (e.g. Projects/Acme, #client, -Archive, after:2025-01-01)';
+    input.value = this.contextScopeText;
+    input.style.flex = '1';
+    input.addEventListener('input', () => {
+      this.contextScopeText = input.value.trim();
+      this.contextScope = RetrievalFilters.parseScope(input.value);
+    });
+  }
+
   /**
    * Render link summary magic-moment indicator
    */
@@ -1151,6 +1356,60 @@ export class RecordModal extends Modal {
       count > 0 ? `✨ ${label}: ${count} ${count === 1 ? 'link' : 'links'}` : `✨ ${label}: none yet`;
   }
 
+  /**
+   * MCP tools for the refinement model when tool use is on. Each call is
+   * listed under the status line and needs approval unless its server is
+   * set to always allow, or the user allowed the server for this note.
+   */
+  private createRefinementTools(): RefinementTools | undefined {
+    const settings = this.pluginSettings();
+    if (!settings.enableMCP || !settings.enableMCPToolUse || !this.mcpClientService.isReady()) {
+      return undefined;
+    }
+
+    const available = this.mcpClientService.getCallableTools();
+    if (available.length === 0) {
+      return undefined;
+    }
+
+    const approvedServers = new Set<string>();
+    const callsEl = this.contentEl.createEl('ul', { cls: 'zeddal-mcp-tool-calls' });
+    callsEl.style.fontSize = '0.85em';
+    callsEl.style.color = 'var(--text-muted)';
+
+    return {
+      available,
+      maxCalls: settings.mcpMaxToolCalls,
+      run: async (tool, args) => {
+        const label = MCPToolCalling.describeCall(tool, args);
+        const entry = callsEl.createEl('li', { text: `🛠️ ${label} — awaiting approval` });
+
+        if (this.mcpClientService.getToolApproval(tool.serverId) !== 'allow' && !approvedServers.has(tool.serverId)) {
+          const decision = await MCPToolApprovalModal.ask(this.app, tool, args);
+          if (decision === 'deny') {
+            entry.textContent = `🚫 ${label} — denied`;
+            return 'The user denied this tool call.';
+          }
+          if (decision === 'server') {
+            approvedServers.add(tool.serverId);
+          }
+        }
+
+        entry.textContent = `⏳ ${label} — running`;
+        try {
+          const result = await this.mcpClientService.callTool(tool.serverId, tool.name, args);
+          entry.textContent = result.isError
+            ? `⚠️ ${label} — tool reported an error`
+            : `✓ ${label} — ${result.text.length} chars`;
+          return result.isError ? `Tool error: ${result.text}` : result.text;
+        } catch (error) {
+          entry.textContent = `✗ ${label} — ${error?.message || error}`;
+          throw error;
+        }
+      },
+    };
+  }
+
   /**
    * Count wikilinks in given text
    */
@@ -1858,7 +2117,7 @@ Refined transcription:`;
     return this.plugin?.settings || ({} as ZeddalSettings);
   }
 
-  private renderConfidenceStatus(score: number): void {
+  private renderConfidenceStatus(score: number, label: string = 'Audio clarity'): void {
     if (!this.confidenceEl) return;
     const status = mapConfidenceToStatus(score);
     const timestamp = this.lastUpdated
@@ -1868,7 +2127,7 @@ Refined transcription:`;
     this.confidenceEl.empty();
 
     const row = this.confidenceEl.createDiv({ cls: 'zeddal-status-row' });
-    row.createSpan({ text: 'Audio clarity: ', cls: 'zeddal-status-label' });
+    row.createSpan({ text: `${label}: `, cls: 'zeddal-status-label' });
     row.createSpan({
       text: status.label,
       cls: `zeddal-status-chip zeddal-status-${status.color}`,
@@ -1883,6 +2142,58 @@ Refined transcription:`;
     }
   }
 
+  /**
+   * List low-confidence words under the transcript; clicking one selects it in the editor
+   */
+  private renderLowConfidenceSpans(container: HTMLElement): void {
+    const spans = TranscriptConfidence.findLowConfidenceSpans(this.transcriptSegments);
+    if (spans.length === 0) return;
+
+    const wrapper = container.createDiv('zeddal-low-confidence');
+    wrapper.createSpan({
+      text: `⚠ ${spans.length} uncertain span(s) — click to select: `,
+      cls: 'zeddal-text-muted',
+    });
+
+    let searchFrom = 0;
+    for (const span of spans) {
+      const mark = wrapper.createEl('mark', {
+        text: span.text,
+        cls: 'zeddal-low-confidence-span',
+      });
+      mark.setAttr('title', `Confidence ${Math.round(span.confidence * 100)}% at ${this.formatSeconds(span.start * 1000)}`);
+      const spanSearchFrom = searchFrom;
+      mark.onclick = () => this.selectInTranscript(span.text, spanSearchFrom);
+
+      const index = (this.editableTranscript?.value ?? '').toLowerCase().indexOf(span.text.toLowerCase(), searchFrom);
+      if (index >= 0) {
+        searchFrom = index + span.text.length;
+      }
+    }
+  }
+
+  /**
+   * Select text in the editable transcript (first match at or after `from`, else anywhere)
+   */
+  private selectInTranscript(text: string, from: number): void {
+    const editor = this.editableTranscript;
+    if (!editor) return;
+
+    const haystack = editor.value.toLowerCase();
+    const needle = text.toLowerCase();
+    let index = haystack.indexOf(needle, from);
+    if (index < 0) {
+      index = haystack.indexOf(needle);
+    }
+    if (index < 0) {
+      this.toast.info('Text was changed since transcription');
+      return;
+    }
+
+    editor.focus();
+    editor.setSelectionRange(index, index + text.length);
+  }
+
   private appendTelemetryMetadata(content: string): string {
     const speaking = this.formatSeconds(this.lastTelemetrySnapshot.speakingTimeMs);
     const recorded = this.formatSeconds(this.lastTelemetrySnapshot.totalRecordingTimeMs);
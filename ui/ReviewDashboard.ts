@@ -5,20 +5,59 @@
 /**
  * ReviewDashboard: Multi-tab diff viewer after transcription
  * Architecture: Tab-based UI for reviewing refined notes before commit
- * Status: Phase 2 - TODO
+ * Status: Phase 2 - Implemented
+ *
+ * Tabs:
+ * - New Note: editable title/body, confidence metrics, save destinations
+ * - Merge Options: one DiffPane per MergeProposal with merge/dismiss
+ * - History: raw transcript → refined diff and snapshots of merge targets
+ *
+ * Nothing is written here; the chosen action is handed back via onDecision.
  */
 
 import { Modal, App } from 'obsidian';
 import { RefinedNote, MergeProposal } from '../utils/Types';
+import { MergeService } from '../services/MergeService';
+import { HistoryService } from '../services/HistoryService';
+import { DiffPane } from './DiffPane';
+
+type ReviewTab = 'new-note' | 'merge' | 'history';
+
+export type ReviewDecision =
+  | { action: 'new-note'; title: string; body: string }
+  | { action: 'daily-note'; body: string }
+  | { action: 'cursor'; body: string }
+  | { action: 'merge'; proposal: MergeProposal; note: RefinedNote };
+
+export interface ReviewDashboardOptions {
+  mergeService: MergeService;
+  history: HistoryService;
+  prepareBody?: (body: string) => string; // Applied to merge previews so they match what gets written
+  onDecision: (decision: ReviewDecision) => void | Promise<void>;
+  onReject?: () => void;
+}
 
 export class ReviewDashboard extends Modal {
   private note: RefinedNote;
   private proposals: MergeProposal[];
+  private options: ReviewDashboardOptions;
+  private activeTab: ReviewTab = 'new-note';
+  private renderToken = 0; // Bumped per render; async tab renders stop once it changes
+  private title: string;
+  private body: string;
+  private dismissed = new Set<string>();
+  private existingContent = new Map<string, string>();
+  private decided = false;
+  private tabBar: HTMLElement;
+  private tabContent: HTMLElement;
 
-  constructor(app: App, note: RefinedNote, proposals: MergeProposal[]) {
+  constructor(app: App, note: RefinedNote, proposals: MergeProposal[], options: ReviewDashboardOptions) {
     super(app);
     this.note = note;
     this.proposals = proposals;
+    this.options = options;
+    this.title = note.title;
+    this.body = note.body;
   }
 
   onOpen(): void {
@@ -26,18 +65,260 @@ export class ReviewDashboard extends Modal {
     contentEl.empty();
     contentEl.addClass('zeddal-review-dashboard');
 
-    // TODO: Phase 2 implementation
-    // TODO: Create tab navigation (New Note | Merge Options | History)
-    // TODO: Render DiffPane for each proposal
-    // TODO: Add Accept/Reject buttons
-    // TODO: Show confidence metrics
-    // TODO: Allow manual edits before commit
+    contentEl.createEl('h2', { text: 'Review before saving' });
+    this.tabBar = contentEl.createDiv('zeddal-tab-container');
+    this.tabContent = contentEl.createDiv('zeddal-tab-content');
+
+    // Open on merge options when a proposal clears the auto-merge threshold
+    if (this.proposals.some((p) => this.options.mergeService.shouldAutoMerge(p.similarity))) {
+      this.activeTab = 'merge';
+    }
 
-    contentEl.createEl('h2', { text: 'Review Dashboard (Phase 2)' });
-    contentEl.createEl('p', { text: 'Multi-tab diff viewer coming soon...' });
+    this.renderTabs();
   }
 
   onClose(): void {
-    // Cleanup
+    this.renderToken++;
+    this.contentEl.empty();
+    if (!this.decided) {
+      this.options.onReject?.();
+    }
+  }
+
+  private renderTabs(): void {
+    const token = ++this.renderToken;
+    this.tabBar.empty();
+    const openProposals = this.openProposals().length;
+    const tabs: Array<{ id: ReviewTab; label: string }> = [
+      { id: 'new-note', label: 'New Note' },
+      { id: 'merge', label: `Merge Options (${openProposals})` },
+      { id: 'history', label: 'History' },
+    ];
+
+    for (const tab of tabs) {
+      const tabEl = this.tabBar.createEl('button', {
+        text: tab.label,
+        cls: tab.id === this.activeTab ? 'zeddal-tab zeddal-tab-active' : 'zeddal-tab',
+      });
+      tabEl.onclick = () => {
+        this.activeTab = tab.id;
+        this.renderTabs();
+      };
+    }
+
+    this.tabContent.empty();
+    switch (this.activeTab) {
+      case 'new-note':
+        this.renderNewNoteTab(this.tabContent);
+        break;
+      case 'merge':
+        void this.renderMergeTab(this.tabContent, token);
+        break;
+      case 'history':
+        void this.renderHistoryTab(this.tabContent, token);
+        break;
+    }
+  }
+
+  /**
+   * New Note tab: confidence metrics and inline editing
+   */
+  private renderNewNoteTab(container: HTMLElement): void {
+    this.renderMetrics(container);
+
+    const titleInput = container.createEl('input', {
+      type: 'text',
+      placeholder: 'Enter custom title or leave blank for auto-generated',
+      value: this.title,
+      cls: 'zeddal-title-input',
+    });
+    titleInput.style.width = '100%';
+    titleInput.style.marginBottom = '8px';
+    titleInput.addEventListener('input', () => {
+      this.title = titleInput.value;
+    });
+    titleInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.decide({ action: 'new-note', title: this.title.trim(), body: this.body });
+      }
+    });
+
+    const bodyInput = container.createEl('textarea', { cls: 'zeddal-transcription-editor' });
+    bodyInput.value = this.body;
+    bodyInput.rows = 14;
+    bodyInput.style.width = '100%';
+    bodyInput.style.fontFamily = 'inherit';
+    bodyInput.addEventListener('input', () => {
+      this.body = bodyInput.value;
+    });
+
+    const actions = container.createDiv('zeddal-save-options');
+
+    const createBtn = actions.createEl('button', { text: '✓ Create Note', cls: 'mod-cta' });
+    createBtn.onclick = () =>
+      this.decide({ action: 'new-note', title: this.title.trim(), body: this.body });
+
+    const dailyBtn = actions.createEl('button', { text: 'Append to Daily Note' });
+    dailyBtn.onclick = () => this.decide({ action: 'daily-note', body: this.body });
+
+    const cursorBtn = actions.createEl('button', { text: 'Insert at Cursor' });
+    cursorBtn.onclick = () => this.decide({ action: 'cursor', body: this.body });
+
+    const rejectBtn = actions.createEl('button', { text: '✗ Discard', cls: 'mod-warning' });
+    rejectBtn.onclick = () => this.close();
+  }
+
+  /**
+   * Merge Options tab: DiffPane per proposal with merge/dismiss
+   */
+  private async renderMergeTab(container: HTMLElement, token: number): Promise<void> {
+    const proposals = this.openProposals();
+    if (proposals.length === 0) {
+      container.createEl('p', {
+        text: 'No similar notes found. Save as a new note instead.',
+        cls: 'zeddal-text-muted',
+      });
+      return;
+    }
+
+    const note = this.currentNote();
+    for (const proposal of proposals) {
+      const card = container.createDiv('zeddal-merge-proposal');
+      card.style.marginBottom = '16px';
+      card.style.padding = '12px';
+      card.style.border = '1px solid var(--background-modifier-border)';
+      card.style.borderRadius = '6px';
+
+      const header = card.createDiv('zeddal-merge-proposal-header');
+      header.createEl('strong', { text: proposal.target });
+      const similarity = Math.round(proposal.similarity * 100);
+      const recommended = this.options.mergeService.shouldAutoMerge(proposal.similarity);
+      header.createEl('span', {
+        text: ` — ${similarity}% similar${recommended ? ' (recommended)' : ''}`,
+        cls: recommended ? 'zeddal-text-accent' : 'zeddal-text-muted',
+      });
+
+      const diffEl = card.createDiv();
+      diffEl.style.maxHeight = '240px';
+      diffEl.style.overflow = 'auto';
+      diffEl.style.margin = '8px 0';
+      const pane = new DiffPane(diffEl);
+
+      const existing = await this.readExisting(proposal.target);
+      if (token !== this.renderToken) {
+        return; // Tab switched or re-rendered while reading
+      }
+      if (existing === null) {
+        diffEl.createEl('pre', { text: proposal.diff });
+      } else {
+        pane.render(existing, this.options.mergeService.buildMergedContent(existing, note));
+      }
+
+      const actions = card.createDiv('zeddal-save-options');
+      const acceptBtn = actions.createEl('button', { text: '✓ Merge', cls: 'mod-cta' });
+      acceptBtn.onclick = () => this.decide({ action: 'merge', proposal, note: this.currentNote() });
+
+      const rejectBtn = actions.createEl('button', { text: '✗ Dismiss' });
+      rejectBtn.onclick = () => {
+        this.dismissed.add(proposal.target);
+        this.renderTabs();
+      };
+    }
+  }
+
+  /**
+   * History tab: what refinement changed, plus rollback points of merge targets
+   */
+  private async renderHistoryTab(container: HTMLElement, token: number): Promise<void> {
+    const original = this.note.originalTranscription;
+    if (original) {
+      container.createEl('h3', { text: 'Transcript → note' });
+      const diffEl = container.createDiv();
+      diffEl.style.maxHeight = '240px';
+      diffEl.style.overflow = 'auto';
+      new DiffPane(diffEl).render(original, this.body);
+
+      const actions = container.createDiv('zeddal-save-options');
+      const restoreBtn = actions.createEl('button', { text: '↺ Use raw transcript' });
+      restoreBtn.onclick = () => {
+        this.body = original;
+        this.activeTab = 'new-note';
+        this.renderTabs();
+      };
+    }
+
+    container.createEl('h3', { text: 'Snapshots of similar notes' });
+    if (this.proposals.length === 0) {
+      container.createEl('p', { text: 'No merge targets to show.', cls: 'zeddal-text-muted' });
+      return;
+    }
+
+    const list = container.createEl('ul');
+    for (const proposal of this.proposals) {
+      const snapshots = await this.options.history.listSnapshots(proposal.target);
+      if (token !== this.renderToken) {
+        return;
+      }
+      const latest = snapshots[0];
+      list.createEl('li', {
+        text: latest
+          ? `${proposal.target}: ${snapshots.length} snapshot(s), latest ${new Date(latest.timestamp).toLocaleString()}`
+          : `${proposal.target}: no snapshots yet`,
+      });
+    }
+  }
+
+  private renderMetrics(container: HTMLElement): void {
+    const metrics = container.createDiv('zeddal-review-metrics zeddal-text-muted');
+    metrics.style.marginBottom = '8px';
+
+    const parts: string[] = [];
+    if (typeof this.note.confidenceAvg === 'number') {
+      parts.push(`Transcription confidence ${Math.round(this.note.confidenceAvg * 100)}%`);
+    }
+    parts.push(`${this.body.split(/\s+/).filter(Boolean).length} words`);
+    parts.push(`${(this.body.match(/\[\[[^\]]+\]\]/g) || []).length} links`);
+
+    const best = this.openProposals()[0];
+    if (best) {
+      parts.push(`best match ${Math.round(best.similarity * 100)}%`);
+    }
+
+    metrics.setText(parts.join(' · '));
+  }
+
+  private openProposals(): MergeProposal[] {
+    return this.proposals.filter((proposal) => !this.dismissed.has(proposal.target));
+  }
+
+  /**
+   * The note as edited, with the body prepared the way it will be written
+   */
+  private currentNote(): RefinedNote {
+    const body = this.options.prepareBody ? this.options.prepareBody(this.body) : this.body;
+    return { ...this.note, title: this.title.trim() || this.note.title, body };
+  }
+
+  private async readExisting(path: string): Promise<string | null> {
+    if (this.existingContent.has(path)) {
+      return this.existingContent.get(path) ?? null;
+    }
+    try {
+      const content = await this.app.vault.adapter.read(path);
+      this.existingContent.set(path, content);
+      return content;
+    } catch (error) {
+      console.warn(`[ReviewDashboard] Failed to read ${path}:`, error);
+      return null;
+    }
+  }
+
+  private decide(decision: ReviewDecision): void {
+    this.decided = true;
+    this.close();
+    Promise.resolve(this.options.onDecision(decision)).catch((error) => {
+      console.error('[ReviewDashboard] Failed to apply decision:', error);
+    });
   }
 }
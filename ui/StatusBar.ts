@@ -5,6 +5,21 @@
 import { App } from 'obsidian';
 import { eventBus } from '../utils/EventBus';
 import { TelemetrySnapshot } from '../services/RecordingTelemetry';
+import { mapConfidenceToStatus } from '../utils/ConfidenceStatus';
+import { AudioJob, AudioJobStatus } from '../services/AudioProcessingQueue';
+import { IndexingProgress } from '../services/VaultRAGService';
+import { MCPServerStatus } from '../services/MCPClientService';
+
+const QUEUE_STATUS_LABELS: Record<AudioJobStatus, string> = {
+  queued: 'queued',
+  importing: 'importing…',
+  transcribing: 'transcribing…',
+  refining: 'refining…',
+  saving: 'saving…',
+  done: 'done',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
 
 export type StatusBarState = 'idle' | 'listening' | 'processing' | 'saved' | 'error';
 
@@ -23,6 +38,10 @@ export class StatusBar {
   private currentState: StatusBarState = 'idle';
   private lastLinkCount = 0;
   private lastRawSaved = false;
+  private lastConfidence: number | null = null;
+  private queueJobs: AudioJob[] = [];
+  private indexingProgress: IndexingProgress | null = null;
+  private mcpStatus: MCPServerStatus[] = [];
   private isRecording = false;
   private dragState = {
     isDragging: false,
@@ -68,6 +87,26 @@ export class StatusBar {
     this.renderBadges();
   }
 
+  setTranscriptConfidence(score: number | null): void {
+    this.lastConfidence = score;
+    this.renderBadges();
+  }
+
+  setAudioQueue(jobs: AudioJob[]): void {
+    this.queueJobs = jobs;
+    this.renderBadges();
+  }
+
+  setIndexingProgress(progress: IndexingProgress | null): void {
+    this.indexingProgress = progress;
+    this.renderBadges();
+  }
+
+  setMCPStatus(status: MCPServerStatus[]): void {
+    this.mcpStatus = status;
+    this.renderBadges();
+  }
+
   flagRawSaved(): void {
     this.lastRawSaved = true;
     this.renderBadges();
@@ -150,12 +189,81 @@ export class StatusBar {
       });
     }
 
+    if (this.lastConfidence !== null) {
+      const status = mapConfidenceToStatus(this.lastConfidence);
+      const badge = this.badgesContainer.createSpan({
+        cls: `zeddal-status-badge zeddal-status-${status.color}`,
+        text: `Confidence ${Math.round(this.lastConfidence * 100)}%`,
+      });
+      badge.setAttr('title', `${status.label}\n${status.helpText}`);
+    }
+
     if (this.lastRawSaved) {
       this.badgesContainer.createSpan({
         cls: 'zeddal-status-badge',
         text: 'Raw snapshot saved',
       });
     }
+
+    this.renderQueueBadges();
+    this.renderIndexingBadge();
+    this.renderMCPBadge();
+  }
+
+  private renderMCPBadge(): void {
+    const servers = this.mcpStatus.filter((server) => server.state !== 'disabled');
+    if (servers.length === 0) return;
+
+    const healthy = servers.filter((server) => server.state === 'connected').length;
+    const badge = this.badgesContainer.createSpan({
+      cls: `zeddal-status-badge${healthy < servers.length ? ' zeddal-status-warning' : ''}`,
+      text: `MCP ${healthy}/${servers.length}`,
+    });
+    badge.setAttr(
+      'title',
+      servers
+        .map(
+          (server) =>
+            `${server.serverName}: ${server.state}` +
+            (server.error && server.state !== 'connected' ? ` (${server.error})` : '')
+        )
+        .join('\n')
+    );
+  }
+
+  private renderIndexingBadge(): void {
+    const progress = this.indexingProgress;
+    if (!progress) return;
+
+    const counts = progress.total > 0 ? ` ${progress.done}/${progress.total}` : '…';
+    const badge = this.badgesContainer.createSpan({
+      cls: `zeddal-status-badge${progress.failed > 0 ? ' zeddal-status-warning' : ''}`,
+      text: `${progress.paused ? 'Indexing paused' : 'Indexing'}${counts}${
+        progress.failed > 0 ? ` (${progress.failed} failed)` : ''
+      }`,
+    });
+    badge.setAttr('title', `Embedding vault notes with ${progress.model}\nPause or cancel from the command palette`);
+  }
+
+  private renderQueueBadges(): void {
+    if (this.queueJobs.length === 0) return;
+
+    const finished = this.queueJobs.filter((job) => job.status === 'done' || job.status === 'failed');
+    const failed = finished.filter((job) => job.status === 'failed').length;
+    const summary = this.badgesContainer.createSpan({
+      cls: `zeddal-status-badge${failed > 0 ? ' zeddal-status-warning' : ''}`,
+      text: `Batch ${finished.length}/${this.queueJobs.length}${failed > 0 ? ` (${failed} failed)` : ''}`,
+    });
+    summary.setAttr('title', this.queueJobs.map((job) => `${job.name}: ${QUEUE_STATUS_LABELS[job.status]}`).join('\n'));
+
+    // One badge per file currently being worked on
+    for (const job of this.queueJobs) {
+      if (job.status === 'queued' || job.status === 'done' || job.status === 'failed') continue;
+      this.badgesContainer.createSpan({
+        cls: 'zeddal-status-badge',
+        text: `${job.name} · ${QUEUE_STATUS_LABELS[job.status]}`,
+      });
+    }
   }
 
   private formatSeconds(ms: number): string {
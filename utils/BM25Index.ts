@@ -0,0 +1,155 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * BM25Index: Lexical retrieval over RAG chunks
+ * Architecture: In-memory inverted index (term → chunk key → term frequency)
+ * scored with Okapi BM25
+ *
+ * Complements embeddings on exact tokens they blur: proper nouns, part
+ * numbers, acronyms. Compound tokens like "X-500" are indexed whole, joined
+ * ("x500") and by part, so "X500", "x-500" and "X 500" all find each other.
+ */
+
+export interface BM25Options {
+  k1: number; // Term frequency saturation
+  b: number; // Length normalisation
+}
+
+export interface BM25Match {
+  key: string;
+  score: number;
+}
+
+const DEFAULT_OPTIONS: BM25Options = {
+  k1: 1.2,
+  b: 0.75,
+};
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by for from has have i if in into is it its me my of on or our so ' +
+    'that the their then there these this to was we were what when which who will with you your'
+  ).split(' ')
+);
+
+const WORD_PATTERN = /[a-z0-9À-ɏ]+(?:[-_./][a-z0-9À-ɏ]+)*/g;
+
+export class BM25Index {
+  private options: BM25Options;
+  private postings = new Map<string, Map<string, number>>();
+  private docTerms = new Map<string, string[]>(); // Distinct terms per key, for removal
+  private docLengths = new Map<string, number>();
+  private totalLength = 0;
+
+  constructor(options: Partial<BM25Options> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Lowercased terms with stopwords removed; compounds add joined and part forms
+   */
+  static tokenize(text: string): string[] {
+    const terms: string[] = [];
+
+    for (const word of text.toLowerCase().match(WORD_PATTERN) ?? []) {
+      const parts = word.split(/[-_./]/);
+      if (parts.length > 1) {
+        terms.push(word, parts.join(''));
+        terms.push(...parts.filter((part) => part.length > 1 && !STOPWORDS.has(part)));
+      } else if (!STOPWORDS.has(word)) {
+        terms.push(word);
+      }
+    }
+
+    return terms;
+  }
+
+  get size(): number {
+    return this.docLengths.size;
+  }
+
+  has(key: string): boolean {
+    return this.docLengths.has(key);
+  }
+
+  keys(): string[] {
+    return Array.from(this.docLengths.keys());
+  }
+
+  add(key: string, text: string): void {
+    if (this.has(key)) {
+      this.remove(key);
+    }
+
+    const terms = BM25Index.tokenize(text);
+    const frequencies = new Map<string, number>();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies.entries()) {
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+      }
+      posting.set(key, frequency);
+    }
+
+    this.docTerms.set(key, Array.from(frequencies.keys()));
+    this.docLengths.set(key, terms.length);
+    this.totalLength += terms.length;
+  }
+
+  remove(key: string): void {
+    const terms = this.docTerms.get(key);
+    if (!terms) return;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      posting?.delete(key);
+      if (posting && posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.docLengths.get(key) ?? 0;
+    this.docTerms.delete(key);
+    this.docLengths.delete(key);
+  }
+
+  /**
+   * Inverse document frequency (BM25+ style, never negative)
+   */
+  idf(term: string): number {
+    const documentFrequency = this.postings.get(term)?.size ?? 0;
+    return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  search(query: string, k: number): BM25Match[] {
+    if (this.size === 0 || k <= 0) return [];
+
+    const { k1, b } = this.options;
+    const averageLength = this.totalLength / this.size || 1;
+    const scores = new Map<string, number>();
+
+    for (const term of new Set(BM25Index.tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = this.idf(term);
+      for (const [key, frequency] of posting.entries()) {
+        const length = this.docLengths.get(key) ?? 0;
+        const score = idf * ((frequency * (k1 + 1)) / (frequency + k1 * (1 - b + (b * length) / averageLength)));
+        scores.set(key, (scores.get(key) ?? 0) + score);
+      }
+    }
+
+    return Array.from(scores.entries())
+      .map(([key, score]) => ({ key, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
@@ -19,26 +19,46 @@ export const DEFAULT_SETTINGS: ZeddalSettings = {
   customApiBase: '',
   customTranscriptionUrl: '',
   customEmbeddingUrl: '',
+  embeddingBackend: 'api', // OpenAI unless a custom embedding URL is set
+  localEmbeddingModelDir: '', // e.g. /models/all-MiniLM-L6-v2
   autoMergeThreshold: 0.85,
   silenceThreshold: 0.01, // RMS threshold for silence detection
-  silenceDuration: 1500, // ms of silence before auto-pause
+  silenceDuration: 1500, // ms of silence before it is skipped
+  liveTranscription: true, // Show transcript while still recording
+  liveSegmentSeconds: 15, // Cut live segments at the first pause after 15s
   // Note insertion settings
   defaultSaveLocation: 'ask', // Ask user where to save
   voiceNotesFolder: 'Voice Notes',
+  historyRetentionDays: 30, // Keep pre-write snapshots for 30 days
   autoRefine: true, // Auto-refine with GPT-4
   autoSaveRaw: true,
   autoContextLinks: true,
   enableAudioFilters: true,
   // Audio recording settings
   recordingsPath: 'Voice Notes/Recordings', // Default path for audio files
+  audioQueueConcurrency: 1, // Process dropped files one after another
+  watchFolderEnabled: false, // Opt-in: transcribes without asking
+  watchFolderPath: 'Voice Notes/Inbox', // Point phone recording sync here
   // RAG settings
   enableRAG: true, // Enable vector-based context retrieval
   ragTopK: 3, // Retrieve top 3 similar chunks
   ragChunkSize: 500, // Tokens per chunk
   ragChunkOverlap: 50, // Token overlap between chunks
+  ragIncludeFolders: [], // Whole vault
+  ragExcludeFolders: [], // e.g. Templates, Archive/**, Journal
+  ragIncludeTags: [], // No tag requirement
+  ragExcludeTags: [], // e.g. private
+  ragModifiedWithinDays: 0, // No age limit
+  ragRequestsPerMinute: 0, // Unlimited; e.g. 500 for an OpenAI tier-1 key
+  ragTokensPerMinute: 0, // Unlimited; e.g. 1000000 for an OpenAI tier-1 key
   // MCP settings
   enableMCP: false, // Disabled by default - user must explicitly enable
   mcpServers: [], // No servers configured by default
+  enableMCPToolUse: false, // Off by default - lets the model act through MCP servers
+  mcpMaxToolCalls: 5, // Bounds the tool-call loop of one refinement
+  enableMCPServer: false, // Off by default - exposes vault search and writes to local agents
+  mcpServerPort: 27150, // http://127.0.0.1:27150/mcp
+  mcpServerToken: '', // Generated when the server is first enabled
   // Q&A Session settings
   enableQAMode: true, // Enable Q&A mode (opt-in per recording)
   defaultLecturerLabel: 'Lecturer',
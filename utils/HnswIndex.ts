@@ -0,0 +1,373 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * HnswIndex: Approximate nearest-neighbour search over embedding vectors
+ * Architecture: Pure-JS Hierarchical Navigable Small World graph (cosine)
+ *
+ * - Layers: every vector is in layer 0; each higher layer holds an
+ *   exponentially smaller random subset used to jump across the graph
+ * - Search: greedy descent through the upper layers, then a beam search of
+ *   width `efSearch` in layer 0
+ * - Removal: tombstones (the node still routes searches but is never
+ *   returned); VaultRAGService compacts the graph on save once they pass
+ *   30%
+ * - Vectors are referenced, not copied, so the graph adds only adjacency lists
+ *   on top of the RAG index
+ */
+
+export interface HnswOptions {
+  M: number; // Links per node in upper layers (2M in layer 0)
+  efConstruction: number; // Beam width while inserting
+  efSearch: number; // Beam width while querying (raised to k when smaller)
+  random: () => number; // Injectable for deterministic tests
+}
+
+export interface HnswMatch {
+  key: string;
+  similarity: number;
+}
+
+interface Candidate {
+  node: number;
+  distance: number;
+}
+
+const DEFAULT_OPTIONS: HnswOptions = {
+  M: 16,
+  efConstruction: 100,
+  efSearch: 64,
+  random: Math.random,
+};
+
+const FORMAT_VERSION = 1;
+
+export class HnswIndex {
+  private options: HnswOptions;
+  private keys: string[] = [];
+  private vectors: number[][] = [];
+  private norms: number[] = [];
+  private levels: number[] = [];
+  private links: number[][][] = []; // links[node][level] → neighbour nodes
+  private deleted: boolean[] = [];
+  private nodeByKey = new Map<string, number>();
+  private entryPoint = -1;
+  private maxLevel = -1;
+  private deletedCount = 0;
+
+  constructor(options: Partial<HnswOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Live (non-deleted) vectors in the graph
+   */
+  get size(): number {
+    return this.keys.length - this.deletedCount;
+  }
+
+  has(key: string): boolean {
+    const node = this.nodeByKey.get(key);
+    return node !== undefined && !this.deleted[node];
+  }
+
+  keysInIndex(): string[] {
+    return Array.from(this.nodeByKey.keys()).filter((key) => this.has(key));
+  }
+
+  /**
+   * Share of nodes that are tombstones; VaultRAGService compacts past 30%
+   */
+  deletedRatio(): number {
+    return this.keys.length === 0 ? 0 : this.deletedCount / this.keys.length;
+  }
+
+  insert(key: string, vector: number[]): void {
+    this.insertAtLevel(key, vector, this.randomLevel());
+  }
+
+  private insertAtLevel(key: string, vector: number[], level: number): void {
+    if (vector.length === 0) return;
+    if (this.nodeByKey.has(key)) {
+      this.remove(key);
+    }
+
+    const node = this.keys.length;
+    this.keys.push(key);
+    this.vectors.push(vector);
+    this.norms.push(HnswIndex.norm(vector));
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => [] as number[]));
+    this.deleted.push(false);
+    this.nodeByKey.set(key, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(vector, this.norms[node], entry, layer);
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(vector, this.norms[node], entry, this.options.efConstruction, layer);
+      const neighbours = candidates.slice(0, this.options.M).map((candidate) => candidate.node);
+      this.links[node][layer] = neighbours;
+
+      for (const neighbour of neighbours) {
+        this.links[neighbour][layer].push(node);
+        this.prune(neighbour, layer);
+      }
+      entry = candidates[0].node;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  remove(key: string): void {
+    const node = this.nodeByKey.get(key);
+    if (node === undefined || this.deleted[node]) return;
+    this.deleted[node] = true;
+    this.deletedCount++;
+    this.nodeByKey.delete(key);
+  }
+
+  /**
+   * Top-k live vectors by cosine similarity to the query
+   */
+  search(query: number[], k: number): HnswMatch[] {
+    if (this.entryPoint === -1 || k <= 0 || this.size === 0) return [];
+
+    const queryNorm = HnswIndex.norm(query);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(query, queryNorm, entry, layer);
+    }
+
+    // Widen the beam by the tombstone share so deleted hits don't starve k
+    const ef = Math.ceil(Math.max(this.options.efSearch, k) / (1 - Math.min(this.deletedRatio(), 0.9)));
+    return this.searchLayer(query, queryNorm, entry, ef, 0)
+      .filter((candidate) => !this.deleted[candidate.node])
+      .slice(0, k)
+      .map((candidate) => ({ key: this.keys[candidate.node], similarity: 1 - candidate.distance }));
+  }
+
+  /**
+   * New graph without tombstones or keys rejected by `keep`; every node is
+   * re-inserted at its old level, so this costs about as much as a rebuild
+   */
+  compact(keep: (key: string) => boolean = () => true): HnswIndex {
+    const compacted = new HnswIndex(this.options);
+    const order = this.keys
+      .map((key, node) => node)
+      .filter((node) => !this.deleted[node] && keep(this.keys[node]))
+      .sort((a, b) => this.levels[b] - this.levels[a]); // Hubs first gives a better graph
+
+    for (const node of order) {
+      compacted.insertAtLevel(this.keys[node], this.vectors[node], this.levels[node]);
+    }
+    return compacted;
+  }
+
+  /**
+   * Binary snapshot of the graph (vectors are not included; they live in the
+   * embedding cache and are supplied again by key on load)
+   */
+  serialize(): ArrayBuffer {
+    const live = this.keys.map((key, node) => node).filter((node) => !this.deleted[node]);
+    const remap = new Map(live.map((node, index) => [node, index] as [number, number]));
+
+    const linkData: number[] = [];
+    for (const node of live) {
+      for (let layer = 0; layer <= this.levels[node]; layer++) {
+        const neighbours = this.links[node][layer].filter((neighbour) => remap.has(neighbour));
+        linkData.push(neighbours.length, ...neighbours.map((neighbour) => remap.get(neighbour) as number));
+      }
+    }
+
+    const header = new TextEncoder().encode(
+      JSON.stringify({
+        version: FORMAT_VERSION,
+        M: this.options.M,
+        keys: live.map((node) => this.keys[node]),
+        levels: live.map((node) => this.levels[node]),
+      })
+    );
+    const linkOffset = Math.ceil((4 + header.length) / 4) * 4;
+    const buffer = new ArrayBuffer(linkOffset + linkData.length * 4);
+    new DataView(buffer).setUint32(0, header.length, true);
+    new Uint8Array(buffer, 4, header.length).set(header);
+    new Uint32Array(buffer, linkOffset, linkData.length).set(linkData);
+    return buffer;
+  }
+
+  /**
+   * Restore a graph; nodes whose vector can't be resolved become tombstones.
+   * Returns null when the snapshot is unusable (format or M changed).
+   */
+  static deserialize(
+    buffer: ArrayBuffer,
+    resolveVector: (key: string) => number[] | undefined,
+    options: Partial<HnswOptions> = {}
+  ): HnswIndex | null {
+    const index = new HnswIndex(options);
+    const view = new DataView(buffer);
+    const headerLength = view.getUint32(0, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+    if (header.version !== FORMAT_VERSION || header.M !== index.options.M) {
+      return null;
+    }
+
+    const linkOffset = Math.ceil((4 + headerLength) / 4) * 4;
+    const linkData = new Uint32Array(buffer, linkOffset, (buffer.byteLength - linkOffset) / 4);
+    const keys: string[] = header.keys;
+    const levels: number[] = header.levels;
+
+    let cursor = 0;
+    for (let node = 0; node < keys.length; node++) {
+      const vector = resolveVector(keys[node]) ?? [];
+      index.keys.push(keys[node]);
+      index.vectors.push(vector);
+      index.norms.push(HnswIndex.norm(vector));
+      index.levels.push(levels[node]);
+      index.deleted.push(false);
+      index.nodeByKey.set(keys[node], node);
+
+      const nodeLinks: number[][] = [];
+      for (let layer = 0; layer <= levels[node]; layer++) {
+        const count = linkData[cursor++];
+        nodeLinks.push(Array.from(linkData.subarray(cursor, cursor + count)));
+        cursor += count;
+      }
+      index.links.push(nodeLinks);
+
+      if (levels[node] > index.maxLevel) {
+        index.maxLevel = levels[node];
+        index.entryPoint = node;
+      }
+    }
+
+    // Vectors that no longer exist only route searches (at maximum distance)
+    keys.filter((key, node) => index.vectors[node].length === 0).forEach((key) => index.remove(key));
+    return index;
+  }
+
+  private randomLevel(): number {
+    const mL = 1 / Math.log(this.options.M);
+    return Math.floor(-Math.log(Math.max(this.options.random(), 1e-12)) * mL);
+  }
+
+  private greedyClosest(query: number[], queryNorm: number, entry: number, layer: number): number {
+    let current = entry;
+    let currentDistance = this.distance(query, queryNorm, current);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbour of this.links[current][layer] ?? []) {
+        const distance = this.distance(query, queryNorm, neighbour);
+        if (distance < currentDistance) {
+          current = neighbour;
+          currentDistance = distance;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Beam search in one layer; returns candidates sorted nearest first
+   */
+  private searchLayer(query: number[], queryNorm: number, entry: number, ef: number, layer: number): Candidate[] {
+    const visited = new Set<number>([entry]);
+    const start = { node: entry, distance: this.distance(query, queryNorm, entry) };
+    const frontier: Candidate[] = [start]; // Sorted nearest first
+    const results: Candidate[] = [start]; // Sorted nearest first, at most ef
+
+    while (frontier.length > 0) {
+      const current = frontier.shift() as Candidate;
+      if (results.length >= ef && current.distance > results[results.length - 1].distance) {
+        break;
+      }
+
+      for (const neighbour of this.links[current.node][layer] ?? []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = this.distance(query, queryNorm, neighbour);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          const candidate = { node: neighbour, distance };
+          HnswIndex.insertSorted(frontier, candidate);
+          HnswIndex.insertSorted(results, candidate);
+          if (results.length > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep a node's links within the layer limit, preferring the closest
+   */
+  private prune(node: number, layer: number): void {
+    const limit = layer === 0 ? this.options.M * 2 : this.options.M;
+    const neighbours = this.links[node][layer];
+    if (neighbours.length <= limit) return;
+
+    const vector = this.vectors[node];
+    const norm = this.norms[node];
+    this.links[node][layer] = neighbours
+      .map((neighbour) => ({ neighbour, distance: this.distance(vector, norm, neighbour) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map((entry) => entry.neighbour);
+  }
+
+  private distance(query: number[], queryNorm: number, node: number): number {
+    const vector = this.vectors[node];
+    const norm = this.norms[node];
+    if (queryNorm === 0 || norm === 0 || vector.length !== query.length) {
+      return 1;
+    }
+
+    let dot = 0;
+    for (let i = 0; i < query.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return 1 - dot / (queryNorm * norm);
+  }
+
+  private static insertSorted(list: Candidate[], candidate: Candidate): void {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (list[mid].distance < candidate.distance) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    list.splice(low, 0, candidate);
+  }
+
+  private static norm(vector: number[]): number {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+      sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+  }
+}
@@ -0,0 +1,130 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MCPContextRanker: Decide what to ask an MCP server for a given transcript
+ * Architecture: Pure helpers over tool and resource listings; MCPClientService
+ * does the I/O
+ *
+ * - A server's search-style tool (search_notes, find, query...) is called
+ *   with the transcript's keywords, but only when the server marks it
+ *   read-only and its input is a query field; the call runs on every
+ *   recording without asking, so anything else is left alone
+ * - Resources are ranked by BM25 over name, description and URI; only those
+ *   that share terms with the transcript are read
+ */
+
+import { BM25Index } from './BM25Index';
+
+export interface MCPToolInfo {
+  name: string;
+  description?: string;
+  annotations?: {
+    readOnlyHint?: boolean; // Server's claim that the tool changes nothing
+  };
+  inputSchema?: {
+    properties?: Record<string, { type?: string | string[]; description?: string }>;
+    required?: string[];
+  };
+}
+
+export interface MCPSearchTool {
+  name: string;
+  argument: string; // Free-text input the query goes into
+  limitArgument?: string; // Optional numeric result cap, if the tool has one
+}
+
+export interface MCPResourceInfo {
+  uri: string;
+  name: string;
+  description?: string;
+}
+
+const SEARCH_WORDS = /(?:^|[^a-z])(search|query|find|lookup|retrieve|recall)/i;
+const QUERY_ARGUMENTS = ['query', 'q', 'search', 'search_query', 'searchquery', 'text', 'keywords', 'term', 'prompt'];
+const LIMIT_ARGUMENTS = ['limit', 'max_results', 'maxresults', 'top_k', 'topk', 'k', 'count', 'n'];
+
+export class MCPContextRanker {
+  /**
+   * First search-style tool, or null. Only read-only tools named like a search
+   * with a query argument qualify; tools needing any other required input are
+   * skipped, since nothing but the query can be filled in.
+   */
+  static findSearchTool(tools: MCPToolInfo[]): MCPSearchTool | null {
+    for (const tool of tools) {
+      if (tool.annotations?.readOnlyHint !== true || !SEARCH_WORDS.test(tool.name)) continue;
+
+      const properties = tool.inputSchema?.properties ?? {};
+      const names = Object.keys(properties);
+      const isType = (name: string, type: string) => {
+        const declared = properties[name]?.type;
+        return Array.isArray(declared) ? declared.includes(type) : declared === type;
+      };
+
+      const argument = names.find((name) => isType(name, 'string') && QUERY_ARGUMENTS.includes(name.toLowerCase()));
+      if (!argument) continue;
+
+      const otherRequired = (tool.inputSchema?.required ?? []).filter((name) => name !== argument);
+      if (otherRequired.length > 0) continue;
+
+      const limitArgument = names.find(
+        (name) => LIMIT_ARGUMENTS.includes(name.toLowerCase()) && (isType(name, 'integer') || isType(name, 'number'))
+      );
+
+      return { name: tool.name, argument, limitArgument };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resources sharing terms with the query, best first; unrelated ones are dropped
+   */
+  static rankResources<T extends MCPResourceInfo>(query: string, resources: T[], limit: number): T[] {
+    const index = new BM25Index();
+    const byUri = new Map<string, T>();
+    for (const resource of resources) {
+      if (byUri.has(resource.uri)) continue;
+      byUri.set(resource.uri, resource);
+      index.add(resource.uri, `${resource.name}\n${resource.description ?? ''}\n${resource.uri}`);
+    }
+
+    return index
+      .search(query, limit)
+      .filter((match) => match.score > 0)
+      .map((match) => byUri.get(match.key)!)
+      .filter((resource) => resource !== undefined);
+  }
+
+  /**
+   * Most frequent distinctive terms of a transcript, in order of first use;
+   * search tools handle a keyword line better than a minutes-long monologue
+   */
+  static searchQuery(text: string, maxTerms: number = 12): string {
+    const counts = new Map<string, number>();
+    for (const term of BM25Index.tokenize(text)) {
+      if (term.length < 3 || /^\d+$/.test(term)) continue;
+      counts.set(term, (counts.get(term) ?? 0) + 1);
+    }
+
+    // Map keeps insertion order, i.e. first use
+    const order = Array.from(counts.keys());
+    const position = new Map(order.map((term, i) => [term, i] as [string, number]));
+    const kept = new Set(
+      order
+        .slice()
+        .sort((a, b) => counts.get(b)! - counts.get(a)! || position.get(a)! - position.get(b)!)
+        .slice(0, maxTerms)
+    );
+    return order.filter((term) => kept.has(term)).join(' ');
+  }
+
+  /**
+   * Cap a context item so one large result cannot crowd out the rest of the prompt
+   */
+  static truncate(text: string, maxChars: number): string {
+    const trimmed = text.trim();
+    return trimmed.length > maxChars ? `${trimmed.substring(0, maxChars)}\n…[truncated]` : trimmed;
+  }
+}
@@ -0,0 +1,107 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MCPServerHealth: Connection health of one MCP server
+ * Architecture: Small state machine fed by MCPClientService (connects, pings,
+ * call outcomes), plus the reconnect backoff and a tail of the server's stderr
+ *
+ * connecting → connected ⇄ degraded → failed → (backoff) → connecting
+ * A failed ping or timed-out call degrades a server; enough consecutive
+ * failures, or a closed connection, fail it and schedule a reconnect.
+ */
+
+import { MCPConnectionState } from './Types';
+
+export interface MCPHealthOptions {
+  failuresBeforeFailed: number; // Consecutive failed pings/calls that drop the connection
+  baseRetryMs: number; // First reconnect delay, doubled per attempt
+  maxRetryMs: number;
+  logLines: number; // stderr lines kept
+}
+
+const DEFAULT_OPTIONS: MCPHealthOptions = {
+  failuresBeforeFailed: 3,
+  baseRetryMs: 5 * 1000,
+  maxRetryMs: 5 * 60 * 1000,
+  logLines: 200,
+};
+
+export class MCPServerHealth {
+  state: MCPConnectionState = 'connecting';
+  lastError: string | null = null;
+  retryAt: number | null = null; // When the next reconnect attempt runs
+  private options: MCPHealthOptions;
+  private consecutiveFailures = 0;
+  private reconnectAttempts = 0;
+  private log: string[] = [];
+
+  constructor(options: Partial<MCPHealthOptions> = {}, private now: () => number = () => Date.now()) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  connecting(): void {
+    this.state = 'connecting';
+    this.retryAt = null;
+  }
+
+  /**
+   * Handshake done; the backoff starts over, the last error stays for display
+   */
+  connected(): void {
+    this.state = 'connected';
+    this.consecutiveFailures = 0;
+    this.reconnectAttempts = 0;
+    this.retryAt = null;
+  }
+
+  recordSuccess(): void {
+    this.consecutiveFailures = 0;
+    if (this.state === 'degraded') {
+      this.state = 'connected';
+    }
+  }
+
+  /**
+   * A ping or call timed out or errored; returns the resulting state
+   */
+  recordFailure(error: string): MCPConnectionState {
+    this.lastError = error;
+    this.consecutiveFailures++;
+    if (this.state === 'connected' || this.state === 'degraded') {
+      this.state = this.consecutiveFailures >= this.options.failuresBeforeFailed ? 'failed' : 'degraded';
+    }
+    return this.state;
+  }
+
+  /**
+   * Connect attempt failed or an open connection closed
+   */
+  connectionLost(error: string): void {
+    this.state = 'failed';
+    this.lastError = error;
+  }
+
+  /**
+   * Delay before the next reconnect attempt: base × 2^attempts, capped
+   */
+  scheduleRetry(): number {
+    const delay = Math.min(this.options.baseRetryMs * Math.pow(2, this.reconnectAttempts), this.options.maxRetryMs);
+    this.reconnectAttempts++;
+    this.retryAt = this.now() + delay;
+    return delay;
+  }
+
+  appendLog(text: string): void {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    this.log.push(...lines);
+    if (this.log.length > this.options.logLines) {
+      this.log.splice(0, this.log.length - this.options.logLines);
+    }
+  }
+
+  getLog(): string[] {
+    return [...this.log];
+  }
+}
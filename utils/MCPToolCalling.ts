@@ -0,0 +1,105 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MCPToolCalling: Offer MCP tools to the refinement model as OpenAI functions
+ * Architecture: Pure helpers; UnifiedRefinementService runs the tool-call
+ * loop and MCPClientService performs the calls
+ *
+ * Function names must match ^[a-zA-Z0-9_-]{1,64}$ and be unique across all
+ * servers, so each one is built from the server and tool name, sanitized and
+ * de-duplicated; the returned map resolves a name the model calls back to
+ * its server and tool.
+ */
+
+export interface MCPCallableTool {
+  serverId: string;
+  serverName: string;
+  name: string;
+  description?: string;
+  inputSchema?: Record<string, unknown>;
+}
+
+export interface OpenAIFunctionTool {
+  type: 'function';
+  function: {
+    name: string;
+    description: string;
+    parameters: Record<string, unknown>;
+  };
+}
+
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_CHARS = 1000;
+const MAX_ARGUMENTS_PREVIEW = 120;
+
+export class MCPToolCalling {
+  static toFunctions<T extends MCPCallableTool>(
+    tools: T[]
+  ): { functions: OpenAIFunctionTool[]; byName: Map<string, T> } {
+    const byName = new Map<string, T>();
+    const functions = tools.map((tool): OpenAIFunctionTool => {
+      const name = MCPToolCalling.uniqueName(`${tool.serverName}__${tool.name}`, byName);
+      byName.set(name, tool);
+
+      const description = `[${tool.serverName}] ${tool.description ?? tool.name}`;
+      return {
+        type: 'function',
+        function: {
+          name,
+          description:
+            description.length > MAX_DESCRIPTION_CHARS ? `${description.substring(0, MAX_DESCRIPTION_CHARS)}…` : description,
+          parameters: MCPToolCalling.parameters(tool.inputSchema),
+        },
+      };
+    });
+
+    return { functions, byName };
+  }
+
+  /**
+   * Arguments the model sent; anything but a JSON object is rejected so the
+   * model can be told and retry
+   */
+  static parseArguments(raw: string | undefined): Record<string, unknown> {
+    if (!raw || raw.trim().length === 0) {
+      return {};
+    }
+
+    const parsed = JSON.parse(raw);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Tool arguments must be a JSON object');
+    }
+    return parsed;
+  }
+
+  /**
+   * One-line label for a call, e.g. Jira › get_issue({"key":"OPS-42"})
+   */
+  static describeCall(tool: MCPCallableTool, args: Record<string, unknown>): string {
+    const json = JSON.stringify(args);
+    const preview = json.length > MAX_ARGUMENTS_PREVIEW ? `${json.substring(0, MAX_ARGUMENTS_PREVIEW)}…` : json;
+    return `${tool.serverName} › ${tool.name}(${preview})`;
+  }
+
+  private static uniqueName(raw: string, taken: Map<string, unknown>): string {
+    const base = raw.replace(/[^a-zA-Z0-9_-]+/g, '_').substring(0, MAX_NAME_LENGTH) || 'tool';
+    let name = base;
+    for (let n = 2; taken.has(name); n++) {
+      const suffix = `_${n}`;
+      name = `${base.substring(0, MAX_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    return name;
+  }
+
+  /**
+   * JSON Schema for the function; OpenAI requires an object schema
+   */
+  private static parameters(inputSchema?: Record<string, unknown>): Record<string, unknown> {
+    if (!inputSchema || inputSchema.type !== 'object') {
+      return { type: 'object', properties: {} };
+    }
+    return { ...inputSchema, properties: inputSchema.properties ?? {} };
+  }
+}
@@ -0,0 +1,284 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * MarkdownChunker: Split notes into chunks along markdown structure
+ * Architecture: Line-based block parser (headings, code fences, lists,
+ * tables, paragraphs) feeding a section-aware packer
+ *
+ * - Chunks never straddle a heading; each records its heading breadcrumb
+ * - Code fences, lists and tables stay whole unless larger than a chunk, in
+ *   which case they split by line (fences are re-opened in every piece)
+ * - Oversized paragraphs fall back to TextChunker's sentence splitting
+ * - YAML frontmatter is stripped from the text; its tags and aliases are
+ *   returned for the caller to attach as chunk metadata
+ */
+
+import { ChunkOptions, TextChunk, TextChunker } from './TextChunker';
+
+export interface NoteFrontmatter {
+  tags: string[]; // Without the leading '#'
+  aliases: string[];
+}
+
+export interface MarkdownChunk extends TextChunk {
+  headingPath: string[]; // Enclosing headings, outermost first
+}
+
+export interface MarkdownChunkResult {
+  frontmatter: NoteFrontmatter;
+  chunks: MarkdownChunk[];
+}
+
+type BlockKind = 'heading' | 'code' | 'list' | 'table' | 'paragraph';
+
+interface Block {
+  kind: BlockKind;
+  text: string;
+  start: number; // Offsets into the full note
+  end: number;
+  level?: number; // Heading level
+  title?: string; // Heading text
+}
+
+interface Line {
+  text: string;
+  start: number;
+}
+
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const TABLE_ROW = /^\s*\|/;
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+export class MarkdownChunker {
+  /**
+   * Chunk a note; offsets in the result refer to the original content
+   */
+  static chunk(content: string, options: ChunkOptions): MarkdownChunkResult {
+    const { frontmatter, bodyStart } = this.parseFrontmatter(content);
+    const chunks: MarkdownChunk[] = [];
+
+    if (!content.slice(bodyStart).trim()) {
+      return { frontmatter, chunks };
+    }
+
+    const maxChars = options.chunkSize * 4; // 1 token ≈ 4 chars, as TextChunker
+    const overlapChars = options.overlap * 4;
+    const headings: Array<{ level: number; title: string }> = [];
+    let current: Block[] = [];
+    let currentLength = 0;
+
+    const flush = (carryOverlap: boolean) => {
+      const body = current.filter((block) => block.kind !== 'heading');
+      if (body.length > 0) {
+        const text = current.map((block) => block.text).join('\n\n');
+        chunks.push({
+          text,
+          chunkIndex: chunks.length,
+          tokens: TextChunker.estimateTokens(text),
+          startChar: current[0].start,
+          endChar: current[current.length - 1].end,
+          headingPath: headings.map((heading) => heading.title),
+        });
+      }
+
+      // Carry a short trailing block into the next chunk of the same section
+      const last = body[body.length - 1];
+      current = carryOverlap && last && last.kind !== 'code' && last.text.length <= overlapChars ? [last] : [];
+      currentLength = current.reduce((sum, block) => sum + block.text.length, 0);
+    };
+
+    for (const block of this.parseBlocks(content, bodyStart)) {
+      if (block.kind === 'heading') {
+        flush(false);
+        while (headings.length > 0 && headings[headings.length - 1].level >= (block.level as number)) {
+          headings.pop();
+        }
+        headings.push({ level: block.level as number, title: block.title as string });
+        current = [block];
+        currentLength = block.text.length;
+        continue;
+      }
+
+      for (const piece of block.text.length > maxChars ? this.splitBlock(block, maxChars) : [block]) {
+        const hasContent = current.some((existing) => existing.kind !== 'heading');
+        if (hasContent && currentLength + piece.text.length + 2 > maxChars) {
+          flush(true);
+        }
+        current.push(piece);
+        currentLength += piece.text.length + 2;
+      }
+    }
+    flush(false);
+
+    return { frontmatter, chunks };
+  }
+
+  /**
+   * Read tags and aliases from YAML frontmatter (inline lists, block lists
+   * or comma-separated strings); `bodyStart` is where the note body begins
+   */
+  static parseFrontmatter(content: string): { frontmatter: NoteFrontmatter; bodyStart: number } {
+    const frontmatter: NoteFrontmatter = { tags: [], aliases: [] };
+    const match = content.match(FRONTMATTER);
+    if (!match) {
+      return { frontmatter, bodyStart: 0 };
+    }
+
+    const lines = match[1].split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const keyMatch = lines[i].match(/^(tags|tag|aliases|alias):\s*(.*)$/i);
+      if (!keyMatch) continue;
+
+      const isTags = keyMatch[1].toLowerCase().startsWith('tag');
+      let values: string[];
+      const inline = keyMatch[2].trim();
+
+      if (inline) {
+        const list = inline.replace(/^\[|\]$/g, '');
+        // Tags may also be space-separated; aliases may contain spaces
+        values = list.split(isTags ? /[,\s]+/ : /,/);
+      } else {
+        values = [];
+        while (i + 1 < lines.length && /^\s*-\s*/.test(lines[i + 1])) {
+          values.push(lines[++i].replace(/^\s*-\s*/, ''));
+        }
+      }
+
+      const cleaned = values
+        .map((value) => value.trim().replace(/^["']|["']$/g, ''))
+        .map((value) => (isTags ? value.replace(/^#/, '') : value))
+        .filter((value) => value.length > 0);
+
+      (isTags ? frontmatter.tags : frontmatter.aliases).push(...cleaned);
+    }
+
+    return { frontmatter, bodyStart: match[0].length };
+  }
+
+  private static parseBlocks(content: string, bodyStart: number): Block[] {
+    const lines: Line[] = [];
+    let offset = bodyStart;
+    for (const text of content.slice(bodyStart).split('\n')) {
+      lines.push({ text: text.replace(/\r$/, ''), start: offset });
+      offset += text.length + 1;
+    }
+
+    const blocks: Block[] = [];
+    const toBlock = (kind: BlockKind, from: number, to: number): Block => {
+      const start = lines[from].start;
+      const end = lines[to].start + lines[to].text.length;
+      return { kind, text: content.slice(start, end).replace(/\r/g, ''), start, end };
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i].text;
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(FENCE);
+      if (fence) {
+        const marker = fence[1];
+        let j = i + 1;
+        while (j < lines.length && !lines[j].text.trim().startsWith(marker)) j++;
+        const last = Math.min(j, lines.length - 1);
+        blocks.push(toBlock('code', i, last));
+        i = last + 1;
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        blocks.push({ ...toBlock('heading', i, i), level: heading[1].length, title: heading[2].trim() });
+        i++;
+        continue;
+      }
+
+      let kind: BlockKind = 'paragraph';
+      let continues = (next: string) => !HEADING.test(next) && !FENCE.test(next) && !LIST_ITEM.test(next) && !TABLE_ROW.test(next);
+      if (LIST_ITEM.test(line)) {
+        kind = 'list';
+        continues = (next) => LIST_ITEM.test(next) || /^\s+\S/.test(next);
+      } else if (TABLE_ROW.test(line)) {
+        kind = 'table';
+        continues = (next) => TABLE_ROW.test(next);
+      }
+
+      let j = i;
+      while (j + 1 < lines.length && lines[j + 1].text.trim() && continues(lines[j + 1].text)) j++;
+      blocks.push(toBlock(kind, i, j));
+      i = j + 1;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Break a block that alone exceeds the chunk size
+   */
+  private static splitBlock(block: Block, maxChars: number): Block[] {
+    if (block.kind === 'paragraph') {
+      return TextChunker.chunk(block.text, { chunkSize: Math.floor(maxChars / 4), overlap: 0 }).map((piece) => ({
+        kind: block.kind,
+        text: piece.text,
+        start: block.start + piece.startChar,
+        end: Math.min(block.end, block.start + piece.endChar),
+      }));
+    }
+
+    let lines = block.text.split('\n');
+    let open = '';
+    let close = '';
+    if (block.kind === 'code') {
+      open = lines[0];
+      const marker = (open.match(FENCE) as RegExpMatchArray)[1];
+      const hasClose = lines.length > 1 && lines[lines.length - 1].trim().startsWith(marker);
+      close = hasClose ? lines[lines.length - 1] : marker;
+      lines = lines.slice(1, hasClose ? -1 : undefined);
+    } else if (block.kind === 'table' && lines.length > 2) {
+      // Repeat the header row and separator so every piece is a readable table
+      open = `${lines[0]}\n${lines[1]}`;
+      lines = lines.slice(2);
+    }
+
+    const pieces: Block[] = [];
+    const budget = maxChars - open.length - close.length - 2;
+    let group: string[] = [];
+    let groupLength = 0;
+    let offset = block.start + (open ? open.length + 1 : 0);
+    let groupStart = offset;
+
+    const emit = () => {
+      if (group.length === 0) return;
+      const body = group.join('\n');
+      pieces.push({
+        kind: block.kind,
+        text: [open, body, close].filter((part) => part).join('\n'),
+        start: groupStart,
+        end: Math.min(block.end, groupStart + body.length),
+      });
+      group = [];
+      groupLength = 0;
+    };
+
+    for (const line of lines) {
+      if (group.length > 0 && groupLength + line.length + 1 > budget) {
+        emit();
+      }
+      if (group.length === 0) groupStart = offset;
+      group.push(line);
+      groupLength += line.length + 1;
+      offset += line.length + 1;
+    }
+    emit();
+
+    return pieces;
+  }
+}
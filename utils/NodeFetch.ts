@@ -0,0 +1,98 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * NodeFetch: `fetch` over Node's http/https modules
+ * Architecture: Drop-in FetchLike for the MCP SDK's HTTP and SSE transports
+ *
+ * The renderer's global `fetch` runs from the app://obsidian.md origin, so
+ * requests with auth or MCP session headers need a CORS preflight that most
+ * MCP servers never answer (some refuse any request carrying an Origin).
+ * Node's http client has no origin and no CORS, and the plugin is
+ * desktop-only, so it is always available.
+ *
+ * - Bodies are sent as strings (the SDK only posts JSON and form data)
+ * - The response body is streamed, so SSE streams work
+ * - Redirects are not followed
+ */
+
+import * as http from 'http';
+import * as https from 'https';
+
+// Statuses a Response refuses a body for
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+
+export class NodeFetch {
+  static fetch(input: string | URL, init: RequestInit = {}): Promise<Response> {
+    const url = new URL(input.toString());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return Promise.reject(new TypeError(`Unsupported protocol: ${url.protocol}`));
+    }
+
+    const headers: Record<string, string> = {};
+    new Headers(init.headers).forEach((value, name) => {
+      headers[name] = value;
+    });
+    const body = init.body === undefined || init.body === null ? undefined : String(init.body);
+    if (body !== undefined) {
+      headers['content-length'] = String(Buffer.byteLength(body));
+    }
+
+    const signal = init.signal;
+    const aborted = () => new DOMException('The operation was aborted.', 'AbortError');
+    if (signal?.aborted) {
+      return Promise.reject(aborted());
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === 'https:' ? https : http;
+      const request = client.request(url, { method: init.method ?? 'GET', headers }, (response) => {
+        let settled = false;
+        const body = new ReadableStream<Uint8Array>({
+          start(controller) {
+            const fail = (error: Error) => {
+              if (settled) return;
+              settled = true;
+              controller.error(error);
+            };
+            response.on('data', (chunk: Buffer) => {
+              if (!settled) controller.enqueue(new Uint8Array(chunk));
+            });
+            response.on('end', () => {
+              if (settled) return;
+              settled = true;
+              controller.close();
+            });
+            response.on('error', fail);
+            response.on('close', () => fail(signal?.aborted ? aborted() : new Error('Connection closed')));
+          },
+          cancel() {
+            settled = true;
+            response.destroy();
+          },
+        });
+
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(response.headers)) {
+          for (const item of Array.isArray(value) ? value : value === undefined ? [] : [value]) {
+            responseHeaders.append(name, item);
+          }
+        }
+
+        const status = response.statusCode ?? 500;
+        resolve(
+          new Response(NULL_BODY_STATUSES.includes(status) ? null : body, {
+            status,
+            statusText: response.statusMessage,
+            headers: responseHeaders,
+          })
+        );
+      });
+
+      request.on('error', reject);
+      signal?.addEventListener('abort', () => request.destroy(aborted()), { once: true });
+      request.end(body);
+    });
+  }
+}
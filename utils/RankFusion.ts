@@ -0,0 +1,108 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * RankFusion: Combine vector and keyword rankings, then re-rank
+ * Architecture: Pure functions used by VaultRAGService hybrid retrieval
+ *
+ * - Reciprocal rank fusion merges ranked lists without comparing their
+ *   incompatible scores (cosine vs BM25)
+ * - Re-ranking orders the fused shortlist by cosine similarity boosted by
+ *   query-term coverage and by exact identifier matches ("X-500", "NASA").
+ *   The boosted score is for ordering only: it is not a cosine, so similarity
+ *   thresholds must be applied to `vectorSimilarity`
+ */
+
+import { BM25Index } from './BM25Index';
+
+export interface RerankCandidate {
+  key: string;
+  text: string;
+  title: string; // Note title, checked for identifier matches
+  vectorSimilarity: number; // Cosine similarity to the query
+}
+
+export interface RankedCandidate extends RerankCandidate {
+  score: number; // Ordering only; compare thresholds against vectorSimilarity
+}
+
+const COVERAGE_WEIGHT = 0.1;
+const IDENTIFIER_WEIGHT = 0.2;
+
+export class RankFusion {
+  /**
+   * Reciprocal rank fusion: score = Σ 1 / (k + rank) over every list a key appears in
+   */
+  static reciprocalRank(rankings: string[][], k: number = 60): Array<{ key: string; score: number }> {
+    const scores = new Map<string, number>();
+
+    for (const ranking of rankings) {
+      ranking.forEach((key, rank) => {
+        scores.set(key, (scores.get(key) ?? 0) + 1 / (k + rank + 1));
+      });
+    }
+
+    return Array.from(scores.entries())
+      .map(([key, score]) => ({ key, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Tokens that name something exactly: contain a digit or are all caps
+   * (normalised to lowercase without separators)
+   */
+  static identifiers(text: string): string[] {
+    const found = new Set<string>();
+    for (const word of text.match(/[A-Za-z0-9]+(?:[-_./][A-Za-z0-9]+)*/g) ?? []) {
+      const hasDigit = /\d/.test(word) && /[A-Za-z]/.test(word);
+      const isAcronym = word.length >= 2 && /^[A-Z0-9-_./]+$/.test(word) && /[A-Z]/.test(word);
+      if (hasDigit || isAcronym) {
+        found.add(word.toLowerCase().replace(/[-_./]/g, ''));
+      }
+    }
+    return Array.from(found);
+  }
+
+  /**
+   * Every word normalised the same way as `identifiers`, for matching against them
+   */
+  private static normalizedWords(text: string): Set<string> {
+    const words = text.match(/[A-Za-z0-9]+(?:[-_./][A-Za-z0-9]+)*/g) ?? [];
+    return new Set(words.map((word) => word.toLowerCase().replace(/[-_./]/g, '')));
+  }
+
+  /**
+   * Re-rank a fused shortlist, best first
+   */
+  static rerank(query: string, candidates: RerankCandidate[]): RankedCandidate[] {
+    const queryTerms = Array.from(new Set(BM25Index.tokenize(query)));
+    const queryIdentifiers = RankFusion.identifiers(query);
+
+    return candidates
+      .map((candidate) => {
+        const textTerms = new Set(BM25Index.tokenize(candidate.text));
+        const coverage = queryTerms.length > 0
+          ? queryTerms.filter((term) => textTerms.has(term)).length / queryTerms.length
+          : 0;
+
+        let identifierScore = 0;
+        if (queryIdentifiers.length > 0) {
+          const titleIds = RankFusion.normalizedWords(candidate.title);
+          const textIds = RankFusion.normalizedWords(candidate.text);
+          const matched = queryIdentifiers.reduce(
+            (sum, id) => sum + (titleIds.has(id) ? 1 : textIds.has(id) ? 0.75 : 0),
+            0
+          );
+          identifierScore = matched / queryIdentifiers.length;
+        }
+
+        const score = Math.min(
+          1,
+          candidate.vectorSimilarity + COVERAGE_WEIGHT * coverage + IDENTIFIER_WEIGHT * identifierScore
+        );
+        return { ...candidate, score };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+}
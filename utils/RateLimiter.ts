@@ -0,0 +1,115 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * RateLimiter: Requests-per-minute and tokens-per-minute budget for API calls
+ * Architecture: Sliding one-minute window of recorded calls; `acquire` waits
+ * until the next call fits both limits. Limits are read on every call, so
+ * settings changes apply to a running job.
+ *
+ * A limit of 0 means unlimited. A single call larger than the token budget is
+ * let through alone once the window is empty, rather than waiting forever.
+ */
+
+export interface RateLimits {
+  requestsPerMinute: number;
+  tokensPerMinute: number;
+}
+
+interface RecordedCall {
+  time: number;
+  tokens: number;
+}
+
+const WINDOW_MS = 60 * 1000;
+
+export class RateLimiter {
+  private calls: RecordedCall[] = [];
+
+  constructor(
+    private limits: () => RateLimits,
+    private now: () => number = () => Date.now(),
+    private sleep: (ms: number) => Promise<void> = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+  ) {}
+
+  /**
+   * Milliseconds until a call of `tokens` fits the budget (0 = now)
+   */
+  delayFor(tokens: number): number {
+    const { requestsPerMinute, tokensPerMinute } = this.limits();
+    const now = this.now();
+    this.prune(now);
+
+    let wait = 0;
+    if (requestsPerMinute > 0 && this.calls.length >= requestsPerMinute) {
+      const oldestToExpire = this.calls[this.calls.length - requestsPerMinute];
+      wait = Math.max(wait, oldestToExpire.time + WINDOW_MS - now);
+    }
+
+    if (tokensPerMinute > 0) {
+      const budget = tokensPerMinute - Math.min(tokens, tokensPerMinute);
+      let used = this.calls.reduce((sum, call) => sum + call.tokens, 0);
+      for (const call of this.calls) {
+        if (used <= budget) break;
+        used -= call.tokens;
+        wait = Math.max(wait, call.time + WINDOW_MS - now);
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Count a call that has already been made (e.g. a query that must not wait)
+   */
+  record(tokens: number): void {
+    this.calls.push({ time: this.now(), tokens });
+  }
+
+  /**
+   * Wait until a call of `tokens` fits, then count it
+   */
+  async acquire(tokens: number): Promise<void> {
+    let wait = this.delayFor(tokens);
+    while (wait > 0) {
+      await this.sleep(wait);
+      wait = this.delayFor(tokens);
+    }
+    this.record(tokens);
+  }
+
+  /**
+   * Split items into consecutive groups of at most `maxTokens` each (0 = one
+   * group); an item larger than the limit gets a group of its own
+   */
+  static batchByTokens<T>(items: T[], tokensOf: (item: T) => number, maxTokens: number): T[][] {
+    if (maxTokens <= 0) {
+      return items.length > 0 ? [items] : [];
+    }
+
+    const groups: T[][] = [];
+    let group: T[] = [];
+    let groupTokens = 0;
+    for (const item of items) {
+      const tokens = tokensOf(item);
+      if (group.length > 0 && groupTokens + tokens > maxTokens) {
+        groups.push(group);
+        group = [];
+        groupTokens = 0;
+      }
+      group.push(item);
+      groupTokens += tokens;
+    }
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    return groups;
+  }
+
+  private prune(now: number): void {
+    while (this.calls.length > 0 && this.calls[0].time <= now - WINDOW_MS) {
+      this.calls.shift();
+    }
+  }
+}
@@ -0,0 +1,157 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * RetrievalFilter: Restrict which notes RAG indexes and retrieves from
+ * Architecture: Plain filter objects plus pure matching helpers, shared by
+ * the settings-wide scope and per-recording overrides
+ *
+ * Folder patterns are globs relative to the vault root: `*` stays within one
+ * folder, `**` crosses folders, `?` is one character. A pattern that matches a
+ * folder also matches everything below it ("Projects/Acme", "Archive/20*").
+ * Tags match hierarchically: "journal" also matches "journal/private".
+ */
+
+import { VaultChunk } from './Types';
+
+export interface RetrievalFilter {
+  includeFolders?: string[]; // Only these folders (empty = whole vault)
+  excludeFolders?: string[]; // Never these folders
+  includeTags?: string[]; // Only notes with at least one of these tags
+  excludeTags?: string[]; // Never notes with any of these tags
+  modifiedAfter?: number; // Epoch ms, inclusive
+  modifiedBefore?: number; // Epoch ms, exclusive
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RetrievalFilters {
+  /**
+   * Whether a note path passes the folder rules
+   */
+  static matchesPath(path: string, filter: RetrievalFilter): boolean {
+    const include = filter.includeFolders ?? [];
+    if (include.length > 0 && !include.some((pattern) => RetrievalFilters.globToRegExp(pattern).test(path))) {
+      return false;
+    }
+    return !(filter.excludeFolders ?? []).some((pattern) => RetrievalFilters.globToRegExp(pattern).test(path));
+  }
+
+  /**
+   * Whether a note's tags pass the tag rules
+   */
+  static matchesTags(tags: string[] | undefined, filter: RetrievalFilter): boolean {
+    const noteTags = (tags ?? []).map((tag) => tag.toLowerCase());
+    const hasAny = (wanted: string[]) =>
+      wanted.some((raw) => {
+        const tag = RetrievalFilters.normalizeTag(raw);
+        return noteTags.some((noteTag) => noteTag === tag || noteTag.startsWith(`${tag}/`));
+      });
+
+    const include = filter.includeTags ?? [];
+    if (include.length > 0 && !hasAny(include)) {
+      return false;
+    }
+    return !hasAny(filter.excludeTags ?? []);
+  }
+
+  /**
+   * Whether a chunk passes every filter given (folders, tags and dates)
+   */
+  static matchesChunk(chunk: VaultChunk, ...filters: Array<RetrievalFilter | null | undefined>): boolean {
+    return filters.every((filter) => {
+      if (!filter) return true;
+      if (filter.modifiedAfter !== undefined && chunk.lastModified < filter.modifiedAfter) return false;
+      if (filter.modifiedBefore !== undefined && chunk.lastModified >= filter.modifiedBefore) return false;
+      return RetrievalFilters.matchesPath(chunk.path, filter) && RetrievalFilters.matchesTags(chunk.tags, filter);
+    });
+  }
+
+  static isEmpty(filter: RetrievalFilter | null | undefined): boolean {
+    return (
+      !filter ||
+      ((filter.includeFolders ?? []).length === 0 &&
+        (filter.excludeFolders ?? []).length === 0 &&
+        (filter.includeTags ?? []).length === 0 &&
+        (filter.excludeTags ?? []).length === 0 &&
+        filter.modifiedAfter === undefined &&
+        filter.modifiedBefore === undefined)
+    );
+  }
+
+  /**
+   * Parse a one-line scope such as "Projects/Acme, #client, after:2025-01-01"
+   * into a filter: `#tag`, `-#tag`, `-Folder`, `after:`/`before:` dates, and
+   * anything else as an included folder. Returns null when nothing was given.
+   */
+  static parseScope(text: string): RetrievalFilter | null {
+    const filter: RetrievalFilter = {};
+    const push = (key: 'includeFolders' | 'excludeFolders' | 'includeTags' | 'excludeTags', value: string) => {
+      (filter[key] = filter[key] ?? []).push(value);
+    };
+
+    for (const raw of text.split(',')) {
+      const token = raw.trim();
+      if (!token) continue;
+
+      const date = token.match(/^(after|before):\s*(\d{4}-\d{2}-\d{2})$/i);
+      if (date) {
+        const time = new Date(`${date[2]}T00:00:00`).getTime();
+        if (isNaN(time)) continue;
+        if (date[1].toLowerCase() === 'after') {
+          filter.modifiedAfter = time;
+        } else {
+          filter.modifiedBefore = time + DAY_MS; // "before:" includes that day
+        }
+      } else if (token.startsWith('-#')) {
+        push('excludeTags', token.slice(2));
+      } else if (token.startsWith('#')) {
+        push('includeTags', token.slice(1));
+      } else if (token.startsWith('-')) {
+        push('excludeFolders', token.slice(1).trim());
+      } else {
+        push('includeFolders', token);
+      }
+    }
+
+    return RetrievalFilters.isEmpty(filter) ? null : filter;
+  }
+
+  /**
+   * One pattern per line (or comma-separated), blanks dropped; for settings text areas
+   */
+  static parseList(text: string): string[] {
+    return text
+      .split(/[\n,]/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+  }
+
+  static globToRegExp(pattern: string): RegExp {
+    const glob = pattern.trim().replace(/^\/+|\/+$/g, '') || '**';
+
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        // "**/" may also match no folders at all
+        source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += glob[i + 2] === '/' ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    // A matched folder takes its contents with it
+    return new RegExp(`^${source}(?:/.*)?$`, 'i');
+  }
+
+  private static normalizeTag(tag: string): string {
+    return tag.trim().replace(/^#/, '').toLowerCase();
+  }
+}
@@ -128,7 +128,7 @@ export class TextChunker {
    * Rough heuristic: 1 token ≈ 4 characters
    * This is approximate but sufficient for chunking
    */
-  private static estimateTokens(text: string): number {
+  static estimateTokens(text: string): number {
     return Math.ceil(text.length / 4);
   }
 
@@ -0,0 +1,116 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * TranscriptConfidence: Derive confidence scores from backend timing data
+ * Architecture: Pure helpers shared by the Whisper backends and RecordModal
+ *
+ * - whisper.cpp: mean token probability per segment (and per word)
+ * - OpenAI: exp(avg_logprob) scaled down by no_speech_prob per segment
+ */
+
+import { TranscriptSegment } from './Types';
+
+export interface ConfidenceSpan {
+  text: string;
+  confidence: number;
+  start: number; // Seconds
+  end: number; // Seconds
+}
+
+export class TranscriptConfidence {
+  static readonly LOW_THRESHOLD = 0.6;
+
+  /**
+   * Confidence from OpenAI verbose_json segment fields
+   */
+  static fromLogprob(avgLogprob: number, noSpeechProb: number = 0): number {
+    const probability = Math.exp(Math.min(0, avgLogprob));
+    const speech = 1 - Math.max(0, Math.min(1, noSpeechProb));
+    return probability * speech;
+  }
+
+  /**
+   * Mean of token probabilities (undefined when there are none)
+   */
+  static mean(probabilities: number[]): number | undefined {
+    if (probabilities.length === 0) return undefined;
+    return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+  }
+
+  /**
+   * Duration-weighted confidence over segments; null when no segment has one
+   */
+  static overall(segments: TranscriptSegment[] | undefined): number | null {
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const segment of segments ?? []) {
+      if (typeof segment.confidence !== 'number') continue;
+      // Zero-length segments still count a little so they are not ignored
+      const weight = Math.max(segment.end - segment.start, 0.01);
+      weighted += segment.confidence * weight;
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? weighted / totalWeight : null;
+  }
+
+  /**
+   * Spans to double-check: runs of low-probability words, or whole segments
+   * when the backend only reports segment-level confidence
+   */
+  static findLowConfidenceSpans(
+    segments: TranscriptSegment[] | undefined,
+    threshold: number = TranscriptConfidence.LOW_THRESHOLD
+  ): ConfidenceSpan[] {
+    const spans: ConfidenceSpan[] = [];
+
+    for (const segment of segments ?? []) {
+      const words = segment.words?.filter((word) => typeof word.probability === 'number') ?? [];
+
+      if (words.length === 0) {
+        if (typeof segment.confidence === 'number' && segment.confidence < threshold && segment.text) {
+          spans.push({
+            text: segment.text,
+            confidence: segment.confidence,
+            start: segment.start,
+            end: segment.end,
+          });
+        }
+        continue;
+      }
+
+      let run: { words: string[]; probabilities: number[]; start: number; end: number } | null = null;
+      const flush = () => {
+        if (run) {
+          spans.push({
+            text: run.words.join(' '),
+            confidence: TranscriptConfidence.mean(run.probabilities) ?? 0,
+            start: run.start,
+            end: run.end,
+          });
+          run = null;
+        }
+      };
+
+      for (const word of words) {
+        const probability = word.probability as number;
+        if (probability >= threshold) {
+          flush();
+          continue;
+        }
+        if (!run) {
+          run = { words: [], probabilities: [], start: word.start, end: word.end };
+        }
+        run.words.push(word.word);
+        run.probabilities.push(probability);
+        run.end = word.end;
+      }
+      flush();
+    }
+
+    return spans;
+  }
+}
@@ -11,6 +11,23 @@ export interface TranscriptionChunk {
   text: string;
   confidence: number;
   timestamp: number;
+  segments?: TranscriptSegment[]; // Timed segments (seconds from the start of the recording)
+  missingPieces?: number; // Pieces of a split recording that failed; marked […] in the text
+}
+
+export interface TranscriptSegment {
+  start: number; // Seconds
+  end: number; // Seconds
+  text: string;
+  confidence?: number; // 0-1 when the backend reports probabilities
+  words?: TranscriptWord[]; // Only when the backend reports word timings
+}
+
+export interface TranscriptWord {
+  word: string;
+  start: number; // Seconds
+  end: number; // Seconds
+  probability?: number; // 0-1 when the backend reports it
 }
 
 export interface RefinedNote {
@@ -68,26 +85,46 @@ export interface ZeddalSettings {
   customApiBase?: string;
   customTranscriptionUrl?: string;
   customEmbeddingUrl?: string; // For local RAG servers
+  embeddingBackend: 'api' | 'local-onnx'; // API (OpenAI/custom URL) or in-process ONNX model
+  localEmbeddingModelDir: string; // Folder with model.onnx + vocab for the ONNX backend
   autoMergeThreshold: number;
   silenceThreshold: number;
   silenceDuration: number;
+  liveTranscription: boolean; // Transcribe rolling segments while recording
+  liveSegmentSeconds: number; // Minimum segment length before cutting at a pause
   // Note insertion settings
   defaultSaveLocation: 'daily-note' | 'new-note' | 'cursor' | 'ask';
   voiceNotesFolder: string;
+  historyRetentionDays: number; // Days to keep pre-write snapshots
   autoRefine: boolean;
   autoSaveRaw: boolean;
   autoContextLinks: boolean;
   enableAudioFilters: boolean;
   // Audio recording settings
   recordingsPath: string; // Path where raw audio files are saved
+  audioQueueConcurrency: number; // Dropped files transcribed at the same time
+  watchFolderEnabled: boolean; // Transcribe audio that syncs into the watch folder
+  watchFolderPath: string; // Vault folder watched for new recordings
   // RAG settings
   enableRAG: boolean;
   ragTopK: number; // Number of similar chunks to retrieve
   ragChunkSize: number; // Tokens per chunk
   ragChunkOverlap: number; // Token overlap between chunks
+  ragIncludeFolders: string[]; // Folder globs to index (empty = whole vault)
+  ragExcludeFolders: string[]; // Folder globs never indexed or retrieved
+  ragIncludeTags: string[]; // Only index notes with one of these tags (empty = all)
+  ragExcludeTags: string[]; // Notes with these tags are never indexed or retrieved
+  ragModifiedWithinDays: number; // Only retrieve notes edited this recently (0 = any time)
+  ragRequestsPerMinute: number; // Embedding API requests per minute while indexing (0 = unlimited)
+  ragTokensPerMinute: number; // Embedding API tokens per minute while indexing (0 = unlimited)
   // MCP settings
   enableMCP: boolean; // Enable Model Context Protocol integration
   mcpServers: MCPServerConfig[]; // Configured MCP servers
+  enableMCPToolUse: boolean; // Offer MCP tools to the refinement model via function calling
+  mcpMaxToolCalls: number; // Tool calls allowed per refinement
+  enableMCPServer: boolean; // Expose Zeddal's own tools to other agents over local HTTP
+  mcpServerPort: number; // Localhost port of Zeddal's MCP server
+  mcpServerToken: string; // Bearer token agents must send to Zeddal's MCP server
   // Q&A Session settings
   enableQAMode: boolean; // Enable Q&A session mode
   defaultLecturerLabel: string; // Default lecturer label
@@ -133,8 +170,16 @@ export interface AudioChunk {
   blob: Blob;
   timestamp: number;
   duration: number;
+  offsetMs?: number; // Position within the full recording (live segments, split pieces)
+  source?: AudioChunkSource; // Set on partial audio whose failures the caller handles itself
 }
 
+/**
+ * Partial audio transcribed on the side: a failure is reported on the
+ * 'error' event with this source, and the whole recording is not lost
+ */
+export type AudioChunkSource = 'live-segment' | 'split-piece';
+
 export interface SavedAudioFile {
   filePath: string; // Path to the audio file in vault
   timestamp: number;
@@ -153,6 +198,8 @@ export type EventType =
   | 'recording-stopped'
   | 'recording-paused'
   | 'recording-resumed'
+  | 'recording-segment'
+  | 'recording-segment-dropped'
   | 'error'
   | 'file-created'
   | 'file-modified'
@@ -174,6 +221,16 @@ export interface EmbeddingVector {
   dimensions: number;
 }
 
+/**
+ * Which backend and model produced a set of vectors; every index is tagged
+ * with one so vectors from different models are never compared
+ */
+export interface EmbeddingSpec {
+  provider: 'openai' | 'custom' | 'local-onnx';
+  model: string;
+  endpoint?: string; // Custom server URL, or the local model folder
+}
+
 export interface VaultChunk {
   path: string; // File path
   chunkIndex: number; // Position within file
@@ -181,6 +238,10 @@ export interface VaultChunk {
   embedding: EmbeddingVector;
   lastModified: number; // File modification timestamp
   tokens: number; // Approximate token count
+  contentHash?: string; // Hash of the whole file when it was chunked
+  headingPath?: string[]; // Enclosing markdown headings, outermost first
+  tags?: string[]; // Frontmatter tags of the note
+  aliases?: string[]; // Frontmatter aliases of the note
 }
 
 export interface SimilarityResult {
@@ -224,18 +285,43 @@ export interface IEmbeddingProvider {
   getDimensions(): number;
 }
 
+/**
+ * How Zeddal talks to an MCP server: a local process over stdio, or a
+ * long-running service over streamable HTTP or (legacy) HTTP+SSE
+ */
+export type MCPTransportType = 'stdio' | 'http' | 'sse';
+
+/**
+ * Whether a server's tools may be called: after the user approves each call,
+ * without asking, or not at all. The automatic context search asks no one,
+ * so it only runs on 'allow'.
+ */
+export type MCPToolApproval = 'ask' | 'allow' | 'off';
+
 /**
  * MCP Server Configuration
  */
 export interface MCPServerConfig {
   id: string; // Unique identifier for this server
   name: string; // Display name
+  transport?: MCPTransportType; // Missing on servers saved before HTTP support = 'stdio'
   command: string; // Command to run (for stdio transport)
   args?: string[]; // Command arguments
   env?: Record<string, string>; // Environment variables
+  url?: string; // Server endpoint (http and sse transports)
+  headers?: Record<string, string>; // Extra request headers (http and sse transports)
+  authToken?: string; // Sent as "Authorization: Bearer <token>" (http and sse transports)
+  timeoutSeconds?: number; // Per-call timeout; missing = 15
+  toolApproval?: MCPToolApproval; // Tool use during refinement and context search; missing = 'ask'
   enabled: boolean; // Whether this server is active
 }
 
+/**
+ * Live connection state of a configured MCP server; degraded = still
+ * connected but recent pings or calls failed
+ */
+export type MCPConnectionState = 'disabled' | 'connecting' | 'connected' | 'degraded' | 'failed';
+
 /**
  * MCP Resource from external server
  */
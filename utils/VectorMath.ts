@@ -70,6 +70,35 @@ export class VectorMath {
     };
   }
 
+  /**
+   * Compute the centroid (element-wise mean) of same-dimension vectors
+   * Used to represent a whole note by the average of its chunk embeddings
+   */
+  static centroid(vectors: EmbeddingVector[]): EmbeddingVector {
+    if (vectors.length === 0) {
+      return { values: [], dimensions: 0 };
+    }
+
+    const dimensions = vectors[0].dimensions;
+    const values = new Array<number>(dimensions).fill(0);
+
+    for (const vector of vectors) {
+      if (vector.dimensions !== dimensions) {
+        throw new Error(
+          `Vector dimension mismatch: ${dimensions} vs ${vector.dimensions}`
+        );
+      }
+      for (let i = 0; i < dimensions; i++) {
+        values[i] += vector.values[i];
+      }
+    }
+
+    return {
+      values: values.map((sum) => sum / vectors.length),
+      dimensions,
+    };
+  }
+
   /**
    * Find top-K most similar vectors from a list
    */
@@ -0,0 +1,164 @@
+// Copyright © 2025 Jason Hutchcraft
+// Licensed under the Business Source License 1.1 (see LICENSE for details)
+// Change Date: 2029-01-01 → Apache 2.0 License
+
+/**
+ * WordPieceTokenizer: BERT-style tokenizer for local sentence-embedding models
+ * Architecture: Basic tokenization (clean, lowercase, strip accents, split on
+ * whitespace/punctuation/CJK) followed by greedy longest-match WordPiece
+ *
+ * Covers the MiniLM / BGE / E5 family of ONNX exports, which ship either a
+ * `vocab.txt` or a `tokenizer.json` with a WordPiece model.
+ */
+
+export interface WordPieceOptions {
+  lowercase: boolean; // Uncased models; also strips accents
+  maxLength: number; // Including [CLS] and [SEP]
+}
+
+export interface EncodedText {
+  inputIds: number[];
+  attentionMask: number[];
+}
+
+const DEFAULT_OPTIONS: WordPieceOptions = {
+  lowercase: true,
+  maxLength: 256,
+};
+
+const MAX_WORD_CHARS = 100; // Longer words become [UNK], as in BERT
+
+export class WordPieceTokenizer {
+  private vocab: Map<string, number>;
+  private options: WordPieceOptions;
+  private clsId: number;
+  private sepId: number;
+  private unkId: number;
+  readonly padId: number;
+
+  constructor(vocab: Map<string, number>, options: Partial<WordPieceOptions> = {}) {
+    this.vocab = vocab;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    const special = (token: string) => {
+      const id = vocab.get(token);
+      if (id === undefined) {
+        throw new Error(`Tokenizer vocabulary is missing ${token}`);
+      }
+      return id;
+    };
+    this.clsId = special('[CLS]');
+    this.sepId = special('[SEP]');
+    this.unkId = special('[UNK]');
+    this.padId = vocab.get('[PAD]') ?? 0;
+  }
+
+  /**
+   * Vocabulary from vocab.txt (one token per line, id = line number)
+   */
+  static fromVocabText(text: string, options: Partial<WordPieceOptions> = {}): WordPieceTokenizer {
+    const vocab = new Map<string, number>();
+    text.split(/\r?\n/).forEach((token, id) => {
+      if (token.length > 0 && !vocab.has(token)) {
+        vocab.set(token, id);
+      }
+    });
+    return new WordPieceTokenizer(vocab, options);
+  }
+
+  /**
+   * Vocabulary and casing from a Hugging Face tokenizer.json (WordPiece models only)
+   */
+  static fromTokenizerJson(json: any, options: Partial<WordPieceOptions> = {}): WordPieceTokenizer {
+    if (json?.model?.type !== 'WordPiece' || !json.model.vocab) {
+      throw new Error(`Unsupported tokenizer type: ${json?.model?.type ?? 'unknown'} (WordPiece required)`);
+    }
+
+    const vocab = new Map<string, number>(Object.entries(json.model.vocab as Record<string, number>));
+    const lowercase = json.normalizer?.lowercase;
+    return new WordPieceTokenizer(vocab, {
+      ...(typeof lowercase === 'boolean' ? { lowercase } : {}),
+      ...options,
+    });
+  }
+
+  /**
+   * [CLS] tokens [SEP], truncated to maxLength
+   */
+  encode(text: string): EncodedText {
+    const ids = [this.clsId];
+    const limit = this.options.maxLength - 1;
+
+    for (const word of this.basicTokenize(text)) {
+      for (const id of this.wordPiece(word)) {
+        if (ids.length >= limit) break;
+        ids.push(id);
+      }
+      if (ids.length >= limit) break;
+    }
+
+    ids.push(this.sepId);
+    return { inputIds: ids, attentionMask: ids.map(() => 1) };
+  }
+
+  private basicTokenize(text: string): string[] {
+    let cleaned = text.replace(/[\u0000-\u0008\u000b\u000e-\u001f\u007f\ufffd]/g, '');
+    if (this.options.lowercase) {
+      cleaned = cleaned.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    const words: string[] = [];
+    for (const chunk of cleaned.split(/\s+/)) {
+      let current = '';
+      for (const char of chunk) {
+        if (WordPieceTokenizer.isPunctuation(char) || WordPieceTokenizer.isCjk(char)) {
+          if (current) words.push(current);
+          words.push(char);
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      if (current) words.push(current);
+    }
+    return words;
+  }
+
+  private wordPiece(word: string): number[] {
+    if (word.length > MAX_WORD_CHARS) {
+      return [this.unkId];
+    }
+
+    const ids: number[] = [];
+    let start = 0;
+    while (start < word.length) {
+      let end = word.length;
+      let match: number | undefined;
+      while (start < end) {
+        const piece = (start > 0 ? '##' : '') + word.slice(start, end);
+        match = this.vocab.get(piece);
+        if (match !== undefined) break;
+        end--;
+      }
+      if (match === undefined) {
+        return [this.unkId];
+      }
+      ids.push(match);
+      start = end;
+    }
+    return ids;
+  }
+
+  private static isPunctuation(char: string): boolean {
+    const code = char.charCodeAt(0);
+    // ASCII symbols count as punctuation in BERT even where Unicode disagrees ($, +, ^, `)
+    if ((code >= 33 && code <= 47) || (code >= 58 && code <= 64) || (code >= 91 && code <= 96) || (code >= 123 && code <= 126)) {
+      return true;
+    }
+    return /[\u2000-\u206f\u2e00-\u2e7f\u3000-\u303f\uff01-\uff0f\uff1a-\uff20]/.test(char);
+  }
+
+  private static isCjk(char: string): boolean {
+    return /[\u4e00-\u9fff\u3400-\u4dbf\uf900-\ufaff]/.test(char);
+  }
+}